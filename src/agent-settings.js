@@ -0,0 +1,163 @@
+import * as vfParser from './vf-parser.js'
+
+// Built-in agent tools: setting name -> agent field
+const AGENT_TOOLS = {
+  webSearch: 'webSearchTool',
+  knowledgeBase: 'knowledgeBaseTool',
+  button: 'buttonTool',
+  card: 'cardTool',
+  carousel: 'carouselTool',
+}
+
+export const AGENT_TOOL_NAMES = Object.keys(AGENT_TOOLS)
+
+/**
+ * Find a model of models.json by name.
+ * @param {Array<{item: string, vendor: string, maxTokens?: number, temperature?: number[]|false}>} models
+ * @param {string} name
+ * @returns {object|undefined}
+ */
+export function findModel(models, name) {
+  return (models || []).find((m) => m.item === name)
+}
+
+/**
+ * Read an agent's settings and built-in tools, preferring the root agents array.
+ * @param {object} data - Parsed .vf JSON
+ * @param {string} agentId
+ * @returns {{ model?: string, temperature?: number, maxTokens?: number, tools: object }} - `tools` maps
+ *   each tool name to { enabled, description }
+ */
+export function getAgentSettings(data, agentId) {
+  const rootAgent = (data.agents || []).find((a) => a.id === agentId) || {}
+  const programAgent = data.version?.programResources?.agents?.[agentId] || {}
+  const settings = {
+    ...(programAgent.settings || {}),
+    ...(rootAgent.settings || {}),
+  }
+  const tools = {}
+  for (const [name, field] of Object.entries(AGENT_TOOLS)) {
+    const tool = rootAgent[field] ?? programAgent[field]
+    tools[name] = {
+      enabled: !!tool && tool.enabled !== false,
+      description: (tool && tool.description) || '',
+    }
+  }
+  return {
+    model: settings.model,
+    temperature: settings.temperature,
+    maxTokens: settings.maxTokens,
+    tools,
+  }
+}
+
+/**
+ * Check model settings against the limits of a model.
+ * @param {{ temperature?: number, maxTokens?: number }} settings
+ * @param {object} [model] - models.json entry; without one only the types are checked
+ * @returns {string[]} - Problems, empty when the settings are valid
+ */
+export function checkAgentSettings(settings, model) {
+  const errors = []
+  const { temperature, maxTokens } = settings
+  if (temperature !== undefined) {
+    if (typeof temperature !== 'number' || Number.isNaN(temperature)) {
+      errors.push('temperature must be a number')
+    } else if (model && model.temperature === false) {
+      errors.push(`model '${model.item}' does not support temperature`)
+    } else {
+      const [min, max] = (model && model.temperature) || [0, 2]
+      if (temperature < min || temperature > max) {
+        errors.push(`temperature must be between ${min} and ${max}`)
+      }
+    }
+  }
+  if (maxTokens !== undefined) {
+    if (!Number.isInteger(maxTokens) || maxTokens <= 0) {
+      errors.push('maxTokens must be a positive integer')
+    } else if (model && model.maxTokens && maxTokens > model.maxTokens) {
+      errors.push(
+        `maxTokens must be at most ${model.maxTokens} for model '${model.item}'`
+      )
+    }
+  }
+  return errors
+}
+
+// Build a built-in tool value from `true`/`false` or { enabled, description }. The knowledge base keeps
+// its object when disabled and the other tools become null, like the template.
+function toolValue(name, current, value) {
+  const options = value !== null && typeof value === 'object' ? value : {}
+  const enabled =
+    value !== null && typeof value === 'object'
+      ? options.enabled !== false
+      : !!value
+  const description = options.description ?? (current && current.description)
+  if (name === 'knowledgeBase') {
+    return { enabled, description: description ?? '' }
+  }
+  return enabled ? { enabled: true, description: description ?? '' } : null
+}
+
+/**
+ * Change an agent's model settings and built-in tools in both programResources.agents and the root
+ * agents array. Values are checked against the model's limits in models.json, including the current
+ * temperature and max tokens when the model changes; switching to a model without temperature clears it.
+ * @param {object} data - Parsed .vf JSON (mutated in place)
+ * @param {string} agentId
+ * @param {object} changes - model, temperature, maxTokens, and webSearch, knowledgeBase, button, card or
+ *   carousel as `true`/`false` or { enabled, description }
+ * @param {Array<object>} [models] - models.json entries; unknown models are rejected when given
+ * @returns {object} - The agent's settings after the change (see getAgentSettings)
+ */
+export function applyAgentSettings(data, agentId, changes, models) {
+  const current = getAgentSettings(data, agentId)
+  const modelName = changes.model ?? current.model
+  const model = models && findModel(models, modelName)
+  if (changes.model !== undefined && models && !model) {
+    throw new Error(
+      `Unknown model '${changes.model}'. See models.json for the available models.`
+    )
+  }
+  // A new model must also accept the temperature and max tokens already set. A temperature the new
+  // model does not support at all is dropped rather than rejected.
+  const switching = changes.model !== undefined
+  const dropTemperature =
+    switching &&
+    changes.temperature === undefined &&
+    current.temperature !== undefined &&
+    model?.temperature === false
+  const checked = {
+    temperature:
+      changes.temperature ??
+      (switching && !dropTemperature ? current.temperature : undefined),
+    maxTokens:
+      changes.maxTokens ??
+      (changes.model !== undefined ? current.maxTokens : undefined),
+  }
+  const errors = checkAgentSettings(checked, model)
+  if (errors.length > 0) throw new Error(errors.join('; '))
+
+  const settings = {}
+  for (const key of ['model', 'temperature', 'maxTokens']) {
+    if (changes[key] !== undefined) settings[key] = changes[key]
+  }
+  // Undefined settings are left out when the file is saved
+  if (dropTemperature) settings.temperature = undefined
+  if (Object.keys(settings).length > 0) {
+    vfParser.updateAgentSettings(data, agentId, settings)
+  }
+  const rootAgent = (data.agents || []).find((a) => a.id === agentId)
+  const programAgent = data.version?.programResources?.agents?.[agentId]
+  const fields = {}
+  for (const [name, field] of Object.entries(AGENT_TOOLS)) {
+    // null (a blank manifest key) is not set, like undefined
+    if (changes[name] === undefined || changes[name] === null) continue
+    const tool = rootAgent?.[field] ?? programAgent?.[field]
+    fields[field] = toolValue(name, tool, changes[name])
+  }
+  if (Object.keys(fields).length > 0) {
+    vfParser.updateAgentFields(data, agentId, fields)
+  }
+  return getAgentSettings(data, agentId)
+}
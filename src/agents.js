@@ -0,0 +1,241 @@
+import { generateMongoId } from './id-generator.js'
+import * as vfParser from './vf-parser.js'
+import { describeRouting, removeAgentSteps } from './routing.js'
+
+// Collections linking tools to agents through `agentID`
+const AGENT_LINK_COLLECTIONS = [
+  'agentAPITools',
+  'agentPathTools',
+  'agentFunctionTools',
+  'agentIntegrationTools',
+  'agentPathToolVariables',
+]
+
+const DEFAULT_KNOWLEDGE_BASE_DESCRIPTION =
+  "Triggered the knowledge base when you don't know the answer to a question."
+
+// Program resources of the project, created when missing
+function programAgents(data) {
+  if (!data.version) data.version = {}
+  if (!data.version.programResources) data.version.programResources = {}
+  if (!data.version.programResources.agents) {
+    data.version.programResources.agents = {}
+  }
+  return data.version.programResources.agents
+}
+
+// Agents list of prototype.surveyorContext, when the project has one
+function referencedAgentsIDs(data) {
+  const surveyor = data.version?.prototype?.surveyorContext
+  if (!surveyor) return null
+  if (!Array.isArray(surveyor.referencedAgentsIDs)) {
+    surveyor.referencedAgentsIDs = []
+  }
+  return surveyor.referencedAgentsIDs
+}
+
+// Reject a name another agent already has: agents are selected by name on the command line
+function checkAgentName(data, name, exceptId) {
+  if (!name || !String(name).trim()) throw new Error('Agent name is required')
+  const taken = vfParser
+    .listAllAgents(data)
+    .find((a) => a.name === name && a.id !== exceptId)
+  if (taken) {
+    throw new Error(`Another agent is already named '${name}' (${taken.id})`)
+  }
+}
+
+/**
+ * Create an empty agent in programResources.agents and the root agents array.
+ * @param {object} data - Parsed .vf JSON (mutated in place)
+ * @param {object} options
+ * @param {string} options.name
+ * @param {string} [options.description='']
+ * @param {string} [options.instructions='']
+ * @param {object} [options.settings] - Model settings; by default those of the first agent, so the new
+ *   agent starts with a valid model
+ * @returns {string} - ID of the new agent
+ */
+export function createAgent(data, options) {
+  const { name, description = '', instructions = '' } = options
+  checkAgentName(data, name)
+  const first = vfParser.listAllAgents(data)[0]
+  const firstRoot = first && (data.agents || []).find((a) => a.id === first.id)
+  const firstProgram = first && programAgents(data)[first.id]
+  const settings = options.settings || {
+    ...(firstProgram?.settings || {}),
+    ...(firstRoot?.settings || {}),
+  }
+  const tools = {
+    webSearchTool: null,
+    knowledgeBaseTool: {
+      enabled: false,
+      description: DEFAULT_KNOWLEDGE_BASE_DESCRIPTION,
+    },
+    buttonTool: null,
+    cardTool: null,
+    carouselTool: null,
+  }
+  const id = generateMongoId()
+  programAgents(data)[id] = {
+    settings: { ...settings },
+    description,
+    ...structuredClone(tools),
+    apiTools: [],
+    pathTools: [],
+    instructions,
+    functionTools: [],
+    integrationTools: [],
+  }
+  const now = new Date().toISOString()
+  const creator = firstRoot?.createdByID ?? data.version?.creatorID ?? null
+  if (!Array.isArray(data.agents)) data.agents = []
+  data.agents.push({
+    id,
+    name,
+    createdByID: creator,
+    folderID: null,
+    settings: { ...settings },
+    description,
+    instructions: [{ text: [instructions] }],
+    pathToolOrder: [],
+    ...structuredClone(tools),
+    createdAt: now,
+    updatedAt: now,
+    updatedByID: creator,
+  })
+  referencedAgentsIDs(data)?.push(id)
+  return id
+}
+
+/**
+ * Copy an agent under a new ID: its instructions, settings, built-in tools and tool links.
+ * @param {object} data - Parsed .vf JSON (mutated in place)
+ * @param {string} agentId - Agent to copy
+ * @param {string} name - Name of the copy
+ * @returns {{ id: string, links: number }} - ID of the copy and number of tool links copied
+ */
+export function cloneAgent(data, agentId, name) {
+  checkAgentName(data, name)
+  const source = vfParser.findAgent(data, agentId)
+  const id = generateMongoId()
+  // Old ID -> new ID of every copied link, to remap references between links (and pathToolOrder)
+  const ids = new Map([[source.id, id]])
+  const remap = (value) =>
+    typeof value === 'string' && ids.has(value) ? ids.get(value) : value
+
+  const copies = {}
+  for (const collection of AGENT_LINK_COLLECTIONS) {
+    copies[collection] = (data[collection] || [])
+      .filter((entry) => entry && entry.agentID === source.id)
+      .map((entry) => {
+        const copy = structuredClone(entry)
+        if (copy.id) {
+          copy.id = generateMongoId()
+          ids.set(entry.id, copy.id)
+        }
+        return copy
+      })
+  }
+  let links = 0
+  for (const [collection, entries] of Object.entries(copies)) {
+    if (entries.length === 0) continue
+    const now = new Date().toISOString()
+    data[collection].push(
+      ...entries.map((entry) => {
+        const copy = Object.fromEntries(
+          Object.entries(entry).map(([key, value]) => [key, remap(value)])
+        )
+        if (copy.createdAt) copy.createdAt = now
+        return copy
+      })
+    )
+    links += entries.length
+  }
+
+  const program = programAgents(data)[source.id]
+  if (program) {
+    programAgents(data)[id] = structuredClone(program)
+  }
+  const root = (data.agents || []).find((a) => a.id === source.id)
+  if (root) {
+    const now = new Date().toISOString()
+    data.agents.push({
+      ...structuredClone(root),
+      id,
+      name,
+      pathToolOrder: (root.pathToolOrder || []).map(remap),
+      createdAt: now,
+      updatedAt: now,
+    })
+  }
+  referencedAgentsIDs(data)?.push(id)
+  return { id, links }
+}
+
+/**
+ * Rename an agent. The name lives on the root agent only.
+ * @param {object} data - Parsed .vf JSON (mutated in place)
+ * @param {string} agentId
+ * @param {string} name
+ */
+export function renameAgent(data, agentId, name) {
+  const agent = vfParser.findAgent(data, agentId)
+  checkAgentName(data, name, agent.id)
+  const root = (data.agents || []).find((a) => a.id === agent.id)
+  if (!root) {
+    throw new Error(
+      `Agent ${agent.id} has no entry in the root agents array to hold its name`
+    )
+  }
+  root.name = name
+  root.updatedAt = new Date().toISOString()
+}
+
+/**
+ * Delete an agent with its tool links and its agent steps. The last agent and the start agent cannot
+ * be deleted.
+ * @param {object} data - Parsed .vf JSON (mutated in place)
+ * @param {string} agentId
+ * @returns {{ links: number, steps: number }} - Number of tool links and agent steps removed
+ */
+export function deleteAgent(data, agentId) {
+  const agent = vfParser.findAgent(data, agentId)
+  if (vfParser.listAllAgents(data).length === 1) {
+    throw new Error(`Cannot delete '${agent.name}': it is the only agent`)
+  }
+  if (describeRouting(data).start === agent.id) {
+    throw new Error(
+      `Cannot delete '${agent.name}': it is the start agent. Make another agent the start agent first (vf-copilot routing start)`
+    )
+  }
+  const steps = removeAgentSteps(data, agent.id)
+  const removedIds = new Set()
+  let links = 0
+  for (const collection of AGENT_LINK_COLLECTIONS) {
+    if (!Array.isArray(data[collection])) continue
+    data[collection] = data[collection].filter((entry) => {
+      if (entry?.agentID !== agent.id) return true
+      if (entry.id) removedIds.add(entry.id)
+      links++
+      return false
+    })
+  }
+  // Drop entries that pointed to a removed link (e.g. path tool variables)
+  for (const collection of AGENT_LINK_COLLECTIONS) {
+    if (!Array.isArray(data[collection])) continue
+    data[collection] = data[collection].filter(
+      (entry) => !Object.values(entry || {}).some((v) => removedIds.has(v))
+    )
+  }
+  delete programAgents(data)[agent.id]
+  if (Array.isArray(data.agents)) {
+    data.agents = data.agents.filter((a) => a.id !== agent.id)
+  }
+  const referenced = referencedAgentsIDs(data)
+  if (referenced) {
+    data.version.prototype.surveyorContext.referencedAgentsIDs =
+      referenced.filter((id) => id !== agent.id)
+  }
+  return { links, steps }
+}
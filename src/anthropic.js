@@ -86,9 +86,12 @@ function normalizeLLMApiToolJson(raw) {
  * Calls Anthropic Sonnet (Claude) API with a prompt and returns the completion.
  * @param {string} prompt - The user prompt.
  * @param {string} [systemPrompt] - Optional system prompt for context.
- * @returns {Promise<string>} - The AI completion text.
+ * @param {object} [options]
+ * @param {boolean} [options.json=true] - Extract and normalize a JSON object; false returns the plain text
+ * @returns {Promise<object|string>} - The extracted JSON, or the completion text.
  */
-export async function askAnthropic(prompt, systemPrompt) {
+export async function askAnthropic(prompt, systemPrompt, options = {}) {
+  const { json = true } = options
   const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY
   if (!ANTHROPIC_API_KEY) {
     throw new Error('Missing ANTHROPIC_API_KEY environment variable')
@@ -119,6 +122,13 @@ export async function askAnthropic(prompt, systemPrompt) {
   try {
     const res = await axios.post(url, data, { headers })
     //console.log(res.data)
+    if (!json) {
+      return res.data.content
+        .filter((item) => item.type === 'text' && item.text)
+        .map((item) => item.text)
+        .join('')
+        .trim()
+    }
     const extracted = extractJsonFromAnthropicResponse(res.data.content)
     // Normalize if needed
     if (
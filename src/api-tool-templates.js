@@ -93,8 +93,9 @@ Remember, your output must be a single valid JSON object containing the apiTool,
  * Adds an API tool (from AI JSON) to the Voiceflow .vf data structure.
  * @param {object} aiJson - The AI-generated API tool JSON
  * @param {object} vfData - The loaded .vf data (mutated in place)
+ * @param {string} agentId - Agent to link the tool to
  */
-export function addApiToolFromJson(aiJson, vfData) {
+export function addApiToolFromJson(aiJson, vfData, agentId) {
   if (!aiJson || typeof aiJson !== 'object')
     throw new Error('Invalid AI tool JSON')
 
@@ -364,24 +365,16 @@ export function addApiToolFromJson(aiJson, vfData) {
   // Ensure agentAPITools exists
   if (!Array.isArray(vfData.agentAPITools)) vfData.agentAPITools = []
 
-  // Find the first agentID (if available)
-  let agentID = null
-  if (Array.isArray(vfData.agents) && vfData.agents.length > 0) {
-    agentID = vfData.agents[0].id
-  }
-
-  // Add a new agentAPITools entry for this tool if agentID is available
-  if (agentID) {
-    vfData.agentAPITools.push({
-      id: generateMongoId(),
-      agentID,
-      apiToolID: toolObj.id,
-      description: null,
-      inputVariables: {},
-      captureResponse: null,
-      createdAt: new Date().toISOString(),
-    })
-  }
+  // Link the tool to the selected agent
+  vfData.agentAPITools.push({
+    id: generateMongoId(),
+    agentID: agentId,
+    apiToolID: toolObj.id,
+    description: null,
+    inputVariables: {},
+    captureResponse: null,
+    createdAt: new Date().toISOString(),
+  })
 
   // --- Clean up URL: remove query params if queryParameters is non-empty, and fix braces ---
   if (
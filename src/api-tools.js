@@ -0,0 +1,520 @@
+import { generateMongoId } from './id-generator.js'
+import {
+  findTemplateVariables,
+  templateToParts,
+  partsToTemplate,
+} from './vf-parser.js'
+
+/**
+ * Find an existing API tool with the same name or the same URL (variables ignored). With an HTTP method,
+ * a tool with the same URL only counts when it also has that method, so the operations of one path
+ * (GET and PUT /pets/{petId}) are not duplicates of each other.
+ * @param {object} data - Parsed .vf JSON
+ * @param {string} name
+ * @param {string} url - URL template with {var} or {{var}} placeholders
+ * @param {string} [httpMethod]
+ * @returns {object|undefined}
+ */
+export function findDuplicateApiTool(data, name, url, httpMethod) {
+  const urlStripped = String(url || '').replace(
+    /\{+([a-zA-Z0-9_]+)\}+/g,
+    '{var}'
+  )
+  return (data.apiTools || []).find(
+    (t) =>
+      t.name === name ||
+      ((t.url && t.url[0] && Array.isArray(t.url[0].text)
+        ? t.url[0].text
+            .map((part) => (typeof part === 'string' ? part : '{var}'))
+            .join('')
+        : '') === urlStripped &&
+        (!httpMethod ||
+          String(t.httpMethod || 'get').toLowerCase() ===
+            httpMethod.toLowerCase()))
+  )
+}
+
+// Write the URL, query parameter, header and body templates of a tool in Voiceflow's format. Query
+// parameters and headers keep their ID when their key is unchanged.
+function setToolTemplates(tool, templates, variableIDs) {
+  const { url, queryParams, headers, bodyTemplate } = templates
+  const pairs = (entries, previous) =>
+    entries
+      .filter((entry) => entry.key)
+      .map((entry) => ({
+        id:
+          (previous || []).find((p) => p.key === entry.key)?.id ||
+          generateMongoId(),
+        key: entry.key,
+        value: [{ text: templateToParts(entry.value, variableIDs) }],
+      }))
+  tool.url = [{ text: templateToParts(url, variableIDs) }]
+  tool.queryParameters = pairs(queryParams, tool.queryParameters)
+  tool.headers = pairs(headers, tool.headers)
+  // Voiceflow format: { type, content, contentType }
+  tool.body =
+    bodyTemplate && bodyTemplate.trim()
+      ? {
+          type: 'raw-input',
+          content: templateToParts(bodyTemplate, variableIDs),
+          contentType: (tool.body && tool.body.contentType) || 'json',
+        }
+      : null
+}
+
+/**
+ * Add an API tool, its input variables and the link to an agent to the .vf data.
+ * URL, query parameter values, header values and the body are templates using {var} or {{var}} for variables.
+ * @param {object} data - Parsed .vf JSON (mutated in place)
+ * @param {object} spec
+ * @param {string} spec.agentId - Agent to link the tool to
+ * @param {string} spec.name
+ * @param {string} [spec.description]
+ * @param {string} spec.url
+ * @param {string} [spec.httpMethod='get']
+ * @param {Array<{key: string, value: string}>} [spec.queryParams]
+ * @param {Array<{key: string, value: string}>} [spec.headers]
+ * @param {string} [spec.bodyTemplate]
+ * @param {object} [spec.variableDescriptions] - Map of variable name to description
+ * @returns {object} - The created apiTools entry
+ */
+export function addApiTool(data, spec) {
+  const {
+    agentId,
+    name,
+    description = '',
+    url,
+    httpMethod = 'get',
+    queryParams = [],
+    headers = [],
+    bodyTemplate = '',
+    variableDescriptions = {},
+  } = spec
+  if (findDuplicateApiTool(data, name, url, httpMethod)) {
+    throw new Error(
+      `An API tool with this name, or this method and URL, already exists: ${name}`
+    )
+  }
+  // Ensure apiToolInputVariables is always an array
+  if (!Array.isArray(data.apiToolInputVariables))
+    data.apiToolInputVariables = []
+  if (!Array.isArray(data.apiTools)) data.apiTools = []
+  if (!Array.isArray(data.agentAPITools)) data.agentAPITools = []
+  // Get creatorID from version
+  const creatorID =
+    data.version && data.version.creatorID ? data.version.creatorID : null
+  // Generate apiToolID first
+  const apiToolID = generateMongoId()
+  // Create variable IDs for all unique variable names (reuse within the tool)
+  const variableIDs = {}
+  const allVarNames = findTemplateVariables(
+    [
+      url,
+      ...queryParams.map((qp) => qp.value),
+      ...headers.map((h) => h.value),
+      bodyTemplate,
+    ]
+      .filter(Boolean)
+      .join('\n')
+  )
+  for (const varName of allVarNames) {
+    const varID = generateMongoId()
+    data.apiToolInputVariables.push({
+      id: varID,
+      name: varName,
+      apiToolID,
+      description: variableDescriptions[varName] || '',
+      createdAt: new Date().toISOString(),
+    })
+    variableIDs[varName] = varID
+  }
+  // Add API tool (with all required fields)
+  const apiTool = {
+    id: apiToolID,
+    name,
+    description,
+    url: [],
+    httpMethod,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    queryParameters: [],
+    createdByID: creatorID,
+    updatedByID: creatorID,
+    folderID: null,
+    body: null,
+    image: null,
+    headers: [],
+  }
+  setToolTemplates(
+    apiTool,
+    { url, queryParams, headers, bodyTemplate },
+    variableIDs
+  )
+  data.apiTools.push(apiTool)
+  // Link tool to agent in agentAPITools (with all required fields)
+  data.agentAPITools.push({
+    id: generateMongoId(),
+    agentID: agentId,
+    apiToolID,
+    createdAt: new Date().toISOString(),
+    description: null,
+    inputVariables: {},
+    captureResponse: null,
+  })
+  return apiTool
+}
+
+/**
+ * Read an API tool back into templates: the URL, query parameter values, header values and raw-input
+ * body as strings with {var_name} placeholders, plus the tool's input variables.
+ * @param {object} data - Parsed .vf JSON
+ * @param {object} tool - apiTools entry
+ * @returns {{ name: string, description: string, method: string, url: string, queryParams: Array<{key: string, value: string}>, headers: Array<{key: string, value: string}>, body: string, variables: Array<{id: string, name: string, description: string}> }}
+ */
+export function describeApiTool(data, tool) {
+  const variables = (data.apiToolInputVariables || [])
+    .filter((v) => v.apiToolID === tool.id)
+    .map((v) => ({ id: v.id, name: v.name, description: v.description || '' }))
+  const variableNames = Object.fromEntries(variables.map((v) => [v.id, v.name]))
+  const blocksToTemplate = (blocks) =>
+    (blocks || [])
+      .map((block) => partsToTemplate(block && block.text, variableNames))
+      .join('')
+  const pairs = (entries) =>
+    (entries || []).map((entry) => ({
+      key: entry.key,
+      value: blocksToTemplate(entry.value),
+    }))
+  return {
+    name: tool.name,
+    description: tool.description || '',
+    method: tool.httpMethod || 'get',
+    url: blocksToTemplate(tool.url),
+    queryParams: pairs(tool.queryParameters),
+    headers: pairs(tool.headers),
+    body:
+      tool.body && Array.isArray(tool.body.content)
+        ? partsToTemplate(tool.body.content, variableNames)
+        : '',
+    variables,
+  }
+}
+
+/**
+ * Find an API tool by name or ID.
+ * @param {object} data - Parsed .vf JSON
+ * @param {string} nameOrId
+ * @returns {object} - The apiTools entry
+ */
+export function findApiTool(data, nameOrId) {
+  const tools = data.apiTools || []
+  const tool =
+    tools.find((t) => t.id === nameOrId) ||
+    tools.find((t) => t.name === nameOrId)
+  if (!tool) {
+    throw new Error(
+      `API tool '${nameOrId}' not found. Available: ${
+        tools.map((t) => t.name).join(', ') || '(none)'
+      }`
+    )
+  }
+  return tool
+}
+
+// Replace {old} and {{old}} placeholders of a template with {new}
+const renamePlaceholders = (template, renames) =>
+  String(template ?? '').replace(/\{+([a-zA-Z0-9_]+)\}+/g, (match, name) =>
+    renames[name] ? `{${renames[name]}}` : match
+  )
+
+/**
+ * Update an API tool in place. Fields left undefined keep their current value; query parameters, headers
+ * and the body are replaced as a whole. The tool's input variables follow its templates: variables no
+ * longer used are removed (along with their inputs on agent links), new ones are created, and
+ * `renameVariables` renames variables and their placeholders, keeping their IDs.
+ * @param {object} data - Parsed .vf JSON (mutated in place)
+ * @param {object} tool - apiTools entry
+ * @param {object} changes
+ * @param {string} [changes.name]
+ * @param {string} [changes.description]
+ * @param {string} [changes.url]
+ * @param {string} [changes.httpMethod]
+ * @param {Array<{key: string, value: string}>} [changes.queryParams]
+ * @param {Array<{key: string, value: string}>} [changes.headers]
+ * @param {string} [changes.bodyTemplate]
+ * @param {object} [changes.renameVariables] - Map of current variable name to new name
+ * @param {object} [changes.variableDescriptions] - Map of variable name (after renaming) to description
+ * @returns {{ added: string[], removed: string[], renamed: string[] }} - Variable names, renamed as 'old -> new'
+ */
+export function updateApiTool(data, tool, changes) {
+  const current = describeApiTool(data, tool)
+  const renames = changes.renameVariables || {}
+  for (const [from, to] of Object.entries(renames)) {
+    if (!current.variables.some((v) => v.name === from)) {
+      throw new Error(`API tool '${tool.name}' has no variable '${from}'`)
+    }
+    if (!/^[a-zA-Z0-9_]+$/.test(to)) {
+      throw new Error(`Invalid variable name '${to}'`)
+    }
+    if (current.variables.some((v) => v.name === to && !renames[v.name])) {
+      throw new Error(`API tool '${tool.name}' already has a variable '${to}'`)
+    }
+  }
+  const name = changes.name ?? current.name
+  if ((data.apiTools || []).some((t) => t !== tool && t.name === name)) {
+    throw new Error(`Another API tool is already named '${name}'`)
+  }
+  const rename = (template) => renamePlaceholders(template, renames)
+  const renamePairs = (entries) =>
+    entries.map((entry) => ({ key: entry.key, value: rename(entry.value) }))
+  const templates = {
+    url: rename(changes.url ?? current.url),
+    queryParams: renamePairs(changes.queryParams ?? current.queryParams),
+    headers: renamePairs(changes.headers ?? current.headers),
+    bodyTemplate: rename(changes.bodyTemplate ?? current.body),
+  }
+  const used = findTemplateVariables(
+    [
+      templates.url,
+      ...templates.queryParams.map((qp) => qp.value),
+      ...templates.headers.map((h) => h.value),
+      templates.bodyTemplate,
+    ]
+      .filter(Boolean)
+      .join('\n')
+  )
+
+  const result = { added: [], removed: [], renamed: [] }
+  const descriptions = changes.variableDescriptions || {}
+  const variableIDs = {}
+  const removedIDs = new Set()
+  for (const variable of data.apiToolInputVariables || []) {
+    if (variable.apiToolID !== tool.id) continue
+    const newName = renames[variable.name] || variable.name
+    if (!used.includes(newName) || variableIDs[newName]) {
+      result.removed.push(variable.name)
+      removedIDs.add(variable.id)
+      continue
+    }
+    if (newName !== variable.name) {
+      result.renamed.push(`${variable.name} -> ${newName}`)
+      variable.name = newName
+    }
+    if (descriptions[newName] !== undefined) {
+      variable.description = descriptions[newName]
+    }
+    variableIDs[newName] = variable.id
+  }
+  data.apiToolInputVariables = (data.apiToolInputVariables || []).filter(
+    (v) => !removedIDs.has(v.id)
+  )
+  for (const varName of used.filter((n) => !variableIDs[n])) {
+    const varID = generateMongoId()
+    data.apiToolInputVariables.push({
+      id: varID,
+      name: varName,
+      apiToolID: tool.id,
+      description: descriptions[varName] || '',
+      createdAt: new Date().toISOString(),
+    })
+    variableIDs[varName] = varID
+    result.added.push(varName)
+  }
+  // Agent links map variable IDs to their inputs
+  for (const link of data.agentAPITools || []) {
+    if (link.apiToolID !== tool.id || !link.inputVariables) continue
+    for (const id of removedIDs) delete link.inputVariables[id]
+  }
+
+  tool.name = name
+  tool.description = changes.description ?? current.description
+  tool.httpMethod = changes.httpMethod ?? current.method
+  // Bodies this CLI cannot read back (e.g. form data) are kept unless a new body is given
+  const unreadBody =
+    changes.bodyTemplate === undefined &&
+    tool.body &&
+    !Array.isArray(tool.body.content)
+      ? tool.body
+      : null
+  setToolTemplates(tool, templates, variableIDs)
+  if (unreadBody) tool.body = unreadBody
+  tool.updatedAt = new Date().toISOString()
+  if (data.version && data.version.creatorID) {
+    tool.updatedByID = data.version.creatorID
+  }
+  return result
+}
+
+/**
+ * Remove an API tool with its input variables and its agent links.
+ * @param {object} data - Parsed .vf JSON (mutated in place)
+ * @param {object} tool - apiTools entry
+ * @returns {{ variables: number, links: number }} - Number of removed variables and agent links
+ */
+export function removeApiTool(data, tool) {
+  const variables = (data.apiToolInputVariables || []).filter(
+    (v) => v.apiToolID === tool.id
+  ).length
+  const links = (data.agentAPITools || []).filter(
+    (l) => l.apiToolID === tool.id
+  ).length
+  data.apiTools = (data.apiTools || []).filter((t) => t.id !== tool.id)
+  data.apiToolInputVariables = (data.apiToolInputVariables || []).filter(
+    (v) => v.apiToolID !== tool.id
+  )
+  data.agentAPITools = (data.agentAPITools || []).filter(
+    (l) => l.apiToolID !== tool.id
+  )
+  return { variables, links }
+}
+
+// Map of project variable name to ID (root variables array)
+const projectVariableIDs = (data) =>
+  Object.fromEntries((data.variables || []).map((v) => [v.name, v.id]))
+
+/**
+ * Find a project variable (root `variables` entry) by name or ID.
+ * @param {object} data - Parsed .vf JSON
+ * @param {string} nameOrId
+ * @returns {object}
+ */
+export function findProjectVariable(data, nameOrId) {
+  const variables = data.variables || []
+  const variable =
+    variables.find((v) => v.id === nameOrId) ||
+    variables.find((v) => v.name === nameOrId)
+  if (!variable) {
+    throw new Error(
+      `Project variable '${nameOrId}' not found. Available: ${
+        variables.map((v) => v.name).join(', ') || '(none)'
+      }`
+    )
+  }
+  return variable
+}
+
+/**
+ * Link an API tool to an agent, or update the existing link, and configure it. A link's `inputVariables`
+ * maps a tool variable ID to its preset `{ value: [{ text }] }`; variables without a preset are filled
+ * in by the agent. `captureResponse` is `{ variableID }` of the project variable receiving the response.
+ * @param {object} data - Parsed .vf JSON (mutated in place)
+ * @param {object} tool - apiTools entry
+ * @param {string} agentId
+ * @param {object} [config] - Fields left undefined keep their current value
+ * @param {string|null} [config.description] - What the agent uses the tool for (null uses the tool's description)
+ * @param {object} [config.presets] - Map of tool variable name to a value template; {var_name} placeholders
+ *   are project variables
+ * @param {string[]} [config.agentFilled] - Tool variable names whose preset is removed
+ * @param {string|null} [config.captureVariable] - Project variable name or ID, null to stop capturing
+ * @returns {{ link: object, created: boolean }}
+ */
+export function linkApiTool(data, tool, agentId, config = {}) {
+  if (!Array.isArray(data.agentAPITools)) data.agentAPITools = []
+  let link = data.agentAPITools.find(
+    (l) => l.apiToolID === tool.id && l.agentID === agentId
+  )
+  const created = !link
+  if (created) {
+    link = {
+      id: generateMongoId(),
+      agentID: agentId,
+      apiToolID: tool.id,
+      createdAt: new Date().toISOString(),
+      description: null,
+      inputVariables: {},
+      captureResponse: null,
+    }
+    data.agentAPITools.push(link)
+  }
+  if (!link.inputVariables) link.inputVariables = {}
+  const toolVariables = (data.apiToolInputVariables || []).filter(
+    (v) => v.apiToolID === tool.id
+  )
+  const toolVariable = (name) => {
+    const variable = toolVariables.find((v) => v.name === name)
+    if (!variable) {
+      throw new Error(
+        `API tool '${tool.name}' has no variable '${name}'. Available: ${
+          toolVariables.map((v) => v.name).join(', ') || '(none)'
+        }`
+      )
+    }
+    return variable
+  }
+  if (config.description !== undefined) {
+    link.description = config.description || null
+  }
+  for (const name of config.agentFilled || []) {
+    delete link.inputVariables[toolVariable(name).id]
+  }
+  const variableIDs = projectVariableIDs(data)
+  for (const [name, template] of Object.entries(config.presets || {})) {
+    const unknown = findTemplateVariables(template).filter(
+      (v) => !variableIDs[v]
+    )
+    if (unknown.length > 0) {
+      throw new Error(
+        `Preset for '${name}' uses unknown project variable(s): ${unknown.join(', ')}`
+      )
+    }
+    link.inputVariables[toolVariable(name).id] = {
+      value: [{ text: templateToParts(template, variableIDs) }],
+    }
+  }
+  if (config.captureVariable !== undefined) {
+    link.captureResponse =
+      config.captureVariable === null
+        ? null
+        : { variableID: findProjectVariable(data, config.captureVariable).id }
+  }
+  return { link, created }
+}
+
+/**
+ * Remove the link between an API tool and an agent. The tool itself is kept.
+ * @param {object} data - Parsed .vf JSON (mutated in place)
+ * @param {object} tool - apiTools entry
+ * @param {string} agentId
+ */
+export function unlinkApiTool(data, tool, agentId) {
+  const links = data.agentAPITools || []
+  if (!links.some((l) => l.apiToolID === tool.id && l.agentID === agentId)) {
+    throw new Error(`API tool '${tool.name}' is not linked to agent ${agentId}`)
+  }
+  data.agentAPITools = links.filter(
+    (l) => !(l.apiToolID === tool.id && l.agentID === agentId)
+  )
+}
+
+/**
+ * Read a link's configuration back with names: its description, preset templates and captured variable.
+ * @param {object} data - Parsed .vf JSON
+ * @param {object} link - agentAPITools entry
+ * @returns {{ description: string|null, presets: object, captureVariable: string|null }}
+ */
+export function describeApiToolLink(data, link) {
+  const toolVariableNames = Object.fromEntries(
+    (data.apiToolInputVariables || []).map((v) => [v.id, v.name])
+  )
+  const projectVariableNames = Object.fromEntries(
+    (data.variables || []).map((v) => [v.id, v.name])
+  )
+  const presets = Object.fromEntries(
+    Object.entries(link.inputVariables || {}).map(([id, input]) => [
+      toolVariableNames[id] || id,
+      (input && Array.isArray(input.value) ? input.value : [])
+        .map((block) =>
+          partsToTemplate(block && block.text, projectVariableNames)
+        )
+        .join(''),
+    ])
+  )
+  const captureID = link.captureResponse && link.captureResponse.variableID
+  return {
+    description: link.description || null,
+    presets,
+    captureVariable: captureID
+      ? projectVariableNames[captureID] || captureID
+      : null,
+  }
+}
@@ -0,0 +1,295 @@
+// Split a shell command line into words, handling quotes, backslash escapes and line continuations
+function tokenize(command) {
+  const tokens = []
+  let current = ''
+  let inToken = false
+  let quote = null
+  const input = String(command).replace(/\\\r?\n/g, ' ')
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i]
+    if (quote === "'") {
+      if (ch === "'") quote = null
+      else current += ch
+    } else if (quote === '"') {
+      if (ch === '"') quote = null
+      else if (ch === '\\' && '"\\$`'.includes(input[i + 1]))
+        current += input[++i]
+      else current += ch
+    } else if (ch === "'" || ch === '"') {
+      quote = ch
+      inToken = true
+    } else if (ch === '\\' && i + 1 < input.length) {
+      current += input[++i]
+      inToken = true
+    } else if (/\s/.test(ch)) {
+      if (inToken) tokens.push(current)
+      current = ''
+      inToken = false
+    } else {
+      current += ch
+      inToken = true
+    }
+  }
+  if (quote) throw new Error('Unterminated quote in curl command')
+  if (inToken) tokens.push(current)
+  return tokens
+}
+
+// curl options that take a value, mapped to what the parser does with it
+const VALUE_OPTIONS = {
+  '-X': 'method',
+  '--request': 'method',
+  '-H': 'header',
+  '--header': 'header',
+  '-d': 'data',
+  '--data': 'data',
+  '--data-raw': 'data',
+  '--data-binary': 'data',
+  '--data-ascii': 'data',
+  '--data-urlencode': 'data',
+  '--json': 'json',
+  '-u': 'user',
+  '--user': 'user',
+  '-A': 'userAgent',
+  '--user-agent': 'userAgent',
+  '-b': 'cookie',
+  '--cookie': 'cookie',
+  '-e': 'referer',
+  '--referer': 'referer',
+  '--url': 'url',
+  // Accepted and ignored
+  '-o': null,
+  '--output': null,
+  '-m': null,
+  '--max-time': null,
+  '--connect-timeout': null,
+  '-w': null,
+  '--write-out': null,
+  '-x': null,
+  '--proxy': null,
+}
+
+/**
+ * Split a URL into the part before the query string and its query parameters.
+ * Placeholders such as {{var}} are left untouched.
+ * @param {string} url
+ * @returns {{ url: string, queryParams: Array<{key: string, value: string}> }}
+ */
+export function splitQueryString(url) {
+  const [base, ...rest] = String(url).split('?')
+  const query = rest.join('?').split('#')[0]
+  const decode = (value) => {
+    try {
+      return decodeURIComponent(value.replace(/\+/g, ' '))
+    } catch {
+      return value
+    }
+  }
+  const queryParams = query
+    .split('&')
+    .filter(Boolean)
+    .map((pair) => {
+      const [key, ...value] = pair.split('=')
+      return { key: decode(key), value: decode(value.join('=')) }
+    })
+  return { url: base, queryParams }
+}
+
+/**
+ * Parse a curl command into its method, URL, query parameters, headers and body.
+ * @param {string} command - e.g. `curl -X POST https://api.example.com/items -H 'Content-Type: application/json' -d '{"a":1}'`
+ * @returns {{ method: string, url: string, queryParams: Array<{key: string, value: string}>, headers: Array<{key: string, value: string}>, body: string }}
+ */
+export function parseCurl(command) {
+  const tokens = tokenize(command)
+  if (tokens[0] === 'curl') tokens.shift()
+  let method
+  let url
+  let asQuery = false
+  const headers = []
+  const data = []
+  const setHeader = (key, value) => {
+    if (!headers.some((h) => h.key.toLowerCase() === key.toLowerCase())) {
+      headers.push({ key, value })
+    }
+  }
+  for (let i = 0; i < tokens.length; i++) {
+    let token = tokens[i]
+    let value
+    // --option=value and attached short options (-XPOST, -H'Accept: ...')
+    const long = token.match(/^(--[a-z-]+)=(.*)$/s)
+    if (long && VALUE_OPTIONS[long[1]] !== undefined) {
+      token = long[1]
+      value = long[2]
+    } else if (
+      /^-[a-zA-Z]./s.test(token) &&
+      VALUE_OPTIONS[token.slice(0, 2)] !== undefined
+    ) {
+      value = token.slice(2)
+      token = token.slice(0, 2)
+    }
+    if (token === '-G' || token === '--get') {
+      asQuery = true
+      continue
+    }
+    if (VALUE_OPTIONS[token] === undefined) {
+      if (token.startsWith('-') && token.length > 1) continue
+      if (url === undefined) url = token
+      continue
+    }
+    if (value === undefined) {
+      if (i + 1 >= tokens.length) {
+        throw new Error(`Missing value for curl option ${token}`)
+      }
+      value = tokens[++i]
+    }
+    switch (VALUE_OPTIONS[token]) {
+      case 'method':
+        method = value.toLowerCase()
+        break
+      case 'header': {
+        const separator = value.indexOf(':')
+        if (separator > 0) {
+          headers.push({
+            key: value.slice(0, separator).trim(),
+            value: value.slice(separator + 1).trim(),
+          })
+        }
+        break
+      }
+      case 'json':
+        setHeader('Content-Type', 'application/json')
+        setHeader('Accept', 'application/json')
+        data.push(value)
+        break
+      case 'data':
+        data.push(value)
+        break
+      case 'user':
+        setHeader(
+          'Authorization',
+          `Basic ${Buffer.from(value).toString('base64')}`
+        )
+        break
+      case 'userAgent':
+        setHeader('User-Agent', value)
+        break
+      case 'cookie':
+        setHeader('Cookie', value)
+        break
+      case 'referer':
+        setHeader('Referer', value)
+        break
+      case 'url':
+        url = value
+        break
+    }
+  }
+  if (!url) throw new Error('No URL found in curl command')
+  if (!/^https?:\/\//i.test(url)) url = `https://${url}`
+  const split = splitQueryString(url)
+  let body = data.join('&')
+  if (asQuery && body) {
+    split.queryParams.push(...splitQueryString(`?${body}`).queryParams)
+    body = ''
+  }
+  // Pretty-print JSON bodies so they are readable in Voiceflow
+  if (body) {
+    try {
+      body = JSON.stringify(JSON.parse(body), null, 2)
+    } catch {
+      // Not JSON (or JSON with unquoted placeholders): keep it as written
+    }
+  }
+  return {
+    method: method || (body ? 'post' : 'get'),
+    url: split.url,
+    queryParams: split.queryParams,
+    headers,
+    body,
+  }
+}
+
+/**
+ * Rewrite {{placeholder}} names that are not valid variable names (e.g. {{api-key}}, {{$guid}}) as
+ * {{api_key}}, {{guid}}, so they become tool variables. {{secret.NAME}} references are kept.
+ * @param {string} template
+ * @returns {string}
+ */
+export function normalizePlaceholders(template) {
+  return String(template ?? '').replace(
+    /\{\{\s*([^{}]+?)\s*\}\}/g,
+    (match, name) =>
+      /^secret\.[a-zA-Z0-9_]+$/.test(name)
+        ? `{{${name}}}`
+        : `{{${name.replace(/[^a-zA-Z0-9_]+/g, '_').replace(/^_+|_+$/g, '') || 'value'}}}`
+  )
+}
+
+/**
+ * Suggest a tool name for a request from its method and the last segments of its path.
+ * @param {string} method
+ * @param {string} url
+ * @returns {string}
+ */
+export function suggestToolName(method, url) {
+  const segments = String(url)
+    .replace(/^[a-z]+:\/\/[^/]+/i, '')
+    .split('/')
+    .map((s) => s.replace(/\{+|\}+/g, '').replace(/[^a-zA-Z0-9]+/g, '_'))
+    .filter(Boolean)
+  return [method, ...segments.slice(-2)].join('_').toLowerCase()
+}
+
+// Quote a word for a POSIX shell
+const shellQuote = (value) => `'${String(value).replace(/'/g, `'\\''`)}'`
+
+/**
+ * Fill a {var_name} template: variables with a value are replaced by it (passed through `encode`),
+ * the others become {{var_name}} placeholders.
+ * @param {string} template
+ * @param {Array<{name: string}>} variables - The tool's variables (see describeApiTool)
+ * @param {object} [values] - Map of variable name to value
+ * @param {Function} [encode] - Applied to substituted values
+ * @returns {string}
+ */
+export function fillTemplate(
+  template,
+  variables,
+  values = {},
+  encode = (v) => v
+) {
+  const names = new Set(variables.map((v) => v.name))
+  return String(template).replace(/\{([a-zA-Z0-9_]+)\}/g, (match, name) => {
+    if (values[name] !== undefined) return encode(String(values[name]))
+    return names.has(name) ? `{{${name}}}` : match
+  })
+}
+
+/**
+ * Build a curl command for an API tool.
+ * @param {object} described - From describeApiTool
+ * @param {object} [values] - Map of variable name to value; missing values stay {{var_name}} placeholders
+ * @returns {string}
+ */
+export function toCurl(described, values = {}) {
+  const fill = (template, encode) =>
+    fillTemplate(template, described.variables, values, encode)
+  const query = described.queryParams
+    .map(
+      (q) => `${encodeURIComponent(q.key)}=${fill(q.value, encodeURIComponent)}`
+    )
+    .join('&')
+  const url =
+    fill(described.url, encodeURIComponent) + (query ? `?${query}` : '')
+  const lines = [
+    `curl${described.method === 'get' ? '' : ` -X ${described.method.toUpperCase()}`} ${shellQuote(url)}`,
+    ...described.headers.map(
+      (h) => `-H ${shellQuote(`${h.key}: ${fill(h.value)}`)}`
+    ),
+  ]
+  if (described.body.trim()) {
+    lines.push(`--data-raw ${shellQuote(fill(described.body))}`)
+  }
+  return lines.join(' \\\n  ')
+}
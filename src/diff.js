@@ -0,0 +1,275 @@
+import { getAgentInstructions, listAllAgents } from './vf-parser.js'
+import { exportTool } from './manifest.js'
+import { describeApiTool } from './api-tools.js'
+
+/**
+ * Line-based diff of two texts (longest common subsequence).
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {Array<{type: ' '|'-'|'+', line: string}>}
+ */
+export function diffLines(oldText, newText) {
+  const a = String(oldText || '').split('\n')
+  const b = String(newText || '').split('\n')
+  // lengths[i][j] = LCS length of a[i:] and b[j:]
+  const lengths = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0)
+  )
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        a[i] === b[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1])
+    }
+  }
+  const result = []
+  let i = 0
+  let j = 0
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push({ type: ' ', line: a[i] })
+      i++
+      j++
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      result.push({ type: '-', line: a[i++] })
+    } else {
+      result.push({ type: '+', line: b[j++] })
+    }
+  }
+  while (i < a.length) result.push({ type: '-', line: a[i++] })
+  while (j < b.length) result.push({ type: '+', line: b[j++] })
+  return result
+}
+
+// Keep only changed lines and `context` unchanged lines around them
+function withContext(lines, context = 2) {
+  const keep = new Set()
+  lines.forEach((l, idx) => {
+    if (l.type === ' ') return
+    for (let k = idx - context; k <= idx + context; k++) keep.add(k)
+  })
+  const out = []
+  let skipped = false
+  lines.forEach((l, idx) => {
+    if (keep.has(idx)) {
+      out.push(`${l.type} ${l.line}`)
+      skipped = false
+    } else if (!skipped) {
+      out.push('  ...')
+      skipped = true
+    }
+  })
+  return out
+}
+
+// Compare two plain values (objects are compared as JSON)
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+// Settings of an agent merged from both locations (root wins)
+function agentSettings(data, agentId) {
+  const root = (data.agents || []).find((a) => a.id === agentId) || {}
+  const program = data.version?.programResources?.agents?.[agentId] || {}
+  return { ...(program.settings || {}), ...(root.settings || {}) }
+}
+
+// Tools by ID, exported in manifest form (template URLs and {var_name} placeholders). The manifest
+// only keeps documented variables, so all of them are listed here, name -> description.
+function toolsById(data) {
+  return new Map(
+    (data.apiTools || []).map((tool) => {
+      const { variables } = describeApiTool(data, tool)
+      return [
+        tool.id,
+        {
+          ...exportTool(data, tool),
+          variables:
+            variables.length > 0
+              ? Object.fromEntries(
+                  variables.map((v) => [v.name, v.description])
+                )
+              : undefined,
+        },
+      ]
+    })
+  )
+}
+
+// Agents an API tool is linked to
+function toolAgents(data, toolId) {
+  const names = Object.fromEntries(
+    listAllAgents(data).map((a) => [a.id, a.name])
+  )
+  return (data.agentAPITools || [])
+    .filter((link) => link.apiToolID === toolId)
+    .map((link) => names[link.agentID] || link.agentID)
+    .sort()
+}
+
+/**
+ * Compute the semantic differences between two .vf projects.
+ * @param {object} before - Parsed .vf JSON
+ * @param {object} after - Parsed .vf JSON
+ * @returns {object} - { project, agents: { added, removed, modified }, tools: { added, removed, modified } }
+ */
+export function diffProjects(before, after) {
+  const changes = {
+    project: [],
+    agents: { added: [], removed: [], modified: [] },
+    tools: { added: [], removed: [], modified: [] },
+  }
+  const nameBefore = before.project?.name || before.version?.name
+  const nameAfter = after.project?.name || after.version?.name
+  if (nameBefore !== nameAfter) {
+    changes.project.push({ field: 'name', from: nameBefore, to: nameAfter })
+  }
+
+  // Agents
+  const agentsBefore = new Map(listAllAgents(before).map((a) => [a.id, a]))
+  const agentsAfter = new Map(listAllAgents(after).map((a) => [a.id, a]))
+  for (const [id, agent] of agentsAfter) {
+    if (!agentsBefore.has(id)) changes.agents.added.push(agent)
+  }
+  for (const [id, agent] of agentsBefore) {
+    if (!agentsAfter.has(id)) {
+      changes.agents.removed.push(agent)
+      continue
+    }
+    const fields = []
+    const renamed = agentsAfter.get(id).name
+    if (agent.name !== renamed) {
+      fields.push({ field: 'name', from: agent.name, to: renamed })
+    }
+    const settingsBefore = agentSettings(before, id)
+    const settingsAfter = agentSettings(after, id)
+    for (const field of ['model', 'temperature', 'maxTokens']) {
+      if (!same(settingsBefore[field], settingsAfter[field])) {
+        fields.push({
+          field,
+          from: settingsBefore[field],
+          to: settingsAfter[field],
+        })
+      }
+    }
+    const instructionsBefore = getAgentInstructions(before, id)
+    const instructionsAfter = getAgentInstructions(after, id)
+    const instructions =
+      instructionsBefore === instructionsAfter
+        ? null
+        : diffLines(instructionsBefore, instructionsAfter)
+    if (fields.length > 0 || instructions) {
+      changes.agents.modified.push({
+        id,
+        name: renamed,
+        fields,
+        instructions,
+      })
+    }
+  }
+
+  // API tools
+  const toolsBefore = toolsById(before)
+  const toolsAfter = toolsById(after)
+  for (const [id, tool] of toolsAfter) {
+    if (!toolsBefore.has(id)) {
+      changes.tools.added.push({ id, ...tool, agents: toolAgents(after, id) })
+    }
+  }
+  for (const [id, tool] of toolsBefore) {
+    if (!toolsAfter.has(id)) {
+      changes.tools.removed.push({ id, ...tool })
+      continue
+    }
+    const updated = toolsAfter.get(id)
+    const fields = []
+    for (const field of [
+      'name',
+      'description',
+      'method',
+      'url',
+      'query',
+      'headers',
+      'body',
+      'variables',
+    ]) {
+      if (!same(tool[field], updated[field])) {
+        fields.push({ field, from: tool[field], to: updated[field] })
+      }
+    }
+    const agentsFrom = toolAgents(before, id)
+    const agentsTo = toolAgents(after, id)
+    if (!same(agentsFrom, agentsTo)) {
+      fields.push({ field: 'agents', from: agentsFrom, to: agentsTo })
+    }
+    if (fields.length > 0) {
+      changes.tools.modified.push({ id, name: updated.name, fields })
+    }
+  }
+  return changes
+}
+
+/**
+ * Whether a diff contains any change.
+ * @param {object} changes - From diffProjects
+ * @returns {boolean}
+ */
+export function hasChanges(changes) {
+  return (
+    changes.project.length > 0 ||
+    ['agents', 'tools'].some((kind) =>
+      ['added', 'removed', 'modified'].some((k) => changes[kind][k].length > 0)
+    )
+  )
+}
+
+// Format a value for a one-line report
+const show = (value) => (value === undefined ? '(none)' : JSON.stringify(value))
+
+/**
+ * Format a diff as printable lines.
+ * @param {object} changes - From diffProjects
+ * @returns {string[]}
+ */
+export function formatDiff(changes) {
+  const lines = []
+  for (const c of changes.project) {
+    lines.push(`~ project ${c.field}: ${show(c.from)} -> ${show(c.to)}`)
+  }
+  for (const agent of changes.agents.added) {
+    lines.push(`+ agent ${agent.name} (${agent.id})`)
+  }
+  for (const agent of changes.agents.removed) {
+    lines.push(`- agent ${agent.name} (${agent.id})`)
+  }
+  for (const agent of changes.agents.modified) {
+    lines.push(`~ agent ${agent.name} (${agent.id})`)
+    for (const f of agent.fields) {
+      lines.push(`    ${f.field}: ${show(f.from)} -> ${show(f.to)}`)
+    }
+    if (agent.instructions) {
+      lines.push('    instructions:')
+      withContext(agent.instructions).forEach((l) => lines.push('      ' + l))
+    }
+  }
+  for (const tool of changes.tools.added) {
+    lines.push(
+      `+ tool ${tool.name}: ${tool.method.toUpperCase()} ${tool.url}` +
+        (tool.agents.length > 0 ? ` (agents: ${tool.agents.join(', ')})` : '')
+    )
+    for (const field of ['query', 'headers', 'body', 'variables']) {
+      if (tool[field] !== undefined) {
+        lines.push(`    ${field}: ${show(tool[field])}`)
+      }
+    }
+  }
+  for (const tool of changes.tools.removed) {
+    lines.push(`- tool ${tool.name}: ${tool.method.toUpperCase()} ${tool.url}`)
+  }
+  for (const tool of changes.tools.modified) {
+    lines.push(`~ tool ${tool.name} (${tool.id})`)
+    for (const f of tool.fields) {
+      lines.push(`    ${f.field}: ${show(f.from)} -> ${show(f.to)}`)
+    }
+  }
+  return lines
+}
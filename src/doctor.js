@@ -0,0 +1,374 @@
+import { generateMongoId } from './id-generator.js'
+import { partsToTemplate } from './vf-parser.js'
+
+const isHexId = (id) => typeof id === 'string' && /^[0-9a-f]{24}$/.test(id)
+
+// Visit every { variableID } part of an API tool's url, query parameters, headers and body
+function forEachVariableRef(tool, fn) {
+  const visit = (parts) => {
+    if (!Array.isArray(parts)) return
+    for (const part of parts) {
+      if (part && typeof part === 'object') {
+        if (part.variableID !== undefined) fn(part)
+        else if (Array.isArray(part.text)) visit(part.text)
+      }
+    }
+  }
+  visit(tool.url)
+  for (const field of ['queryParameters', 'headers']) {
+    if (Array.isArray(tool[field])) {
+      tool[field].forEach((entry) => entry && visit(entry.value))
+    }
+  }
+  if (tool.body && Array.isArray(tool.body.content)) visit(tool.body.content)
+}
+
+// Normalize a header/query value into [{ text: [...] }]
+function toTextBlocks(value) {
+  if (Array.isArray(value)) {
+    if (value.every((block) => block && Array.isArray(block.text))) {
+      return value
+    }
+    return [{ text: value }]
+  }
+  return [
+    { text: [value === undefined || value === null ? '' : String(value)] },
+  ]
+}
+
+// Flatten instructions of any shape into a plain string
+function instructionsToString(instructions) {
+  if (typeof instructions === 'string') return instructions
+  if (Array.isArray(instructions)) {
+    return instructions
+      .map((block) =>
+        typeof block === 'string'
+          ? block
+          : partsToTemplate(block && block.text, {})
+      )
+      .join('\n')
+  }
+  return ''
+}
+
+/**
+ * Repair common damage in a .vf project: duplicate or malformed IDs, dangling references,
+ * orphaned variables, wrongly shaped instructions and missing required fields.
+ * @param {object} data - Parsed .vf JSON (mutated in place)
+ * @returns {Array<{path: string, message: string}>} - The repairs that were made
+ */
+export function repairProject(data) {
+  const fixes = []
+  const fix = (path, message) => fixes.push({ path, message })
+  const now = new Date().toISOString()
+  const creatorID = data.version?.creatorID ?? null
+
+  for (const collection of [
+    'agents',
+    'apiTools',
+    'apiToolInputVariables',
+    'agentAPITools',
+  ]) {
+    if (data[collection] === undefined || data[collection] === null) continue
+    if (!Array.isArray(data[collection])) {
+      data[collection] = []
+      fix(collection, 'Replaced non-array value with an empty array')
+    } else if (
+      data[collection].some((item) => !item || typeof item !== 'object')
+    ) {
+      data[collection] = data[collection].filter(
+        (item) => item && typeof item === 'object'
+      )
+      fix(collection, 'Removed entries that are not objects')
+    }
+  }
+  const list = (collection) =>
+    Array.isArray(data[collection]) ? data[collection] : []
+
+  // 1. Duplicate root agents (same agent listed twice)
+  const agentIds = new Set()
+  if (Array.isArray(data.agents)) {
+    data.agents = data.agents.filter((agent, idx) => {
+      if (agentIds.has(agent.id)) {
+        fix(`agents[${idx}]`, `Removed duplicate entry for agent ${agent.id}`)
+        return false
+      }
+      agentIds.add(agent.id)
+      return true
+    })
+  }
+
+  // 2. Regenerate duplicate or malformed IDs, updating the references that can be resolved
+  const seenIds = new Set(agentIds)
+  const freshId = (id, path) => {
+    if (isHexId(id) && !seenIds.has(id)) {
+      seenIds.add(id)
+      return id
+    }
+    const newId = generateMongoId()
+    seenIds.add(newId)
+    fix(
+      path,
+      `Regenerated ${isHexId(id) ? 'duplicate' : 'invalid'} ID ${JSON.stringify(id)} as ${newId}`
+    )
+    return newId
+  }
+  list('apiTools').forEach((tool, idx) => {
+    const oldId = tool.id
+    tool.id = freshId(oldId, `apiTools[${idx}].id`)
+    if (tool.id !== oldId && !isHexId(oldId)) {
+      // A malformed ID is unique to this tool, so its links and variables can follow it
+      list('agentAPITools').forEach((link) => {
+        if (link.apiToolID === oldId) link.apiToolID = tool.id
+      })
+      list('apiToolInputVariables').forEach((v) => {
+        if (v.apiToolID === oldId) v.apiToolID = tool.id
+      })
+    }
+  })
+  list('apiToolInputVariables').forEach((variable, idx) => {
+    const oldId = variable.id
+    variable.id = freshId(oldId, `apiToolInputVariables[${idx}].id`)
+    if (variable.id !== oldId) {
+      // Only the variable's own tool can refer to it
+      const tool = list('apiTools').find((t) => t.id === variable.apiToolID)
+      if (tool) {
+        forEachVariableRef(tool, (part) => {
+          if (part.variableID === oldId) part.variableID = variable.id
+        })
+      }
+    }
+  })
+  list('agentAPITools').forEach((link, idx) => {
+    link.id = freshId(link.id, `agentAPITools[${idx}].id`)
+  })
+  list('apiTools').forEach((tool, idx) => {
+    for (const field of ['headers', 'queryParameters']) {
+      if (!Array.isArray(tool[field])) continue
+      tool[field].forEach((entry, entryIdx) => {
+        if (!entry || typeof entry !== 'object') return
+        entry.id = freshId(
+          entry.id,
+          `apiTools[${idx}].${field}[${entryIdx}].id`
+        )
+      })
+    }
+  })
+
+  // 3. Required fields on API tools, header/query entries and variables
+  list('apiTools').forEach((tool, idx) => {
+    const path = `apiTools[${idx}]`
+    const defaults = {
+      name: '',
+      description: '',
+      url: [{ text: [''] }],
+      httpMethod: 'get',
+      createdAt: now,
+      updatedAt: now,
+      createdByID: creatorID,
+      updatedByID: creatorID,
+      folderID: null,
+      body: null,
+      image: null,
+      headers: [],
+      queryParameters: [],
+    }
+    for (const [field, value] of Object.entries(defaults)) {
+      if (tool[field] === undefined) {
+        tool[field] = value
+        fix(`${path}.${field}`, `Added missing field '${field}'`)
+      }
+    }
+    if (typeof tool.url === 'string') {
+      tool.url = [{ text: [tool.url] }]
+      fix(`${path}.url`, 'Converted URL string to [{ text: [...] }]')
+    }
+    if (
+      typeof tool.httpMethod === 'string' &&
+      tool.httpMethod !== tool.httpMethod.toLowerCase()
+    ) {
+      tool.httpMethod = tool.httpMethod.toLowerCase()
+      fix(`${path}.httpMethod`, 'Lowercased HTTP method')
+    }
+    for (const field of ['headers', 'queryParameters']) {
+      if (!Array.isArray(tool[field])) {
+        tool[field] = []
+        fix(`${path}.${field}`, 'Replaced non-array value with an empty array')
+        continue
+      }
+      tool[field] = tool[field].filter((entry, entryIdx) => {
+        if (!entry || typeof entry !== 'object' || !entry.key) {
+          fix(`${path}.${field}[${entryIdx}]`, 'Removed entry without a key')
+          return false
+        }
+        const value = toTextBlocks(entry.value)
+        if (value !== entry.value) {
+          entry.value = value
+          fix(
+            `${path}.${field}[${entryIdx}].value`,
+            'Converted value to [{ text: [...] }]'
+          )
+        }
+        return true
+      })
+    }
+  })
+  list('apiToolInputVariables').forEach((variable, idx) => {
+    if (variable.createdAt === undefined) {
+      variable.createdAt = now
+      fix(
+        `apiToolInputVariables[${idx}].createdAt`,
+        "Added missing field 'createdAt'"
+      )
+    }
+    if (variable.description === undefined || variable.description === null) {
+      variable.description = ''
+      fix(
+        `apiToolInputVariables[${idx}].description`,
+        "Added missing field 'description'"
+      )
+    }
+  })
+
+  // 4. Variable references that resolve to nothing or to another tool's variable
+  const variablesById = new Map(
+    list('apiToolInputVariables').map((v) => [v.id, v])
+  )
+  list('apiTools').forEach((tool, idx) => {
+    const copies = {}
+    forEachVariableRef(tool, (part) => {
+      const variable = variablesById.get(part.variableID)
+      if (variable && variable.apiToolID === tool.id) return
+      if (!copies[part.variableID]) {
+        const id = generateMongoId()
+        const name = variable
+          ? variable.name
+          : `variable_${Object.keys(copies).length + 1}`
+        const created = {
+          id,
+          name,
+          apiToolID: tool.id,
+          description: variable ? variable.description || '' : '',
+          createdAt: now,
+        }
+        if (!Array.isArray(data.apiToolInputVariables)) {
+          data.apiToolInputVariables = []
+        }
+        data.apiToolInputVariables.push(created)
+        variablesById.set(id, created)
+        copies[part.variableID] = id
+        fix(
+          `apiTools[${idx}]`,
+          variable
+            ? `Copied variable '${name}' from API tool ${variable.apiToolID}`
+            : `Created missing variable '${name}' for reference ${part.variableID}`
+        )
+      }
+      part.variableID = copies[part.variableID]
+    })
+  })
+
+  // 5. Orphaned variables and dangling agent links
+  const toolIds = new Set(list('apiTools').map((t) => t.id))
+  if (Array.isArray(data.apiToolInputVariables)) {
+    data.apiToolInputVariables = data.apiToolInputVariables.filter(
+      (variable, idx) => {
+        if (toolIds.has(variable.apiToolID)) return true
+        fix(
+          `apiToolInputVariables[${idx}]`,
+          `Removed orphaned variable '${variable.name}' (API tool ${variable.apiToolID} does not exist)`
+        )
+        return false
+      }
+    )
+  }
+  if (Array.isArray(data.agentAPITools)) {
+    data.agentAPITools = data.agentAPITools.filter((link, idx) => {
+      if (!toolIds.has(link.apiToolID)) {
+        fix(
+          `agentAPITools[${idx}]`,
+          `Removed link to missing API tool ${link.apiToolID}`
+        )
+        return false
+      }
+      if (!agentIds.has(link.agentID)) {
+        fix(
+          `agentAPITools[${idx}]`,
+          `Removed link to missing agent ${link.agentID}`
+        )
+        return false
+      }
+      return true
+    })
+    data.agentAPITools.forEach((link, idx) => {
+      const defaults = {
+        createdAt: now,
+        description: null,
+        inputVariables: {},
+        captureResponse: null,
+      }
+      for (const [field, value] of Object.entries(defaults)) {
+        if (link[field] === undefined) {
+          link[field] = value
+          fix(
+            `agentAPITools[${idx}].${field}`,
+            `Added missing field '${field}'`
+          )
+        }
+      }
+    })
+  }
+
+  // 6. Instructions shape and required agent fields
+  list('agents').forEach((agent, idx) => {
+    const path = `agents[${idx}]`
+    if (
+      !Array.isArray(agent.instructions) ||
+      !agent.instructions.every((block) => block && Array.isArray(block.text))
+    ) {
+      agent.instructions = [
+        { text: [instructionsToString(agent.instructions)] },
+      ]
+      fix(`${path}.instructions`, 'Restored instructions to [{ text: [...] }]')
+    }
+    const defaults = {
+      createdAt: now,
+      updatedAt: now,
+      folderID: null,
+      settings: {},
+    }
+    for (const [field, value] of Object.entries(defaults)) {
+      if (agent[field] === undefined) {
+        agent[field] = value
+        fix(`${path}.${field}`, `Added missing field '${field}'`)
+      }
+    }
+  })
+  const programAgents = data.version?.programResources?.agents || {}
+  for (const [id, agent] of Object.entries(programAgents)) {
+    if (
+      agent &&
+      agent.instructions !== undefined &&
+      typeof agent.instructions !== 'string'
+    ) {
+      agent.instructions = instructionsToString(agent.instructions)
+      fix(
+        `version.programResources.agents.${id}.instructions`,
+        'Restored instructions to a plain string'
+      )
+    }
+  }
+  const surveyor = data.version?.prototype?.surveyorContext
+  if (surveyor && Array.isArray(surveyor.referencedAgentsIDs)) {
+    const kept = surveyor.referencedAgentsIDs.filter((id) => agentIds.has(id))
+    if (kept.length !== surveyor.referencedAgentsIDs.length) {
+      surveyor.referencedAgentsIDs = kept
+      fix(
+        'version.prototype.surveyorContext.referencedAgentsIDs',
+        'Removed references to missing agents'
+      )
+    }
+  }
+
+  return fixes
+}
@@ -0,0 +1,192 @@
+import fs from 'fs'
+import path from 'path'
+
+const FIXTURES_DIR = path.join(
+  path.dirname(new URL(import.meta.url).pathname),
+  '..',
+  'tools',
+  'fixtures'
+)
+
+/**
+ * Get the directory holding a project's tool fixtures.
+ * @param {string} project - Project name
+ * @returns {string}
+ */
+export function getFixturesDir(project) {
+  return path.join(FIXTURES_DIR, project)
+}
+
+// Fixture filename of a tool
+const fixtureFileName = (toolName) =>
+  String(toolName).replace(/[^a-zA-Z0-9_-]+/g, '_') + '.json'
+
+/**
+ * Load the fixtures of a directory, one file per tool:
+ * { tool, cases: [{ name, variables, expect: { status, schema }, response: { status, headers, body } }] }
+ * @param {string} dir
+ * @returns {Array<{file: string, tool: string, cases: Array<object>}>}
+ */
+export function loadFixtures(dir) {
+  if (!fs.existsSync(dir)) return []
+  return fs
+    .readdirSync(dir)
+    .filter((f) => f.endsWith('.json'))
+    .map((f) => {
+      const file = path.join(dir, f)
+      const fixture = JSON.parse(fs.readFileSync(file, 'utf8'))
+      if (!fixture.tool || !Array.isArray(fixture.cases)) {
+        throw new Error(
+          `Invalid fixture ${file}: expected { "tool": "...", "cases": [...] }`
+        )
+      }
+      return { file, ...fixture }
+    })
+}
+
+/**
+ * Save the fixture of a tool, creating the directory if needed.
+ * @param {string} dir
+ * @param {{tool: string, cases: Array<object>}} fixture
+ * @returns {string} - Path of the fixture file
+ */
+export function saveFixture(dir, fixture) {
+  fs.mkdirSync(dir, { recursive: true })
+  const file = fixture.file || path.join(dir, fixtureFileName(fixture.tool))
+  const { tool, cases } = fixture
+  fs.writeFileSync(file, JSON.stringify({ tool, cases }, null, 2) + '\n')
+  return file
+}
+
+// JSON schema type name of a value
+function typeOf(value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'number'
+  }
+  return typeof value
+}
+
+/**
+ * Infer a JSON schema (type, properties, required, items) from a sample value.
+ * @param {*} value
+ * @returns {object}
+ */
+export function inferSchema(value) {
+  const type = typeOf(value)
+  if (type === 'object') {
+    return {
+      type,
+      properties: Object.fromEntries(
+        Object.entries(value).map(([key, v]) => [key, inferSchema(v)])
+      ),
+      required: Object.keys(value),
+    }
+  }
+  if (type === 'array') {
+    return value.length > 0 ? { type, items: inferSchema(value[0]) } : { type }
+  }
+  return { type }
+}
+
+/**
+ * Check a value against a JSON schema subset: type (string or list), properties, required, items and enum.
+ * @param {*} value
+ * @param {object} schema
+ * @param {string} [at='$'] - Path of the value, used in the messages
+ * @returns {string[]} - Mismatches, empty when the value matches
+ */
+export function checkSchema(value, schema, at = '$') {
+  if (!schema || typeof schema !== 'object') return []
+  const errors = []
+  const actual = typeOf(value)
+  if (schema.type) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type]
+    // An integer is also a number
+    const matches =
+      allowed.includes(actual) ||
+      (actual === 'integer' && allowed.includes('number'))
+    if (!matches) {
+      return [`${at}: expected ${allowed.join(' or ')}, got ${actual}`]
+    }
+  }
+  if (schema.enum && !schema.enum.some((e) => e === value)) {
+    errors.push(
+      `${at}: ${JSON.stringify(value)} is not one of the allowed values`
+    )
+  }
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${at}.${key}: missing`)
+    }
+    for (const [key, propertySchema] of Object.entries(
+      schema.properties || {}
+    )) {
+      if (key in value) {
+        errors.push(...checkSchema(value[key], propertySchema, `${at}.${key}`))
+      }
+    }
+  }
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, idx) =>
+      errors.push(...checkSchema(item, schema.items, `${at}[${idx}]`))
+    )
+  }
+  return errors
+}
+
+/**
+ * Compare a response with a case's expectations.
+ * @param {{ status: number|null, body: string, error: string|null }} response - From executeRequest
+ * @param {{ status?: number, schema?: object }} expect
+ * @returns {string[]} - Drift, empty when the response matches
+ */
+export function checkResponse(response, expect = {}) {
+  if (response.error) return [`request failed: ${response.error}`]
+  const drift = []
+  if (expect.status !== undefined && response.status !== expect.status) {
+    drift.push(`status: expected ${expect.status}, got ${response.status}`)
+  }
+  if (expect.schema) {
+    let body
+    try {
+      body = JSON.parse(response.body)
+    } catch {
+      return [...drift, 'body: expected JSON, got something else']
+    }
+    drift.push(...checkSchema(body, expect.schema))
+  }
+  return drift
+}
+
+/**
+ * Build a fixture case from a recorded response: the response is kept for the mock server and its
+ * status and inferred schema become the expectations.
+ * @param {string} name
+ * @param {object} variables - Map of variable name to value
+ * @param {{ status: number, headers: object, body: string }} response - From executeRequest
+ * @returns {object}
+ */
+export function recordCase(name, variables, response) {
+  let body
+  try {
+    body = JSON.parse(response.body)
+  } catch {
+    body = response.body
+  }
+  const contentType = response.headers['content-type']
+  return {
+    name,
+    variables,
+    expect: {
+      status: response.status,
+      ...(typeof body === 'string' ? {} : { schema: inferSchema(body) }),
+    },
+    response: {
+      status: response.status,
+      headers: contentType ? { 'content-type': contentType } : {},
+      body,
+    },
+  }
+}
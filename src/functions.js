@@ -0,0 +1,505 @@
+import { Worker } from 'worker_threads'
+import { generateMongoId } from './id-generator.js'
+
+// Declaration tags of a function's doc comment: @input name - text, @output name - text, @path name - label
+const TAG_PATTERN =
+  /^@(input|output|path|name)\s+([a-zA-Z_][a-zA-Z0-9_]*)?\s*(?:-\s*)?(.*)$/
+
+/**
+ * Read the declarations of a Voiceflow function module from its first doc comment: its description,
+ * then `@input name - description`, `@output name - description` and `@path name - label` tags, and an
+ * optional `@name`.
+ * @param {string} code - JavaScript source
+ * @returns {{ name: string|null, description: string, inputs: Array<{name: string, description: string}>, outputs: Array<{name: string, description: string}>, paths: Array<{name: string, label: string}> }}
+ */
+export function parseFunctionSource(code) {
+  if (!/\bexport\s+default\b/.test(code)) {
+    throw new Error(
+      'The function must be the default export: export default async function main(args) { ... }'
+    )
+  }
+  const comment = code.match(/\/\*\*([\s\S]*?)\*\//)
+  const lines = comment
+    ? comment[1].split('\n').map((line) => line.replace(/^\s*\*\s?/, '').trim())
+    : []
+  const declared = {
+    name: null,
+    description: [],
+    inputs: [],
+    outputs: [],
+    paths: [],
+  }
+  const seen = new Set()
+  let inTags = false
+  for (const line of lines) {
+    if (!line.startsWith('@')) {
+      // The description is the text before the first tag
+      if (line && !inTags) declared.description.push(line)
+      continue
+    }
+    inTags = true
+    const tag = line.match(TAG_PATTERN)
+    if (!tag) continue
+    const [, kind, name, text] = tag
+    if (kind === 'name') {
+      declared.name = (name ? `${name} ${text}` : text).trim()
+      continue
+    }
+    if (!name) throw new Error(`@${kind} needs a name: ${line}`)
+    if (seen.has(`${kind} ${name}`)) {
+      throw new Error(`@${kind} ${name} is declared twice`)
+    }
+    seen.add(`${kind} ${name}`)
+    if (kind === 'path') declared.paths.push({ name, label: text || name })
+    else declared[`${kind}s`].push({ name, description: text })
+  }
+  return { ...declared, description: declared.description.join(' ') }
+}
+
+// Sync a function's child collection (variables or paths) with a declaration list, keeping IDs by name
+function syncByName(data, collection, functionID, entries, toEntry) {
+  if (!Array.isArray(data[collection])) data[collection] = []
+  const existing = data[collection].filter((e) => e.functionID === functionID)
+  const kept = entries.map((entry) => {
+    const current = existing.find(
+      (e) => e.name === entry.name && (!entry.type || e.type === entry.type)
+    )
+    return {
+      ...(current || {
+        id: generateMongoId(),
+        functionID,
+        createdAt: new Date().toISOString(),
+      }),
+      ...toEntry(entry),
+    }
+  })
+  data[collection] = [
+    ...data[collection].filter((e) => e.functionID !== functionID),
+    ...kept,
+  ]
+  return kept
+}
+
+/**
+ * Embed a JavaScript function in a project, or update the function with the same name: its code,
+ * input and output variables and paths. IDs of variables and paths that keep their name are kept.
+ * @param {object} data - Parsed .vf JSON (mutated in place)
+ * @param {object} spec
+ * @param {string} spec.name
+ * @param {string} [spec.description='']
+ * @param {string} spec.code - JavaScript source (default export)
+ * @param {Array<{name: string, description: string}>} [spec.inputs]
+ * @param {Array<{name: string, description: string}>} [spec.outputs]
+ * @param {Array<{name: string, label: string}>} [spec.paths]
+ * @returns {{ fn: object, created: boolean }} - The functions entry and whether it is new
+ */
+export function upsertFunction(data, spec) {
+  const { name, description = '', code } = spec
+  if (!name) throw new Error('Function name is required')
+  if (!Array.isArray(data.functions)) data.functions = []
+  const creatorID = data.version?.creatorID ?? null
+  const now = new Date().toISOString()
+  let fn = data.functions.find((f) => f.name === name)
+  const created = !fn
+  if (created) {
+    fn = {
+      id: generateMongoId(),
+      name,
+      createdAt: now,
+      createdByID: creatorID,
+      folderID: null,
+      image: null,
+    }
+    data.functions.push(fn)
+  }
+  Object.assign(fn, {
+    description,
+    code,
+    updatedAt: now,
+    updatedByID: creatorID,
+  })
+  syncByName(
+    data,
+    'functionVariables',
+    fn.id,
+    [
+      ...(spec.inputs || []).map((v) => ({ ...v, type: 'input' })),
+      ...(spec.outputs || []).map((v) => ({ ...v, type: 'output' })),
+    ],
+    (v) => ({ name: v.name, type: v.type, description: v.description || '' })
+  )
+  const paths = syncByName(
+    data,
+    'functionPaths',
+    fn.id,
+    spec.paths || [],
+    (p) => ({ name: p.name, label: p.label || p.name })
+  )
+  fn.pathOrder = paths.map((p) => p.id)
+  // Agent links keep presets only for inputs that still exist
+  const inputIds = new Set(
+    data.functionVariables
+      .filter((v) => v.functionID === fn.id && v.type === 'input')
+      .map((v) => v.id)
+  )
+  for (const link of data.agentFunctionTools || []) {
+    if (link.functionID !== fn.id || !link.inputVariables) continue
+    for (const id of Object.keys(link.inputVariables)) {
+      if (!inputIds.has(id)) delete link.inputVariables[id]
+    }
+  }
+  return { fn, created }
+}
+
+/**
+ * Link a function to an agent as a function tool (no-op when already linked).
+ * @param {object} data - Parsed .vf JSON (mutated in place)
+ * @param {object} fn - functions entry
+ * @param {string} agentId
+ * @param {string|null} [description] - What the agent uses the function for (null uses the function's)
+ * @returns {{ link: object, created: boolean }}
+ */
+export function linkFunction(data, fn, agentId, description) {
+  if (!Array.isArray(data.agentFunctionTools)) data.agentFunctionTools = []
+  let link = data.agentFunctionTools.find(
+    (l) => l.functionID === fn.id && l.agentID === agentId
+  )
+  const created = !link
+  if (created) {
+    link = {
+      id: generateMongoId(),
+      agentID: agentId,
+      functionID: fn.id,
+      createdAt: new Date().toISOString(),
+      description: null,
+      inputVariables: {},
+    }
+    data.agentFunctionTools.push(link)
+  }
+  if (description !== undefined) link.description = description || null
+  return { link, created }
+}
+
+// Installs the sandbox's globals from inside its own realm and returns the function the worker calls
+// back with timer and fetch results. Host objects never enter the sandbox (their constructors would
+// reach `process`): the bridge to the worker only passes strings and numbers, as JSON where needed.
+const SANDBOX_SOURCE = `(function (bridge) {
+  'use strict'
+  const call = (name, ...args) => {
+    const reply = JSON.parse(bridge(name, ...args))
+    if (reply.error !== undefined) throw new Error(reply.error)
+    return reply.value
+  }
+  let nextId = 1
+  const text = (value) => (typeof value === 'string' ? value : JSON.stringify(value))
+  const log = (level) => (...args) =>
+    call('log', (level === 'log' ? '' : '[' + level + '] ') + args.map(text).join(' '))
+  globalThis.console = { log: log('log'), info: log('info'), warn: log('warn'), error: log('error') }
+
+  const timers = new Map()
+  globalThis.setTimeout = (callback, ms, ...args) => {
+    const id = nextId++
+    timers.set(id, () => callback(...args))
+    call('setTimeout', id, Number(ms) || 0)
+    return id
+  }
+  globalThis.clearTimeout = (id) => {
+    if (timers.delete(id)) call('clearTimeout', id)
+  }
+
+  const requests = new Map()
+  globalThis.fetch = (resource, init = {}) =>
+    new Promise((resolve, reject) => {
+      const id = nextId++
+      requests.set(id, { resolve, reject })
+      try {
+        const { method, headers, body } = init
+        call('fetch', id, JSON.stringify({ url: String(resource), init: { method, headers, body } }))
+      } catch (err) {
+        requests.delete(id)
+        reject(err)
+      }
+    })
+  const response = (res) => ({
+    ok: res.ok,
+    status: res.status,
+    statusText: res.statusText,
+    url: res.url,
+    headers: {
+      get: (name) => {
+        const header = res.headers.find(([key]) => key === String(name).toLowerCase())
+        return header ? header[1] : null
+      },
+    },
+    text: async () => res.body,
+    json: async () => JSON.parse(res.body),
+  })
+
+  globalThis.atob = (data) => call('atob', String(data))
+  globalThis.btoa = (data) => call('btoa', String(data))
+  globalThis.TextEncoder = class TextEncoder {
+    get encoding() {
+      return 'utf-8'
+    }
+    encode(input = '') {
+      return new Uint8Array(JSON.parse(call('encode', String(input))))
+    }
+  }
+  globalThis.TextDecoder = class TextDecoder {
+    get encoding() {
+      return 'utf-8'
+    }
+    decode(bytes) {
+      if (bytes === undefined) return ''
+      const list = Array.from(bytes instanceof ArrayBuffer ? new Uint8Array(bytes) : bytes)
+      return call('decode', JSON.stringify(list))
+    }
+  }
+
+  const decodePart = (part) => decodeURIComponent(part.replace(/\\+/g, ' '))
+  const encodePart = (part) => encodeURIComponent(part).replace(/%20/g, '+')
+  class URLSearchParams {
+    constructor(init = '') {
+      this.list = []
+      if (typeof init === 'string') {
+        for (const pair of init.replace(/^\\?/, '').split('&').filter(Boolean)) {
+          const [key, ...value] = pair.split('=')
+          this.list.push([decodePart(key), decodePart(value.join('='))])
+        }
+      } else if (init) {
+        const entries = typeof init[Symbol.iterator] === 'function' ? init : Object.entries(init)
+        for (const [key, value] of entries) this.list.push([String(key), String(value)])
+      }
+    }
+    append(key, value) {
+      this.list.push([String(key), String(value)])
+    }
+    delete(key) {
+      this.list = this.list.filter(([k]) => k !== String(key))
+    }
+    get(key) {
+      const entry = this.list.find(([k]) => k === String(key))
+      return entry ? entry[1] : null
+    }
+    getAll(key) {
+      return this.list.filter(([k]) => k === String(key)).map(([, v]) => v)
+    }
+    has(key) {
+      return this.list.some(([k]) => k === String(key))
+    }
+    set(key, value) {
+      const at = this.list.findIndex(([k]) => k === String(key))
+      this.delete(key)
+      this.list.splice(at < 0 ? this.list.length : at, 0, [String(key), String(value)])
+    }
+    forEach(callback) {
+      this.list.forEach(([key, value]) => callback(value, key, this))
+    }
+    entries() {
+      return this.list.map(([key, value]) => [key, value])[Symbol.iterator]()
+    }
+    keys() {
+      return this.list.map(([key]) => key)[Symbol.iterator]()
+    }
+    values() {
+      return this.list.map(([, value]) => value)[Symbol.iterator]()
+    }
+    [Symbol.iterator]() {
+      return this.entries()
+    }
+    toString() {
+      return this.list.map(([key, value]) => encodePart(key) + '=' + encodePart(value)).join('&')
+    }
+  }
+  class URL {
+    constructor(url, base) {
+      Object.assign(this, JSON.parse(call('url', String(url), base === undefined ? '' : String(base))))
+      this.searchParams = new URLSearchParams(this.search)
+    }
+    toString() {
+      return this.href
+    }
+    toJSON() {
+      return this.href
+    }
+  }
+  globalThis.URLSearchParams = URLSearchParams
+  globalThis.URL = URL
+
+  return (kind, id, json) => {
+    if (kind === 'timer') {
+      const callback = timers.get(id)
+      timers.delete(id)
+      if (callback) callback()
+      return
+    }
+    const request = requests.get(id)
+    requests.delete(id)
+    const reply = JSON.parse(json)
+    if (reply.error !== undefined) request.reject(new TypeError(reply.error))
+    else request.resolve(response(reply))
+  }
+})`
+
+// Runs in a worker thread: builds the sandbox, calls the function and posts its logs and result. The
+// timers and requests the bridge starts belong to the worker, so terminating it stops them all.
+const WORKER_SOURCE = `
+const { parentPort, workerData } = require('worker_threads')
+const vm = require('vm')
+const { code, inputs, allowNetwork, sandbox } = workerData
+// A null-prototype global leaves the sandbox no path to the worker's Object and Function
+const context = vm.createContext(Object.create(null))
+const timers = new Map()
+let fire
+const host = {
+  log: (text) => parentPort.postMessage({ log: text }),
+  setTimeout: (id, ms) =>
+    timers.set(id, setTimeout(() => {
+      timers.delete(id)
+      fire('timer', id)
+    }, ms)),
+  clearTimeout: (id) => {
+    clearTimeout(timers.get(id))
+    timers.delete(id)
+  },
+  fetch: (id, request) => {
+    if (!allowNetwork) throw new Error('fetch is disabled (use --allow-network)')
+    const { url, init } = JSON.parse(request)
+    fetch(url, init)
+      .then(async (res) =>
+        JSON.stringify({
+          ok: res.ok,
+          status: res.status,
+          statusText: res.statusText,
+          url: res.url,
+          headers: [...res.headers],
+          body: await res.text(),
+        })
+      )
+      .catch((err) => JSON.stringify({ error: err?.message ?? String(err) }))
+      .then((reply) => fire('fetch', id, reply))
+  },
+  atob: (data) => atob(data),
+  btoa: (data) => btoa(data),
+  encode: (input) => JSON.stringify([...new TextEncoder().encode(input)]),
+  decode: (bytes) => new TextDecoder().decode(new Uint8Array(JSON.parse(bytes))),
+  url: (url, base) => {
+    const u = new URL(url, base || undefined)
+    return JSON.stringify({
+      href: u.href, origin: u.origin, protocol: u.protocol, username: u.username,
+      password: u.password, host: u.host, hostname: u.hostname, port: u.port,
+      pathname: u.pathname, search: u.search, hash: u.hash,
+    })
+  },
+}
+// Only primitives cross: the sandbox gets a JSON string back, never a host object or error
+const bridge = (name, ...args) => {
+  try {
+    if (!Object.hasOwn(host, name) || args.some((a) => a !== null && typeof a === 'object')) {
+      throw new Error('Not available in the sandbox')
+    }
+    return JSON.stringify({ value: host[name](...args) })
+  } catch (err) {
+    return JSON.stringify({ error: String(err?.message ?? err) })
+  }
+}
+Promise.resolve()
+  .then(() => {
+    fire = vm.runInContext(sandbox, context, { filename: 'sandbox.js' })(bridge)
+    vm.runInContext(code, context, { filename: 'function.js' })
+    if (typeof context.__main__ !== 'function') {
+      throw new Error('The default export is not a function')
+    }
+    // The arguments are built inside the sandbox, from JSON
+    return vm.runInContext(
+      '__main__(JSON.parse(' + JSON.stringify(JSON.stringify({ inputVars: inputs })) + '))',
+      context
+    )
+  })
+  .then((result) => {
+    parentPort.postMessage({
+      result: {
+        outputVars: result?.outputVars || {},
+        path: result?.next?.path ?? null,
+        trace: Array.isArray(result?.trace) ? result.trace : [],
+      },
+    })
+  })
+  .catch((err) => parentPort.postMessage({ error: err?.message ?? String(err) }))
+`
+
+/**
+ * Run a function module locally in a sandbox, the way Voiceflow calls it:
+ * `main({ inputVars })` returning `{ outputVars, next: { path }, trace }`. The function runs in a worker
+ * thread that is terminated at the time limit, so loops after an `await` and pending timers stop too.
+ * @param {string} code - JavaScript source (default export)
+ * @param {object} inputs - Map of input variable name to value
+ * @param {object} [options]
+ * @param {number} [options.timeout=5000] - Time limit in milliseconds
+ * @param {boolean} [options.allowNetwork=false] - Give the function `fetch`
+ * @returns {Promise<{ outputVars: object, path: string|null, trace: Array<object>, logs: string[] }>}
+ */
+export async function runFunction(code, inputs, options = {}) {
+  const { timeout = 5000, allowNetwork = false } = options
+  // The sandbox has no module loader: the default export becomes a global
+  const script = code.replace(/\bexport\s+default\s+/, 'globalThis.__main__ = ')
+  if (/^\s*(import|export)\s/m.test(script)) {
+    throw new Error(
+      'Functions cannot import modules or have other exports: Voiceflow runs them on their own'
+    )
+  }
+  const logs = []
+  const worker = new Worker(WORKER_SOURCE, {
+    eval: true,
+    workerData: {
+      code: script,
+      inputs: { ...inputs },
+      allowNetwork,
+      sandbox: SANDBOX_SOURCE,
+    },
+  })
+  let timer
+  try {
+    return await new Promise((resolve, reject) => {
+      timer = setTimeout(
+        () =>
+          reject(new Error(`The function did not finish within ${timeout} ms`)),
+        timeout
+      )
+      worker.on('message', (message) => {
+        if (message.log !== undefined) logs.push(message.log)
+        else if (message.error !== undefined) reject(new Error(message.error))
+        else resolve({ ...message.result, logs })
+      })
+      worker.on('error', reject)
+      worker.on('exit', () =>
+        reject(new Error('The function stopped without returning'))
+      )
+    })
+  } finally {
+    clearTimeout(timer)
+    await worker.terminate()
+  }
+}
+
+/**
+ * Compare a run with the function's declarations.
+ * @param {{ outputVars: object, path: string|null }} run - From runFunction
+ * @param {{ outputs: Array<{name: string}>, paths: Array<{name: string}> }} declared - From parseFunctionSource
+ * @returns {string[]} - Problems, empty when the run matches
+ */
+export function checkFunctionRun(run, declared) {
+  const problems = []
+  const outputs = declared.outputs.map((o) => o.name)
+  for (const name of Object.keys(run.outputVars)) {
+    if (!outputs.includes(name)) problems.push(`undeclared output '${name}'`)
+  }
+  const paths = declared.paths.map((p) => p.name)
+  if (run.path !== null && !paths.includes(run.path)) {
+    problems.push(`undeclared path '${run.path}'`)
+  }
+  if (run.path === null && paths.length > 0) {
+    problems.push(`no path taken (expected one of ${paths.join(', ')})`)
+  }
+  return problems
+}
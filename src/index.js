@@ -1,18 +1,121 @@
 #!/usr/bin/env node
 
 import dotenv from 'dotenv'
-dotenv.config()
+dotenv.config({ quiet: true })
 import inquirer from 'inquirer'
 import yargs from 'yargs'
 import { hideBin } from 'yargs/helpers'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import { isDeepStrictEqual } from 'util'
 import * as versioning from './versioning.js'
 import * as vfParser from './vf-parser.js'
+import * as apiTools from './api-tools.js'
 import fs from 'fs'
-import { generateMongoId } from './id-generator.js'
 import { askAnthropic } from './anthropic.js'
 import { addApiToolFromJson } from './api-tool-templates.js'
+import { ask, confirm, selectAgent, readOptionFile } from './prompt.js'
+import { validateProject, formatIssues } from './validator.js'
+import { repairProject } from './doctor.js'
+import { diffProjects, hasChanges, formatDiff, diffLines } from './diff.js'
+import {
+  loadOpenApiSpec,
+  listOperations,
+  operationToTool,
+  toOpenApiSpec,
+} from './openapi.js'
+import {
+  parseCurl,
+  normalizePlaceholders,
+  suggestToolName,
+  toCurl,
+} from './curl.js'
+import {
+  loadPostmanCollection,
+  listPostmanRequests,
+  postmanRequestToTool,
+  toPostmanCollection,
+} from './postman.js'
+import { renderApiTool, executeRequest, previewBody } from './tool-runner.js'
+import {
+  getFixturesDir,
+  loadFixtures,
+  saveFixture,
+  checkResponse,
+  recordCase,
+} from './fixtures.js'
+import { startMockServer, startKnowledgeBaseStandIn } from './mock-server.js'
+import {
+  DEFAULT_ENV,
+  loadSecretStore,
+  saveSecretStore,
+  resolveSecrets,
+  listProjectSecrets,
+  applySecrets,
+  maskSecrets,
+} from './secrets.js'
+import {
+  scanProject,
+  listVfFiles,
+  replaceInFile,
+  maskValue,
+} from './secret-scanner.js'
+import {
+  AGENT_TOOL_NAMES,
+  findModel,
+  checkAgentSettings,
+  getAgentSettings,
+  applyAgentSettings,
+} from './agent-settings.js'
+import { createAgent, cloneAgent, renameAgent, deleteAgent } from './agents.js'
+import {
+  addPathTool,
+  removePathTool,
+  routePathTool,
+  setStartAgent,
+  describeRouting,
+} from './routing.js'
+import {
+  parseFunctionSource,
+  upsertFunction,
+  linkFunction,
+  runFunction,
+  checkFunctionRun,
+} from './functions.js'
+import {
+  KB_MANIFEST,
+  getKnowledgeBaseDir,
+  addKbDocument,
+  kbStatus,
+  loadUploadRecord,
+  saveUploadRecord,
+} from './knowledge-base.js'
+import { loadUploader } from './kb-uploader.js'
+import {
+  listIntents,
+  findDuplicateUtterances,
+  addIntent,
+  editIntent,
+  removeIntent,
+  parseIntentFile,
+  importIntents,
+  buildUtterancePrompt,
+  parseSuggestions,
+} from './intents.js'
+import {
+  VARIABLE_TYPES,
+  addVariable,
+  findVariableReferences,
+  removeVariable,
+  renameVariable,
+} from './variables.js'
+import { mergeProjects, linkedConflictPath, describeValue } from './merge.js'
+import {
+  loadManifest,
+  buildProject,
+  exportManifest,
+  stringifyManifest,
+} from './manifest.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -66,27 +169,157 @@ function getTemplateVfFiles() {
     .map((f) => path.join(dir, f))
 }
 
-// Helper to get all versioned files for a base .vf file
-function getVersionedFiles(baseFile) {
-  const base = path.basename(baseFile, '.vf')
-  const dir = path.join(__dirname, '..', 'versions')
-  if (!fs.existsSync(dir)) return []
-  return fs
-    .readdirSync(dir)
-    .filter((f) => f.startsWith(base + '_v') && f.endsWith('.vf'))
-    .map((f) => path.join(dir, f))
+// Helper to load the list of models from models.json
+function loadModels() {
+  const modelsPath = path.join(__dirname, '..', 'models.json')
+  return JSON.parse(fs.readFileSync(modelsPath, 'utf8'))
+}
+
+// Built-in agent tools are named in kebab-case on the command line (web-search, knowledge-base, ...)
+const toolOptionName = (name) =>
+  name.replace(/[A-Z]/g, (ch) => `-${ch.toLowerCase()}`)
+
+function toolSettingName(option) {
+  const name = String(option).replace(/-([a-z])/g, (m, ch) => ch.toUpperCase())
+  if (!AGENT_TOOL_NAMES.includes(name)) {
+    throw new Error(
+      `Unknown agent tool '${option}' (expected ${AGENT_TOOL_NAMES.map(toolOptionName).join(', ')})`
+    )
+  }
+  return name
+}
+
+// Print the routing graph: the start agent, then every agent's paths and where they lead
+function printRouting(routing) {
+  const start = routing.agents.find((a) => a.id === routing.start)
+  console.log(`Start agent: ${start ? start.name : '(none)'}`)
+  for (const agent of routing.agents) {
+    console.log(`\n${agent.name} (${agent.id})`)
+    if (agent.paths.length === 0) console.log('  (no paths)')
+    for (const p of agent.paths) {
+      const target = p.target
+        ? p.target.agent
+          ? `agent '${p.target.agent}'`
+          : p.target.workflow
+            ? `workflow '${p.target.workflow}'`
+            : `step ${p.target.node}`
+        : '(not connected)'
+      console.log(`  ${p.name} -> ${target}`)
+      if (p.description) console.log(`    when: ${p.description}`)
+      if (p.variables.length > 0) {
+        console.log(`    captures: ${p.variables.join(', ')}`)
+      }
+    }
+  }
+}
+
+// Print an agent's settings, with the limits of its model
+function printAgentSettings(settings, model) {
+  const limits = []
+  if (model?.maxTokens) limits.push(`max tokens up to ${model.maxTokens}`)
+  if (model?.temperature === false) limits.push('no temperature')
+  else if (model?.temperature) {
+    limits.push(`temperature ${model.temperature.join('-')}`)
+  }
+  console.log(
+    `Model:       ${settings.model ?? '(not set)'}${limits.length > 0 ? ` (${limits.join(', ')})` : ''}`
+  )
+  console.log(`Temperature: ${settings.temperature ?? '(not set)'}`)
+  console.log(`Max tokens:  ${settings.maxTokens ?? '(not set)'}`)
+  console.log('Tools:')
+  for (const name of AGENT_TOOL_NAMES) {
+    const tool = settings.tools[name]
+    console.log(
+      `  ${toolOptionName(name).padEnd(15)} ${tool.enabled ? 'on ' : 'off'}  ${tool.description}`.trimEnd()
+    )
+  }
+}
+
+// Print which staged knowledge base documents are new, changed or missing since the last upload
+function printKbStatus(status) {
+  if (status.documents.length === 0) console.log('No documents listed.')
+  for (const doc of status.documents) {
+    const source = doc.file || doc.url
+    // Show the name only when the manifest sets one
+    const named = doc.name !== (doc.url || path.basename(doc.file))
+    console.log(
+      `  ${doc.status.padEnd(10)} ${source}${named ? `  (${doc.name})` : ''}`
+    )
+  }
+  for (const doc of status.removed) {
+    console.log(
+      `  ${'removed'.padEnd(10)} ${doc.key.replace(/^(file|url):/, '')}  (still uploaded; upload --prune removes it)`
+    )
+  }
+  for (const doc of status.stale) {
+    console.log(
+      `  ${'replaced'.padEnd(10)} ${doc.key.replace(/^(file|url):/, '')}  (earlier upload ${doc.documentID} still to remove; upload retries it)`
+    )
+  }
+  if (status.unlisted.length > 0) {
+    console.log(
+      `\nNot in the manifest: ${status.unlisted.join(', ')} (stage them with vf-copilot kb add)`
+    )
+  }
+}
+
+// Warn about utterances that train several intents (only those involving `intentNames`, when given)
+function printDuplicateUtterances(data, intentNames) {
+  const duplicates = findDuplicateUtterances(data).filter(
+    (d) => !intentNames || d.intents.some((name) => intentNames.includes(name))
+  )
+  if (duplicates.length === 0) return
+  console.warn(
+    `\nWarning: ${duplicates.length} utterance(s) train more than one intent:`
+  )
+  for (const d of duplicates) {
+    console.warn(`  "${d.text}" -> ${d.intents.join(', ')}`)
+  }
 }
 
-// Helper to get the latest versioned file (or base if none)
-function getLatestVfFile(baseFile) {
-  const versions = getVersionedFiles(baseFile)
-  if (versions.length === 0) return baseFile
-  // Sort by timestamp in filename
-  return versions.sort().slice(-1)[0]
+// Print the project's variables with their datatype, folder, default value and how often they are used
+function printVariables(data, includeSystem) {
+  const variables = (data.variables || []).filter(
+    (v) => includeSystem || !v.isSystem
+  )
+  if (variables.length === 0) {
+    console.log(
+      includeSystem
+        ? 'No variables.'
+        : 'No custom variables (--system lists the built-in ones).'
+    )
+    return
+  }
+  const folders = new Map((data.folders || []).map((f) => [f.id, f.name]))
+  const width = Math.max(...variables.map((v) => v.name.length))
+  for (const v of variables) {
+    const details = [`${v.datatype || 'any'}${v.isArray ? '[]' : ''}`]
+    if (v.isSystem) details.push('system')
+    if (v.folderID)
+      details.push(`folder: ${folders.get(v.folderID) || v.folderID}`)
+    if (
+      v.defaultValue !== null &&
+      v.defaultValue !== undefined &&
+      v.defaultValue !== ''
+    ) {
+      details.push(`default: ${v.defaultValue}`)
+    }
+    if (!v.isSystem) {
+      const uses = findVariableReferences(data, v.id).length
+      details.push(uses > 0 ? `used ${uses}x` : 'unused')
+    }
+    console.log(`  ${v.name.padEnd(width)}  ${details.join(', ')}`)
+    if (v.description) console.log(`  ${''.padEnd(width)}  ${v.description}`)
+  }
 }
 
 // Prompt user to select a .vf project file or start from template
-async function selectProjectFile() {
+async function selectProjectFile(argv = {}) {
+  if (argv.interactive === false) {
+    throw new Error(
+      'Missing required argument [file] (prompts are disabled by --no-interactive)'
+    )
+  }
   const templateFiles = getTemplateVfFiles()
   const vfFiles = getVfFiles()
   if (vfFiles.length === 0 && templateFiles.length === 0) {
@@ -135,14 +368,51 @@ async function selectProjectFile() {
   return selectedFile
 }
 
-// Helper to ensure a versioned file exists for a given base file
+// Helper to ensure a working file (with version history) exists for a given base file
 function ensureVersionedFile(baseFile) {
-  let latest = getLatestVfFile(baseFile)
-  if (latest === baseFile) {
-    versioning.saveNewVersion(baseFile)
-    latest = getLatestVfFile(baseFile)
+  return versioning.ensureWorkingFile(baseFile)
+}
+
+// Helper to build the metadata recorded with a saved version
+function versionMeta(argv, agent) {
+  return {
+    command: argv._ && argv._[0] ? String(argv._[0]) : null,
+    message: argv.message,
+    agent,
   }
-  return latest
+}
+
+// Helper to resolve the working file from the [file] argument or a prompt
+async function resolveWorkingFile(argv) {
+  const projectFile = argv.file || (await selectProjectFile(argv))
+  return ensureVersionedFile(projectFile)
+}
+
+// Helper to report whether an edit saved a new version (unchanged content saves none)
+function printVersionSaved(saved) {
+  console.log(saved ? 'Version saved.' : 'No changes, so no version was saved.')
+}
+
+// Helper to resolve the file a listing command reads: the project's working file once it has one, so
+// it shows what earlier commands changed, unless a saved version is named
+async function resolveReadFile(argv) {
+  const file = argv.file || (await selectProjectFile(argv))
+  if (versioning.isSavedVersion(file)) return file
+  const workingFile = versioning.getWorkingFile(versioning.getProjectName(file))
+  return fs.existsSync(workingFile) ? workingFile : file
+}
+
+// Helper to split "key=value" (or "key:value") pairs from CLI options or a comma-separated prompt answer
+function parsePairs(input, separator) {
+  const items = Array.isArray(input) ? input : String(input || '').split(',')
+  return items
+    .map((s) => String(s).trim())
+    .filter(Boolean)
+    .map((pair) => {
+      const [key, ...rest] = pair.split(separator)
+      return { key: key.trim(), value: rest.join(separator).trim() }
+    })
+    .filter((p) => p.key)
 }
 
 // Helper to build a prompt for Anthropic to generate agent instructions
@@ -161,63 +431,112 @@ function buildApiToolPrompt(apiDescription) {
   return `You are an expert Voiceflow agent designer.\n\nGiven the following API description or endpoint, generate a Voiceflow API tool definition as a JSON object.\n\nAPI description or endpoint:\n${apiDescription}\n\nOutput a JSON object with the following fields:\n- name (string)\n- description (string)\n- url (string, with {{variable}} for parameters)\n- method (string, e.g., GET, POST)\n- queryParameters (array of strings or objects)\n- variables (array of { name, description })\n\nOnly output the JSON object, nothing else.`
 }
 
+// yargs builders shared by several commands
+function fileArgument(yargs) {
+  return yargs.positional('file', {
+    describe: 'Path to the .vf file',
+    type: 'string',
+  })
+}
+
+function agentOption(yargs) {
+  return yargs.option('agent', {
+    describe: 'Agent ID or name (required when the project has several agents)',
+    type: 'string',
+  })
+}
+
+function historyProjectOption(yargs) {
+  return yargs.option('project', {
+    describe:
+      'Project name or .vf path (required when several projects have a history)',
+    type: 'string',
+  })
+}
+
+function apiToolOptions(yargs) {
+  return agentOption(yargs).options({
+    name: { describe: 'API tool name', type: 'string' },
+    description: { describe: 'API tool description', type: 'string' },
+    url: {
+      describe: 'URL (use {var} or {{var}} for variables)',
+      type: 'string',
+    },
+    method: {
+      describe: 'HTTP method',
+      choices: ['get', 'post', 'put', 'delete', 'patch'],
+      coerce: (m) => m && m.toLowerCase(),
+    },
+    header: {
+      describe: 'Header as key:value (repeatable)',
+      type: 'array',
+      string: true,
+    },
+    query: {
+      describe: 'Query parameter as key=value (repeatable)',
+      type: 'array',
+      string: true,
+    },
+    'body-file': {
+      describe: 'File containing the body template',
+      type: 'string',
+    },
+  })
+}
+
+function envOption(yargs) {
+  return yargs.option('env', {
+    describe: 'Environment whose secrets (and manifest settings) to use',
+    type: 'string',
+    default: DEFAULT_ENV,
+  })
+}
+
+// Values of the secrets a project references, for an environment (missing ones are left out)
+function projectSecretValues(data, env) {
+  return resolveSecrets(listProjectSecrets(data), env).values
+}
+
 // Main CLI entry
 async function main() {
-  // Accepts either a workingVfFile (string) or argv (object from yargs)
-  const addApiTool = async (arg) => {
-    let WORKING_VF_FILE
-    if (typeof arg === 'string') {
-      // Called from setupProject or another command with file path
-      WORKING_VF_FILE = arg
-    } else if (arg && arg.file) {
-      // Called from CLI with a file argument
-      WORKING_VF_FILE = ensureVersionedFile(arg.file)
-    } else {
-      // Called from CLI without a file argument
-      const projectFile = await selectProjectFile()
-      WORKING_VF_FILE = ensureVersionedFile(projectFile)
-    }
+  // Accepts argv (object from yargs) and, when called from setupProject, the working file path
+  const addApiTool = async (argv, workingFile) => {
+    const interactive = argv.interactive !== false
+    const WORKING_VF_FILE = workingFile || (await resolveWorkingFile(argv))
     // Load .vf file
     const data = vfParser.loadVfFile(WORKING_VF_FILE)
     const agents = vfParser.listAllAgents(data)
-    let selectedAgentId
-    if (agents.length === 0) {
-      console.error('No agents found in the project.')
-      return
-    } else if (agents.length === 1) {
-      selectedAgentId = agents[0].id
-    } else {
-      // Prompt user to select agent
-      const { agentId } = await inquirer.prompt([
-        {
-          type: 'list',
-          name: 'agentId',
-          message:
-            'Multiple agents found. Select the agent to add the API tool to:',
-          choices: agents.map((a) => ({
-            name: `${a.name} (${a.id})`,
-            value: a.id,
-          })),
-        },
-      ])
-      selectedAgentId = agentId
-    }
-    // Prompt for API tool details first
-    const {
-      name,
-      description,
-      url,
-      httpMethod,
-      queryParamsInput,
-      headersInput,
-    } = await inquirer.prompt([
+    const selectedAgentId = await selectAgent(
+      agents,
+      argv,
+      'Multiple agents found. Select the agent to add the API tool to:'
+    )
+    // Prompt for API tool details first (CLI options skip their prompt)
+    const name = await ask(
       { type: 'input', name: 'name', message: 'API Tool Name:' },
-      { type: 'input', name: 'description', message: 'Description:' },
+      argv.name,
+      { interactive }
+    )
+    const description = await ask(
+      {
+        type: 'input',
+        name: 'description',
+        message: 'Description:',
+        default: '',
+      },
+      argv.description,
+      { interactive }
+    )
+    const url = await ask(
       {
         type: 'input',
         name: 'url',
         message: 'URL (use {var} or {{var}} for variables):',
       },
+      argv.url,
+      { interactive }
+    )
+    const queryParamsInput = await ask(
       {
         type: 'input',
         name: 'queryParamsInput',
@@ -225,33 +544,43 @@ async function main() {
           'Query parameters (comma-separated key=value, e.g. status=active,user={userId}):',
         default: '',
       },
+      argv.query,
+      { interactive, flag: 'query' }
+    )
+    const httpMethod = await ask(
       {
         type: 'list',
         name: 'httpMethod',
         message: 'HTTP Method:',
         choices: ['get', 'post', 'put', 'delete', 'patch'],
+        default: 'get',
       },
+      argv.method && argv.method.toLowerCase(),
+      { interactive, flag: 'method' }
+    )
+    const headersInput = await ask(
       {
         type: 'input',
         name: 'headersInput',
         message:
-          'Headers (comma-separated key:value, e.g. Content-Type:application/json,Authorization:Bearer xyz):',
+          'Headers (comma-separated key:value, e.g. Content-Type:application/json,Authorization:Bearer {{secret.API_KEY}}):',
         default: '',
       },
-    ])
+      argv.header,
+      { interactive, flag: 'header' }
+    )
     // Only prompt for the body if the method supports it (post, put, patch)
-    let bodyTemplate = ''
-    if (['post', 'put', 'patch'].includes(httpMethod.toLowerCase())) {
-      const { wantsBody } = await inquirer.prompt([
-        {
-          type: 'confirm',
-          name: 'wantsBody',
-          message: 'Do you want to add a body to this API tool?',
-          default: false,
-        },
-      ])
+    let bodyTemplate = readOptionFile(argv.bodyFile) || ''
+    if (
+      !argv.bodyFile &&
+      ['post', 'put', 'patch'].includes(httpMethod.toLowerCase())
+    ) {
+      const wantsBody = await confirm(
+        'Do you want to add a body to this API tool?',
+        argv
+      )
       if (wantsBody) {
-        const { bodyInput } = await inquirer.prompt([
+        bodyTemplate = await ask(
           {
             type: 'editor',
             name: 'bodyInput',
@@ -259,456 +588,2725 @@ async function main() {
               'Body template (optional, use {var} or {{var}} for variables):',
             default: '',
           },
-        ])
-        bodyTemplate = bodyInput
-      }
-    }
-    // Auto-detect variables in URL and query params (match {var} or {{var}})
-    const varRegex = /\{+([a-zA-Z0-9_]+)\}+/g
-    let match
-    const foundVars = new Set()
-    while ((match = varRegex.exec(url))) {
-      foundVars.add(match[1])
-    }
-    // Parse query parameters as key=value pairs
-    const queryParamPairs = queryParamsInput
-      .split(',')
-      .map((s) => s.trim())
-      .filter(Boolean)
-      .map((pair) => {
-        const [key, ...rest] = pair.split('=')
-        return { key: key.trim(), value: rest.join('=').trim() }
-      })
-      .filter((qp) => qp.key)
-    // Detect variables in query parameter values
-    for (const qp of queryParamPairs) {
-      varRegex.lastIndex = 0
-      let match
-      while ((match = varRegex.exec(qp.value))) {
-        foundVars.add(match[1])
-      }
-    }
-    // Detect variables in bodyTemplate BEFORE prompting for descriptions
-    if (bodyTemplate && bodyTemplate.trim()) {
-      varRegex.lastIndex = 0
-      let match
-      while ((match = varRegex.exec(bodyTemplate))) {
-        foundVars.add(match[1])
+          undefined,
+          { interactive, flag: 'body-file' }
+        )
       }
     }
-    // Collect all unique variable names before prompting for descriptions
-    const allVarNames = Array.from(foundVars)
+    // Auto-detect variables in URL, query params and body (match {var} or {{var}})
+    const queryParamPairs = parsePairs(queryParamsInput, '=')
+    const allVarNames = vfParser.findTemplateVariables(
+      [url, ...queryParamPairs.map((qp) => qp.value), bodyTemplate].join('\n')
+    )
     // Prompt for variable descriptions only once per variable name
     const variableDescriptions = {}
     for (const varName of allVarNames) {
-      const { varDesc } = await inquirer.prompt([
+      variableDescriptions[varName] = await ask(
         {
           type: 'input',
           name: 'varDesc',
           message: `Description for variable '{${varName}}':`,
           default: '',
         },
-      ])
-      variableDescriptions[varName] = varDesc
+        undefined,
+        { interactive }
+      )
     }
-    await versioning.withAutoVersioning(WORKING_VF_FILE, async () => {
-      const data = vfParser.loadVfFile(WORKING_VF_FILE)
-      // Ensure apiToolInputVariables is always an array
-      if (!Array.isArray(data.apiToolInputVariables))
-        data.apiToolInputVariables = []
-      if (!Array.isArray(data.apiTools)) data.apiTools = []
-      // Get creatorID from version
-      const creatorID =
-        data.version && data.version.creatorID ? data.version.creatorID : null
-      // Generate apiToolID first
-      const apiToolID = generateMongoId()
-      // Prevent duplicate API tool (by name or url)
-      const urlStripped = url.replace(varRegex, '{var}')
-      const duplicate = data.apiTools.find(
-        (t) =>
-          t.name === name ||
-          (t.url && t.url[0] && t.url[0].text && t.url[0].text.join
-            ? t.url[0].text.join('')
-            : '') === urlStripped
-      )
-      if (duplicate) {
-        console.error(
-          'An API tool with this name or URL already exists. Aborting.'
-        )
-        return
-      }
-      const variableIDs = {}
-      // Create variable IDs for all unique variable names (reuse within the tool)
-      for (const varName of allVarNames) {
-        if (!Object.prototype.hasOwnProperty.call(variableIDs, varName)) {
-          const varID = generateMongoId()
-          data.apiToolInputVariables.push({
-            id: varID,
-            name: varName,
-            apiToolID,
-            description: variableDescriptions[varName] || '',
-            createdAt: new Date().toISOString(),
-          })
-          variableIDs[varName] = varID
-        }
-      }
-      // Replace {var} or {{var}} in url with { variableID: ... } objects (Voiceflow format)
-      let urlParts = []
-      let lastIndex = 0
-      varRegex.lastIndex = 0
-      while ((match = varRegex.exec(url))) {
-        if (match.index > lastIndex) {
-          urlParts.push(url.slice(lastIndex, match.index))
-        }
-        urlParts.push({ variableID: variableIDs[match[1]] })
-        lastIndex = match.index + match[0].length
-      }
-      if (lastIndex < url.length) {
-        urlParts.push(url.slice(lastIndex))
-      }
-      // Build queryParameters array (Voiceflow format, advanced value parsing)
-      let queryParameters = []
-      for (const qp of queryParamPairs) {
-        if (qp.key) {
-          // Parse value for {var} or {{var}}
-          let valueParts = []
-          let lastIndex = 0
-          varRegex.lastIndex = 0
-          let match
-          while ((match = varRegex.exec(qp.value))) {
-            if (match.index > lastIndex) {
-              valueParts.push(qp.value.slice(lastIndex, match.index))
-            }
-            valueParts.push({ variableID: variableIDs[match[1]] })
-            lastIndex = match.index + match[0].length
-          }
-          if (lastIndex < qp.value.length) {
-            valueParts.push(qp.value.slice(lastIndex))
-          }
-          queryParameters.push({
-            id: generateMongoId(),
-            key: qp.key,
-            value: [
-              {
-                text: valueParts,
-              },
-            ],
-          })
+    await versioning.withAutoVersioning(
+      WORKING_VF_FILE,
+      async () => {
+        const data = vfParser.loadVfFile(WORKING_VF_FILE)
+        // Prevent duplicate API tool (by name or url)
+        if (apiTools.findDuplicateApiTool(data, name, url)) {
+          console.error(
+            'An API tool with this name or URL already exists. Aborting.'
+          )
+          return
         }
-      }
-      // Build headers array (Voiceflow format)
-      let headers = []
-      if (headersInput && headersInput.trim()) {
-        headers = headersInput.split(',').map((h) => {
-          const [key, ...rest] = h.split(':')
-          const value = rest.join(':').trim()
-          return {
-            id: generateMongoId(),
-            key: key.trim(),
-            value: [
-              {
-                text: [value],
-              },
-            ],
-          }
+        apiTools.addApiTool(data, {
+          agentId: selectedAgentId,
+          name,
+          description,
+          url,
+          httpMethod,
+          queryParams: queryParamPairs,
+          headers: parsePairs(headersInput, ':'),
+          bodyTemplate,
+          variableDescriptions,
         })
-      }
-      // Build body object (Voiceflow format: { type, content, contentType })
-      let body = null
-      if (bodyTemplate && bodyTemplate.trim()) {
-        let bodyParts = []
-        let lastIndex = 0
-        varRegex.lastIndex = 0
-        let match
-        while ((match = varRegex.exec(bodyTemplate))) {
-          if (match.index > lastIndex) {
-            bodyParts.push(bodyTemplate.slice(lastIndex, match.index))
-          }
-          // Insert only the variable reference, not an empty object or quotes
-          bodyParts.push({ variableID: variableIDs[match[1]] })
-          lastIndex = match.index + match[0].length
-        }
-        if (lastIndex < bodyTemplate.length) {
-          bodyParts.push(bodyTemplate.slice(lastIndex))
-        }
-        // Remove any empty string fragments (but keep valid empty strings for JSON formatting)
-        bodyParts = bodyParts.filter(
-          (part, idx) =>
-            typeof part !== 'object' ||
-            part.variableID ||
-            typeof part === 'string'
-        )
-        body = {
-          type: 'raw-input',
-          content: bodyParts,
-          contentType: 'json',
-        }
-      }
-      // Add API tool (with all required fields)
-      data.apiTools.push({
-        id: apiToolID,
-        name,
-        description,
-        url: [{ text: urlParts }],
-        httpMethod,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-        queryParameters,
-        createdByID: creatorID,
-        updatedByID: creatorID,
-        folderID: null,
-        body,
-        image: null,
-        headers,
-      })
-      // Link tool to agent in agentAPITools (with all required fields)
-      if (!Array.isArray(data.agentAPITools)) data.agentAPITools = []
-      data.agentAPITools.push({
-        id: generateMongoId(),
-        agentID: selectedAgentId,
-        apiToolID,
-        createdAt: new Date().toISOString(),
-        description: null,
-        inputVariables: {},
-        captureResponse: null,
-      })
-      vfParser.saveVfFile(WORKING_VF_FILE, data)
-      console.log('API tool and variables added successfully!')
-    })
+        vfParser.saveVfFile(WORKING_VF_FILE, data)
+        console.log('API tool and variables added successfully!')
+      },
+      versionMeta(argv, selectedAgentId)
+    )
   }
 
-  const updateInstructions = async () => {
-    const WORKING_VF_FILE = ensureVersionedFile()
-    // Load .vf file
-    const data = vfParser.loadVfFile(WORKING_VF_FILE)
-    const agents = vfParser.listAllAgents(data)
-    let selectedAgentId
-    if (agents.length === 0) {
-      console.error('No agents found in the project.')
-      return
-    } else if (agents.length === 1) {
-      selectedAgentId = agents[0].id
-    } else {
-      // Prompt user to select agent
-      const { agentId } = await inquirer.prompt([
-        {
-          type: 'list',
-          name: 'agentId',
-          message: 'Multiple agents found. Select the agent to update:',
-          choices: agents.map((a) => ({
-            name: `${a.name} (${a.id})`,
-            value: a.id,
-          })),
-        },
-      ])
-      selectedAgentId = agentId
+  // Select an API tool by --tool (name or ID) or by prompting
+  const selectApiTool = async (data, argv, message) => {
+    const tools = data.apiTools || []
+    if (tools.length === 0) throw new Error('The project has no API tools.')
+    if (argv.tool !== undefined) {
+      return apiTools.findApiTool(data, String(argv.tool))
     }
-    // Prompt for new instructions
-    const { newInstructions } = await inquirer.prompt([
+    const toolId = await ask(
       {
-        type: 'editor',
-        name: 'newInstructions',
-        message: 'Enter new agent instructions:',
-        default: '',
+        type: 'list',
+        name: 'toolId',
+        message,
+        choices: tools.map((t) => ({
+          name: `${t.name} (${String(t.httpMethod || 'get').toUpperCase()})`,
+          value: t.id,
+        })),
       },
-    ])
-    await versioning.withAutoVersioning(WORKING_VF_FILE, async () => {
-      const data = vfParser.loadVfFile(WORKING_VF_FILE)
-      vfParser.updateAgentInstructions(data, newInstructions, selectedAgentId)
-      vfParser.saveVfFile(WORKING_VF_FILE, data)
-      console.log(
-        `Agent instructions updated for agent ${selectedAgentId} and version saved.`
-      )
-    })
+      undefined,
+      { interactive: argv.interactive !== false, flag: 'tool' }
+    )
+    return apiTools.findApiTool(data, toolId)
   }
 
-  const setModel = async () => {
-    const WORKING_VF_FILE = ensureVersionedFile()
-    // Load models from models.json
-    const modelsPath = path.join(__dirname, '..', 'models.json')
-    let models
-    try {
-      models = JSON.parse(fs.readFileSync(modelsPath, 'utf8'))
-    } catch (err) {
-      console.error('Could not load models.json:', err.message)
-      return
-    }
-    if (!Array.isArray(models) || models.length === 0) {
-      console.error('No models found in models.json')
-      return
-    }
-    // Prompt user to select model
-    const { selectedModel } = await inquirer.prompt([
+  // Edit an API tool. Without change options every field is prompted with its current value;
+  // with them, only those fields change.
+  const editApiTool = async (argv) => {
+    const interactive = argv.interactive !== false
+    const WORKING_VF_FILE = await resolveWorkingFile(argv)
+    const data = vfParser.loadVfFile(WORKING_VF_FILE)
+    const tool = await selectApiTool(data, argv, 'Select the API tool to edit:')
+    const current = apiTools.describeApiTool(data, tool)
+    const prompting =
+      interactive &&
+      [
+        argv.name,
+        argv.description,
+        argv.url,
+        argv.method,
+        argv.header,
+        argv.query,
+        argv.bodyFile,
+        argv.renameVar,
+        argv.varDescription,
+      ].every((option) => option === undefined)
+    // Prompt for a field when editing interactively, otherwise take its option (undefined keeps it)
+    const field = (question, provided) =>
+      prompting ? ask(question, undefined) : provided
+    const name = await field(
+      {
+        type: 'input',
+        name: 'name',
+        message: 'API Tool Name:',
+        default: current.name,
+      },
+      argv.name
+    )
+    const description = await field(
+      {
+        type: 'input',
+        name: 'description',
+        message: 'Description:',
+        default: current.description,
+      },
+      argv.description
+    )
+    const url = await field(
+      {
+        type: 'input',
+        name: 'url',
+        message: 'URL (use {var} or {{var}} for variables):',
+        default: current.url,
+      },
+      argv.url
+    )
+    const httpMethod = await field(
       {
         type: 'list',
-        name: 'selectedModel',
-        message: 'Select a model for the agent:',
-        choices: models.map((m) => ({ name: m.item, value: m.item })),
+        name: 'httpMethod',
+        message: 'HTTP Method:',
+        choices: ['get', 'post', 'put', 'delete', 'patch'],
+        default: current.method,
       },
-    ])
-    // Load .vf file
-    const data = vfParser.loadVfFile(WORKING_VF_FILE)
-    const agents = vfParser.listAllAgents(data)
-    let selectedAgentId
-    if (agents.length === 0) {
-      console.error('No agents found in the project.')
-      return
-    } else if (agents.length === 1) {
-      selectedAgentId = agents[0].id
-    } else {
-      // Prompt user to select agent
-      const { agentId } = await inquirer.prompt([
-        {
-          type: 'list',
-          name: 'agentId',
-          message: 'Multiple agents found. Select the agent to update:',
-          choices: agents.map((a) => ({
-            name: `${a.name} (${a.id})`,
-            value: a.id,
-          })),
-        },
-      ])
-      selectedAgentId = agentId
+      argv.method
+    )
+    // Pairs are only re-parsed when the answer changed, so values containing commas survive
+    const pairsField = async (question, provided, separator, currentPairs) => {
+      const currentText = currentPairs
+        .map((p) => `${p.key}${separator}${p.value}`)
+        .join(',')
+      const answer = await field(
+        { type: 'input', ...question, default: currentText },
+        provided
+      )
+      if (answer === undefined || answer === currentText) return undefined
+      return parsePairs(answer, separator)
     }
-    await versioning.withAutoVersioning(WORKING_VF_FILE, async () => {
-      const data = vfParser.loadVfFile(WORKING_VF_FILE)
-      // Update in programResources.agents
-      if (
-        data.version &&
-        data.version.programResources &&
-        data.version.programResources.agents &&
-        data.version.programResources.agents[selectedAgentId]
-      ) {
-        if (!data.version.programResources.agents[selectedAgentId].settings) {
-          data.version.programResources.agents[selectedAgentId].settings = {}
-        }
-        data.version.programResources.agents[selectedAgentId].settings.model =
-          selectedModel
-      }
-      // Update in root agents array
-      if (Array.isArray(data.agents)) {
-        data.agents.forEach((agent) => {
-          if (agent.id === selectedAgentId) {
-            if (!agent.settings) agent.settings = {}
-            agent.settings.model = selectedModel
-          }
+    const queryParams = await pairsField(
+      {
+        name: 'queryParamsInput',
+        message: 'Query parameters (comma-separated key=value):',
+      },
+      argv.query,
+      '=',
+      current.queryParams
+    )
+    const headers = await pairsField(
+      {
+        name: 'headersInput',
+        message: 'Headers (comma-separated key:value):',
+      },
+      argv.header,
+      ':',
+      current.headers
+    )
+    let bodyTemplate = readOptionFile(argv.bodyFile)
+    if (
+      prompting &&
+      (current.body ||
+        ['post', 'put', 'patch'].includes(httpMethod.toLowerCase())) &&
+      (await confirm(
+        current.body ? 'Edit the body?' : 'Do you want to add a body?',
+        argv
+      ))
+    ) {
+      bodyTemplate = await ask({
+        type: 'editor',
+        name: 'bodyInput',
+        message: 'Body template (use {var} or {{var}} for variables):',
+        default: current.body,
+      })
+    }
+
+    // Variables of the edited templates, to offer renames and ask for descriptions
+    const renameVariables = Object.fromEntries(
+      parsePairs(argv.renameVar, '=').map((p) => [p.key, p.value])
+    )
+    const variableDescriptions = Object.fromEntries(
+      parsePairs(argv.varDescription, '=').map((p) => [p.key, p.value])
+    )
+    const used = vfParser.findTemplateVariables(
+      [
+        url ?? current.url,
+        ...(queryParams ?? current.queryParams).map((qp) => qp.value),
+        ...(headers ?? current.headers).map((h) => h.value),
+        bodyTemplate ?? current.body,
+      ].join('\n')
+    )
+    const currentNames = current.variables.map((v) => v.name)
+    const added = used.filter((n) => !currentNames.includes(n))
+    if (prompting) {
+      // A variable replaced by a new one can be renamed, keeping its ID and agent link inputs
+      const dropped = currentNames.filter((n) => !used.includes(n))
+      for (const varName of dropped) {
+        const targets = added.filter(
+          (n) => !Object.values(renameVariables).includes(n)
+        )
+        if (targets.length === 0) break
+        const target = await ask({
+          type: 'list',
+          name: 'target',
+          message: `Variable '{${varName}}' is no longer used:`,
+          choices: [
+            { name: 'Remove it', value: null },
+            ...targets.map((n) => ({ name: `Rename it to {${n}}`, value: n })),
+          ],
         })
+        if (target) renameVariables[varName] = target
       }
-      vfParser.saveVfFile(WORKING_VF_FILE, data)
-      console.log(
-        `Model updated to '${selectedModel}' for agent ${selectedAgentId} and version saved.`
+    }
+    const renamedTo = (varName) => renameVariables[varName] || varName
+    for (const varName of used) {
+      const existing = current.variables.find(
+        (v) => renamedTo(v.name) === varName
       )
-    })
+      if (variableDescriptions[varName] !== undefined) continue
+      if (prompting) {
+        variableDescriptions[varName] = await ask({
+          type: 'input',
+          name: 'varDesc',
+          message: `Description for variable '{${varName}}':`,
+          default: existing ? existing.description : '',
+        })
+      } else if (!existing) {
+        variableDescriptions[varName] = await ask(
+          {
+            type: 'input',
+            name: 'varDesc',
+            message: `Description for variable '{${varName}}':`,
+            default: '',
+          },
+          undefined,
+          { interactive }
+        )
+      }
+    }
+
+    await versioning.withAutoVersioning(
+      WORKING_VF_FILE,
+      async () => {
+        const data = vfParser.loadVfFile(WORKING_VF_FILE)
+        const result = apiTools.updateApiTool(
+          data,
+          apiTools.findApiTool(data, tool.id),
+          {
+            name,
+            description,
+            url,
+            httpMethod,
+            queryParams,
+            headers,
+            bodyTemplate,
+            renameVariables,
+            variableDescriptions,
+          }
+        )
+        vfParser.saveVfFile(WORKING_VF_FILE, data)
+        console.log(`API tool '${name ?? current.name}' updated.`)
+        if (result.added.length > 0) {
+          console.log(`Variables added: ${result.added.join(', ')}`)
+        }
+        if (result.renamed.length > 0) {
+          console.log(`Variables renamed: ${result.renamed.join(', ')}`)
+        }
+        if (result.removed.length > 0) {
+          console.log(`Variables removed: ${result.removed.join(', ')}`)
+        }
+      },
+      versionMeta(argv)
+    )
   }
 
-  const listVersions = () => {
-    const versions = versioning.listVersions()
-    if (versions.length === 0) {
-      console.log('No versions found.')
-    } else {
-      console.log('Available versions:')
-      versions.forEach((v) => console.log('  ' + v))
+  // Remove an API tool with its input variables and agent links
+  const removeApiTool = async (argv) => {
+    const WORKING_VF_FILE = await resolveWorkingFile(argv)
+    const data = vfParser.loadVfFile(WORKING_VF_FILE)
+    const tool = await selectApiTool(
+      data,
+      argv,
+      'Select the API tool to remove:'
+    )
+    const confirmed = await confirm(
+      `Remove API tool '${tool.name}' with its variables and agent links?`,
+      argv
+    )
+    if (!confirmed) {
+      throw new Error(
+        `Aborted: API tool '${tool.name}' was not removed (use --yes to skip the confirmation)`
+      )
     }
+    await versioning.withAutoVersioning(
+      WORKING_VF_FILE,
+      async () => {
+        const data = vfParser.loadVfFile(WORKING_VF_FILE)
+        const { variables, links } = apiTools.removeApiTool(
+          data,
+          apiTools.findApiTool(data, tool.id)
+        )
+        vfParser.saveVfFile(WORKING_VF_FILE, data)
+        console.log(
+          `API tool '${tool.name}' removed with ${variables} variable(s) and ${links} agent link(s).`
+        )
+      },
+      versionMeta(argv)
+    )
   }
 
-  const revertVersion = (argv) => {
-    try {
-      versioning.revertToVersion(argv.version, WORKING_VF_FILE)
-      console.log(`Reverted to version: ${argv.version}`)
-    } catch (err) {
-      console.error('Error:', err.message)
+  // Print a link's description, presets and captured variable
+  const printToolLink = (data, link) => {
+    const { description, presets, captureVariable } =
+      apiTools.describeApiToolLink(data, link)
+    console.log(`  Description: ${description || "(the tool's description)"}`)
+    const names = Object.keys(presets)
+    if (names.length === 0) {
+      console.log('  Inputs: all filled in by the agent')
+    } else {
+      names.forEach((name) =>
+        console.log(`  Input {${name}} = ${presets[name]}`)
+      )
     }
+    console.log(`  Response captured into: ${captureVariable || '(none)'}`)
   }
 
-  // Command to edit project metadata (name and description)
-  const editProjectMeta = async () => {
-    const WORKING_VF_FILE = ensureVersionedFile()
+  // Link an API tool to an agent, or reconfigure an existing link. Without configuration options the
+  // link's settings are prompted.
+  const linkTool = async (argv) => {
+    const interactive = argv.interactive !== false
+    const WORKING_VF_FILE = await resolveWorkingFile(argv)
     const data = vfParser.loadVfFile(WORKING_VF_FILE)
-    // Get current values
-    const currentName =
-      data.version && data.version.name ? data.version.name : ''
-    // Prompt for new project name only
-    const { newName } = await inquirer.prompt([
+    const tool = await selectApiTool(data, argv, 'Select the API tool to link:')
+    const agents = vfParser.listAllAgents(data)
+    const agentId = await selectAgent(
+      agents,
+      argv,
+      'Multiple agents found. Select the agent to link the API tool to:'
+    )
+    const existing = (data.agentAPITools || []).find(
+      (l) => l.apiToolID === tool.id && l.agentID === agentId
+    )
+    const current = existing
+      ? apiTools.describeApiToolLink(data, existing)
+      : { description: null, presets: {}, captureVariable: null }
+    const config = {
+      description: argv.description,
+      presets: Object.fromEntries(
+        parsePairs(argv.set, '=').map((p) => [p.key, p.value])
+      ),
+      agentFilled: argv.agentFills || [],
+      // --no-capture stops capturing the response
+      captureVariable: argv.capture === false ? null : argv.capture,
+    }
+    const prompting =
+      interactive &&
+      [argv.description, argv.set, argv.agentFills, argv.capture].every(
+        (option) => option === undefined
+      )
+    if (prompting) {
+      config.description = await ask({
+        type: 'input',
+        name: 'description',
+        message:
+          "What does this agent use the tool for? (empty: the tool's description)",
+        default: current.description || '',
+      })
+      for (const variable of apiTools.describeApiTool(data, tool).variables) {
+        const preset = current.presets[variable.name]
+        const mode = await ask({
+          type: 'list',
+          name: 'mode',
+          message: `How is '{${variable.name}}' filled in?`,
+          choices: [
+            { name: 'By the agent', value: 'agent' },
+            { name: 'With a preset value', value: 'preset' },
+          ],
+          default: preset !== undefined ? 'preset' : 'agent',
+        })
+        if (mode === 'agent') {
+          config.agentFilled.push(variable.name)
+        } else {
+          config.presets[variable.name] = await ask({
+            type: 'input',
+            name: 'value',
+            message: `Value for '{${variable.name}}' (use {var} for project variables):`,
+            default: preset || '',
+          })
+        }
+      }
+      config.captureVariable = await ask({
+        type: 'list',
+        name: 'capture',
+        message: 'Capture the response into a project variable?',
+        choices: [
+          { name: 'No', value: null },
+          ...(data.variables || []).map((v) => ({ name: v.name, value: v.id })),
+        ],
+        default: existing?.captureResponse?.variableID ?? null,
+      })
+    }
+    const agentName = agents.find((a) => a.id === agentId).name
+    await versioning.withAutoVersioning(
+      WORKING_VF_FILE,
+      async () => {
+        const data = vfParser.loadVfFile(WORKING_VF_FILE)
+        const { link, created } = apiTools.linkApiTool(
+          data,
+          apiTools.findApiTool(data, tool.id),
+          agentId,
+          config
+        )
+        vfParser.saveVfFile(WORKING_VF_FILE, data)
+        console.log(
+          created
+            ? `API tool '${tool.name}' linked to agent '${agentName}'.`
+            : `Link between API tool '${tool.name}' and agent '${agentName}' updated.`
+        )
+        printToolLink(data, link)
+      },
+      versionMeta(argv, agentId)
+    )
+  }
+
+  // Unlink an API tool from an agent, keeping the tool
+  const unlinkTool = async (argv) => {
+    const WORKING_VF_FILE = await resolveWorkingFile(argv)
+    const data = vfParser.loadVfFile(WORKING_VF_FILE)
+    const tool = await selectApiTool(
+      data,
+      argv,
+      'Select the API tool to unlink:'
+    )
+    const linkedIds = (data.agentAPITools || [])
+      .filter((l) => l.apiToolID === tool.id)
+      .map((l) => l.agentID)
+    const linkedAgents = vfParser
+      .listAllAgents(data)
+      .filter((a) => linkedIds.includes(a.id))
+    if (linkedAgents.length === 0) {
+      throw new Error(`API tool '${tool.name}' is not linked to any agent.`)
+    }
+    const agentId = await selectAgent(
+      linkedAgents,
+      argv,
+      'Select the agent to unlink the API tool from:'
+    )
+    const agentName = linkedAgents.find((a) => a.id === agentId).name
+    await versioning.withAutoVersioning(
+      WORKING_VF_FILE,
+      async () => {
+        const data = vfParser.loadVfFile(WORKING_VF_FILE)
+        apiTools.unlinkApiTool(
+          data,
+          apiTools.findApiTool(data, tool.id),
+          agentId
+        )
+        vfParser.saveVfFile(WORKING_VF_FILE, data)
+        console.log(
+          `API tool '${tool.name}' unlinked from agent '${agentName}'.`
+        )
+        if (linkedAgents.length === 1) {
+          console.log(
+            'The tool is no longer linked to any agent (remove it with remove-api-tool).'
+          )
+        }
+      },
+      versionMeta(argv, agentId)
+    )
+  }
+
+  // Add a batch of API tools (in addApiTool's spec format), skipping duplicates. The tools go to one
+  // agent, or with `agentPerTool` the user picks the agent of each tool.
+  const importApiTools = async (argv, tools, describeTool, options = {}) => {
+    const WORKING_VF_FILE = await resolveWorkingFile(argv)
+    const agents = vfParser.listAllAgents(vfParser.loadVfFile(WORKING_VF_FILE))
+    let agentIds
+    if (
+      options.agentPerTool &&
+      agents.length > 1 &&
+      argv.agent === undefined &&
+      argv.interactive !== false
+    ) {
+      agentIds = []
+      for (const tool of tools) {
+        const { agentId } = await inquirer.prompt([
+          {
+            type: 'list',
+            name: 'agentId',
+            message: `Agent for '${tool.name}':`,
+            choices: agents.map((a) => ({ name: a.name, value: a.id })),
+            default: agentIds[agentIds.length - 1],
+          },
+        ])
+        agentIds.push(agentId)
+      }
+    } else {
+      const selectedAgentId = await selectAgent(
+        agents,
+        argv,
+        'Multiple agents found. Select the agent to add the API tools to:'
+      )
+      agentIds = tools.map(() => selectedAgentId)
+    }
+    const saved = await versioning.withAutoVersioning(
+      WORKING_VF_FILE,
+      async () => {
+        const data = vfParser.loadVfFile(WORKING_VF_FILE)
+        let imported = 0
+        tools.forEach((tool, idx) => {
+          // Several operations often share a path: only the same method and URL is a duplicate
+          if (
+            apiTools.findDuplicateApiTool(
+              data,
+              tool.name,
+              tool.url,
+              tool.httpMethod || 'get'
+            )
+          ) {
+            console.log(
+              `Skipping '${tool.name}': an API tool with this name, or this method and URL, already exists.`
+            )
+            return
+          }
+          apiTools.addApiTool(data, { agentId: agentIds[idx], ...tool })
+          console.log(`Imported ${describeTool(tool)} as '${tool.name}'`)
+          imported++
+        })
+        if (imported === 0) {
+          console.log('No API tools were imported.')
+          return
+        }
+        vfParser.saveVfFile(WORKING_VF_FILE, data)
+        console.log(`${imported} API tool(s) added.`)
+      },
+      versionMeta(argv, new Set(agentIds).size === 1 ? agentIds[0] : undefined)
+    )
+    printVersionSaved(saved)
+  }
+
+  // Create API tools from the operations of an OpenAPI/Swagger spec
+  const importOpenapi = async (argv) => {
+    const spec = loadOpenApiSpec(argv.spec)
+    const operations = listOperations(spec)
+    if (operations.length === 0) {
+      throw new Error(`No operations found in ${argv.spec}`)
+    }
+    let selected
+    if (argv.operation) {
+      selected = argv.operation.map((id) => {
+        const op = operations.find((o) => o.id === id)
+        if (!op) {
+          throw new Error(
+            `Unknown operation '${id}'. Available: ${operations
+              .map((o) => o.id)
+              .join(', ')}`
+          )
+        }
+        return op
+      })
+    } else if (argv.interactive === false) {
+      selected = operations
+    } else {
+      ;({ selected } = await inquirer.prompt([
+        {
+          type: 'checkbox',
+          name: 'selected',
+          message: 'Select the operations to import:',
+          choices: operations.map((op) => ({
+            name: `${op.method.toUpperCase()} ${op.path} (${op.id})${
+              op.summary ? ' - ' + op.summary : ''
+            }`,
+            value: op,
+          })),
+          validate: (answer) =>
+            answer.length > 0 || 'Select at least one operation.',
+        },
+      ]))
+    }
+    const tools = selected.map((op) => {
+      const { tool, warnings } = operationToTool(spec, op, {
+        serverUrl: argv.serverUrl,
+      })
+      warnings.forEach((w) => console.warn(`Warning: ${w}`))
+      return tool
+    })
+    await importApiTools(
+      argv,
+      tools,
+      (tool) => `${tool.httpMethod.toUpperCase()} ${tool.url}`
+    )
+  }
+
+  // Create an API tool from a curl command
+  const importCurl = async (argv) => {
+    const interactive = argv.interactive !== false
+    const request = parseCurl(argv.command)
+    const url = normalizePlaceholders(request.url)
+    const queryParams = request.queryParams.map((q) => ({
+      key: q.key,
+      value: normalizePlaceholders(q.value),
+    }))
+    const headers = request.headers.map((h) => ({
+      key: h.key,
+      value: normalizePlaceholders(h.value),
+    }))
+    const bodyTemplate = normalizePlaceholders(request.body)
+    const name = await ask(
+      {
+        type: 'input',
+        name: 'name',
+        message: 'API Tool Name:',
+        default: suggestToolName(request.method, url),
+      },
+      argv.name,
+      { interactive }
+    )
+    const description = await ask(
+      {
+        type: 'input',
+        name: 'description',
+        message: 'Description:',
+        default: '',
+      },
+      argv.description,
+      { interactive }
+    )
+    const variableDescriptions = {}
+    const allVarNames = vfParser.findTemplateVariables(
+      [
+        url,
+        ...queryParams.map((q) => q.value),
+        ...headers.map((h) => h.value),
+        bodyTemplate,
+      ].join('\n')
+    )
+    for (const varName of allVarNames) {
+      variableDescriptions[varName] = await ask(
+        {
+          type: 'input',
+          name: 'varDesc',
+          message: `Description for variable '{${varName}}':`,
+          default: '',
+        },
+        undefined,
+        { interactive }
+      )
+    }
+    await importApiTools(
+      argv,
+      [
+        {
+          name,
+          description,
+          url,
+          httpMethod: request.method,
+          queryParams,
+          headers,
+          bodyTemplate,
+          variableDescriptions,
+        },
+      ],
+      (tool) => `${tool.httpMethod.toUpperCase()} ${tool.url}`
+    )
+  }
+
+  // Create API tools from the requests of a Postman collection
+  const importPostman = async (argv) => {
+    const collection = loadPostmanCollection(argv.collection)
+    const requests = listPostmanRequests(collection)
+    if (requests.length === 0) {
+      throw new Error(`No requests found in ${argv.collection}`)
+    }
+    const label = (r) => (r.folder ? `${r.folder}/${r.name}` : r.name)
+    let selected
+    if (argv.request) {
+      selected = argv.request.map((wanted) => {
+        const found = requests.find(
+          (r) => label(r) === wanted || r.name === wanted
+        )
+        if (!found) {
+          throw new Error(
+            `Unknown request '${wanted}'. Available: ${requests
+              .map(label)
+              .join(', ')}`
+          )
+        }
+        return found
+      })
+    } else if (argv.interactive === false) {
+      selected = requests
+    } else {
+      ;({ selected } = await inquirer.prompt([
+        {
+          type: 'checkbox',
+          name: 'selected',
+          message: 'Select the requests to import:',
+          choices: requests.map((r) => ({ name: label(r), value: r })),
+          validate: (answer) =>
+            answer.length > 0 || 'Select at least one request.',
+        },
+      ]))
+    }
+    const tools = selected.map((entry) => {
+      const { tool, warnings } = postmanRequestToTool(collection, entry)
+      warnings.forEach((w) => console.warn(`Warning: ${w}`))
+      return tool
+    })
+    await importApiTools(
+      argv,
+      tools,
+      (tool) => `${tool.httpMethod.toUpperCase()} ${tool.url}`,
+      { agentPerTool: true }
+    )
+  }
+
+  const updateInstructions = async (argv) => {
+    const WORKING_VF_FILE = await resolveWorkingFile(argv)
+    // Load .vf file
+    const data = vfParser.loadVfFile(WORKING_VF_FILE)
+    const agents = vfParser.listAllAgents(data)
+    const selectedAgentId = await selectAgent(
+      agents,
+      argv,
+      'Multiple agents found. Select the agent to update:'
+    )
+    // Prompt for new instructions
+    const newInstructions = await ask(
+      {
+        type: 'editor',
+        name: 'newInstructions',
+        message: 'Enter new agent instructions:',
+      },
+      readOptionFile(argv.instructionsFile),
+      { interactive: argv.interactive !== false, flag: 'instructions-file' }
+    )
+    const saved = await versioning.withAutoVersioning(
+      WORKING_VF_FILE,
+      async () => {
+        const data = vfParser.loadVfFile(WORKING_VF_FILE)
+        vfParser.updateAgentInstructions(data, newInstructions, selectedAgentId)
+        vfParser.saveVfFile(WORKING_VF_FILE, data)
+        console.log(`Agent instructions updated for agent ${selectedAgentId}.`)
+      },
+      versionMeta(argv, selectedAgentId)
+    )
+    printVersionSaved(saved)
+  }
+
+  const setModel = async (argv) => {
+    const WORKING_VF_FILE = await resolveWorkingFile(argv)
+    // Load models from models.json
+    let models
+    try {
+      models = loadModels()
+    } catch (err) {
+      console.error('Could not load models.json:', err.message)
+      return
+    }
+    if (!Array.isArray(models) || models.length === 0) {
+      console.error('No models found in models.json')
+      return
+    }
+    if (
+      argv.model !== undefined &&
+      !models.some((m) => m.item === argv.model)
+    ) {
+      throw new Error(
+        `Unknown model '${argv.model}'. See models.json for the available models.`
+      )
+    }
+    // Prompt user to select model
+    const selectedModel = await ask(
+      {
+        type: 'list',
+        name: 'selectedModel',
+        message: 'Select a model for the agent:',
+        choices: models.map((m) => ({ name: m.item, value: m.item })),
+      },
+      argv.model,
+      { interactive: argv.interactive !== false, flag: 'model' }
+    )
+    // Load .vf file
+    const data = vfParser.loadVfFile(WORKING_VF_FILE)
+    const agents = vfParser.listAllAgents(data)
+    const selectedAgentId = await selectAgent(
+      agents,
+      argv,
+      'Multiple agents found. Select the agent to update:'
+    )
+    const saved = await versioning.withAutoVersioning(
+      WORKING_VF_FILE,
+      async () => {
+        const data = vfParser.loadVfFile(WORKING_VF_FILE)
+        applyAgentSettings(
+          data,
+          selectedAgentId,
+          { model: selectedModel },
+          models
+        )
+        vfParser.saveVfFile(WORKING_VF_FILE, data)
+        console.log(
+          `Model updated to '${selectedModel}' for agent ${selectedAgentId}.`
+        )
+      },
+      versionMeta(argv, selectedAgentId)
+    )
+    printVersionSaved(saved)
+  }
+
+  // Edit an agent's model settings and built-in tools (web search, knowledge base, buttons, cards and
+  // carousels) within the limits of its model
+  const agentSettings = async (argv) => {
+    const WORKING_VF_FILE = await resolveWorkingFile(argv)
+    const models = loadModels()
+    const data = vfParser.loadVfFile(WORKING_VF_FILE)
+    const agentId = await selectAgent(
+      vfParser.listAllAgents(data),
+      argv,
+      'Multiple agents found. Select the agent to configure:'
+    )
+    const current = getAgentSettings(data, agentId)
+    const enable = (argv.enable || []).map(toolSettingName)
+    const disable = (argv.disable || []).map(toolSettingName)
+    const both = enable.filter((name) => disable.includes(name))
+    if (both.length > 0) {
+      throw new Error(
+        `Cannot both enable and disable ${both.map(toolOptionName).join(', ')}`
+      )
+    }
+    const descriptions = {}
+    for (const { key, value } of parsePairs(argv.toolDescription, '=')) {
+      descriptions[toolSettingName(key)] = value
+    }
+
+    const changes = {}
+    if (argv.model !== undefined) changes.model = argv.model
+    if (argv.temperature !== undefined) changes.temperature = argv.temperature
+    if (argv.maxTokens !== undefined) changes.maxTokens = argv.maxTokens
+    for (const name of AGENT_TOOL_NAMES) {
+      const enabled = enable.includes(name)
+        ? true
+        : disable.includes(name)
+          ? false
+          : undefined
+      if (enabled === false) changes[name] = false
+      else if (enabled || descriptions[name] !== undefined) {
+        changes[name] = {
+          enabled: enabled ?? current.tools[name].enabled,
+          description: descriptions[name],
+        }
+      }
+    }
+
+    // Without change options, edit every setting interactively (or just show them)
+    if (Object.keys(changes).length === 0) {
+      if (argv.interactive === false) {
+        printAgentSettings(current, findModel(models, current.model))
+        return
+      }
+      const model = await ask({
+        type: 'list',
+        name: 'model',
+        message: 'Model:',
+        choices: models.map((m) => ({ name: m.item, value: m.item })),
+        default: current.model,
+      })
+      const limits = findModel(models, model)
+      const numberField = async (key, message) => {
+        const answer = await ask({
+          type: 'input',
+          name: key,
+          message,
+          default: current[key] === undefined ? '' : String(current[key]),
+          validate: (value) =>
+            value === '' ||
+            checkAgentSettings({ [key]: Number(value) }, limits)[0] ||
+            true,
+        })
+        return answer === '' ? undefined : Number(answer)
+      }
+      const temperature =
+        limits && limits.temperature === false
+          ? undefined
+          : await numberField('temperature', 'Temperature:')
+      const maxTokens = await numberField(
+        'maxTokens',
+        `Max tokens${limits?.maxTokens ? ` (up to ${limits.maxTokens})` : ''}:`
+      )
+      const enabledTools = await ask({
+        type: 'checkbox',
+        name: 'tools',
+        message: 'Built-in tools:',
+        choices: AGENT_TOOL_NAMES.map((name) => ({
+          name: toolOptionName(name),
+          value: name,
+          checked: current.tools[name].enabled,
+        })),
+      })
+      if (model !== current.model) changes.model = model
+      if (temperature !== undefined && temperature !== current.temperature) {
+        changes.temperature = temperature
+      }
+      if (maxTokens !== undefined && maxTokens !== current.maxTokens) {
+        changes.maxTokens = maxTokens
+      }
+      for (const name of AGENT_TOOL_NAMES) {
+        const enabled = enabledTools.includes(name)
+        if (enabled !== current.tools[name].enabled) changes[name] = enabled
+      }
+      if (Object.keys(changes).length === 0) {
+        console.log('No changes.')
+        return
+      }
+    }
+
+    const saved = await versioning.withAutoVersioning(
+      WORKING_VF_FILE,
+      async () => {
+        const data = vfParser.loadVfFile(WORKING_VF_FILE)
+        const updated = applyAgentSettings(data, agentId, changes, models)
+        vfParser.saveVfFile(WORKING_VF_FILE, data)
+        console.log(`Settings updated for agent ${agentId}.`)
+        printAgentSettings(updated, findModel(models, updated.model))
+      },
+      versionMeta(argv, agentId)
+    )
+    printVersionSaved(saved)
+  }
+
+  // Create, clone, rename or delete an agent of the project
+  const agentCommand = async (argv) => {
+    const interactive = argv.interactive !== false
+    const WORKING_VF_FILE = await resolveWorkingFile(argv)
+    const data = vfParser.loadVfFile(WORKING_VF_FILE)
+    const agents = vfParser.listAllAgents(data)
+    const action = argv.action
+    const agentId =
+      action === 'create'
+        ? null
+        : await selectAgent(agents, argv, `Select the agent to ${action}:`)
+    const agentName = agents.find((a) => a.id === agentId)?.name
+    if (action === 'delete') {
+      const confirmed = await confirm(
+        `Delete agent '${agentName}' and its tool links?`,
+        argv
+      )
+      if (!confirmed) {
+        throw new Error('Aborted: agent not deleted (use --yes to confirm)')
+      }
+    }
+    const name =
+      action === 'delete'
+        ? undefined
+        : await ask(
+            {
+              type: 'input',
+              name: 'name',
+              message: action === 'rename' ? 'New name:' : 'Agent name:',
+              default: action === 'clone' ? `${agentName} copy` : undefined,
+            },
+            argv.name,
+            { interactive }
+          )
+    let instructions
+    if (action === 'create') {
+      instructions =
+        argv.instructionsFile !== undefined
+          ? readOptionFile(argv.instructionsFile)
+          : undefined
+      if (argv.model !== undefined) {
+        const models = loadModels()
+        if (!findModel(models, argv.model)) {
+          throw new Error(
+            `Unknown model '${argv.model}'. See models.json for the available models.`
+          )
+        }
+      }
+    }
+
+    const saved = await versioning.withAutoVersioning(
+      WORKING_VF_FILE,
+      async () => {
+        const data = vfParser.loadVfFile(WORKING_VF_FILE)
+        if (action === 'create') {
+          // A chosen model starts from its own defaults rather than the first agent's settings
+          const id = createAgent(data, {
+            name,
+            description: argv.description,
+            instructions,
+            settings:
+              argv.model !== undefined ? { model: argv.model } : undefined,
+          })
+          vfParser.saveVfFile(WORKING_VF_FILE, data)
+          console.log(`Agent '${name}' created (${id}).`)
+        } else if (action === 'clone') {
+          const { id, links } = cloneAgent(data, agentId, name)
+          vfParser.saveVfFile(WORKING_VF_FILE, data)
+          console.log(
+            `Agent '${agentName}' cloned as '${name}' (${id}) with ${links} tool link(s).`
+          )
+        } else if (action === 'rename') {
+          renameAgent(data, agentId, name)
+          vfParser.saveVfFile(WORKING_VF_FILE, data)
+          console.log(`Agent '${agentName}' renamed to '${name}'.`)
+        } else {
+          const { links, steps } = deleteAgent(data, agentId)
+          vfParser.saveVfFile(WORKING_VF_FILE, data)
+          console.log(
+            `Agent '${agentName}' deleted with ${links} tool link(s) and ${steps} agent step(s).`
+          )
+        }
+      },
+      versionMeta(argv, agentId)
+    )
+    printVersionSaved(saved)
+  }
+
+  // Define how agents hand off to each other: path tools (named exits capturing variables), where
+  // they lead and which agent starts the conversation
+  const routingCommand = async (argv) => {
+    const interactive = argv.interactive !== false
+    const action = argv.action
+    if (action === 'show') {
+      const file = await resolveReadFile(argv)
+      printRouting(describeRouting(vfParser.loadVfFile(file)))
+      return
+    }
+    const WORKING_VF_FILE = await resolveWorkingFile(argv)
+    const data = vfParser.loadVfFile(WORKING_VF_FILE)
+    const agents = vfParser.listAllAgents(data)
+    const agentId = await selectAgent(
+      agents,
+      argv,
+      action === 'start'
+        ? 'Select the start agent:'
+        : 'Select the agent the path leaves from:'
+    )
+    const routing = describeRouting(data)
+    const paths = routing.agents.find((a) => a.id === agentId).paths
+    let pathName
+    if (action === 'add-path') {
+      pathName = await ask(
+        { type: 'input', name: 'path', message: 'Path name:' },
+        argv.path,
+        { interactive }
+      )
+    } else if (action !== 'start') {
+      if (paths.length === 0) {
+        throw new Error(
+          'The agent has no paths (add one with vf-copilot routing add-path)'
+        )
+      }
+      pathName = await ask(
+        {
+          type: 'list',
+          name: 'path',
+          message: 'Select the path:',
+          choices: paths.map((p) => p.name),
+        },
+        argv.path,
+        { interactive }
+      )
+    }
+    let description
+    let captures = []
+    if (action === 'add-path') {
+      description = await ask(
+        {
+          type: 'input',
+          name: 'description',
+          message: 'When should the agent take this path?',
+          default: '',
+        },
+        argv.description,
+        { interactive }
+      )
+      const captureInput = await ask(
+        {
+          type: 'input',
+          name: 'capture',
+          message:
+            'Project variables to capture (comma-separated name=description, optional):',
+          default: '',
+        },
+        argv.capture,
+        { interactive }
+      )
+      captures = parsePairs(captureInput, '=').map(({ key, value }) => ({
+        variable: key,
+        description: value,
+      }))
+    }
+    if (argv.toAgent !== undefined && argv.toWorkflow !== undefined) {
+      throw new Error('Use either --to-agent or --to-workflow, not both')
+    }
+    let target = null
+    if (argv.toAgent !== undefined || argv.toWorkflow !== undefined) {
+      target = { agent: argv.toAgent, workflow: argv.toWorkflow }
+    } else if (action === 'connect') {
+      const rootDiagramID = data.version?.rootDiagramID
+      target = await ask(
+        {
+          type: 'list',
+          name: 'target',
+          message: 'Hand off to:',
+          choices: [
+            ...agents
+              .filter((a) => a.id !== agentId)
+              .map((a) => ({
+                name: `Agent: ${a.name}`,
+                value: { agent: a.id },
+              })),
+            ...(data.workflows || [])
+              .filter((w) => w.diagramID !== rootDiagramID)
+              .map((w) => ({
+                name: `Workflow: ${w.name}`,
+                value: { workflow: w.id },
+              })),
+          ],
+        },
+        undefined,
+        { interactive, flag: 'to-agent' }
+      )
+    }
+
+    const saved = await versioning.withAutoVersioning(
+      WORKING_VF_FILE,
+      async () => {
+        const data = vfParser.loadVfFile(WORKING_VF_FILE)
+        if (action === 'start') {
+          setStartAgent(data, agentId)
+        } else if (action === 'add-path') {
+          addPathTool(data, agentId, {
+            name: pathName,
+            description,
+            variables: captures,
+          })
+          if (target) routePathTool(data, agentId, pathName, target)
+        } else if (action === 'remove-path') {
+          removePathTool(data, agentId, pathName)
+        } else {
+          routePathTool(
+            data,
+            agentId,
+            pathName,
+            action === 'connect' ? target : null
+          )
+        }
+        vfParser.saveVfFile(WORKING_VF_FILE, data)
+        printRouting(describeRouting(data))
+        console.log('\nRouting updated.')
+      },
+      versionMeta(argv, agentId)
+    )
+    printVersionSaved(saved)
+  }
+
+  // Declare, list, remove or rename the custom variables agents, tools and functions read and write
+  const variablesCommand = async (argv) => {
+    const interactive = argv.interactive !== false
+    const action = argv.action
+    if (action === 'list') {
+      const file = await resolveReadFile(argv)
+      printVariables(vfParser.loadVfFile(file), argv.system)
+      return
+    }
+    const WORKING_VF_FILE = await resolveWorkingFile(argv)
+    const data = vfParser.loadVfFile(WORKING_VF_FILE)
+    const custom = (data.variables || []).filter((v) => !v.isSystem)
+    if (action !== 'add' && custom.length === 0 && argv.name === undefined) {
+      throw new Error(
+        'The project has no custom variables (add one with vf-copilot variables add)'
+      )
+    }
+    const name = await ask(
+      action === 'add'
+        ? { type: 'input', name: 'name', message: 'Variable name:' }
+        : {
+            type: 'list',
+            name: 'name',
+            message: `Select the variable to ${action}:`,
+            choices: custom.map((v) => v.name),
+          },
+      argv.name,
+      { interactive }
+    )
+    const spec = { name }
+    let newName
+    if (action === 'add') {
+      spec.datatype = await ask(
+        {
+          type: 'list',
+          name: 'datatype',
+          message: 'Datatype:',
+          choices: VARIABLE_TYPES,
+          default: 'any',
+        },
+        argv.datatype,
+        { interactive }
+      )
+      spec.description = await ask(
+        {
+          type: 'input',
+          name: 'description',
+          message: 'Description (optional):',
+          default: '',
+        },
+        argv.description,
+        { interactive }
+      )
+      spec.defaultValue = await ask(
+        {
+          type: 'input',
+          name: 'default',
+          message: 'Default value (optional):',
+          default: '',
+        },
+        argv.default,
+        { interactive }
+      )
+      spec.isArray = await ask(
+        {
+          type: 'confirm',
+          name: 'array',
+          message: 'Does it hold a list?',
+          default: false,
+        },
+        argv.array,
+        { interactive }
+      )
+      spec.folder =
+        (await ask(
+          {
+            type: 'input',
+            name: 'folder',
+            message: 'Folder (optional):',
+            default: '',
+          },
+          argv.folder,
+          { interactive }
+        )) || undefined
+    } else if (action === 'rename') {
+      newName = await ask(
+        { type: 'input', name: 'newName', message: 'New name:' },
+        argv.newName,
+        { interactive, flag: 'new-name' }
+      )
+    }
+
+    const saved = await versioning.withAutoVersioning(
+      WORKING_VF_FILE,
+      async () => {
+        const data = vfParser.loadVfFile(WORKING_VF_FILE)
+        if (action === 'add') {
+          const variable = addVariable(data, spec)
+          console.log(`Variable '${variable.name}' added (${variable.id}).`)
+        } else if (action === 'remove') {
+          removeVariable(data, name)
+          console.log(`Variable '${name}' removed.`)
+        } else {
+          const rewritten = renameVariable(data, name, newName)
+          console.log(
+            `Variable '${name}' renamed to '${newName}'${
+              rewritten > 0
+                ? ` (${rewritten} text field${rewritten === 1 ? '' : 's'} updated)`
+                : ''
+            }.`
+          )
+        }
+        vfParser.saveVfFile(WORKING_VF_FILE, data)
+      },
+      versionMeta(argv)
+    )
+    printVersionSaved(saved)
+  }
+
+  // Create, edit, remove or bulk-import intents and their training utterances
+  const intentsCommand = async (argv) => {
+    const interactive = argv.interactive !== false
+    const action = argv.action
+    if (action === 'list') {
+      const file = await resolveReadFile(argv)
+      const data = vfParser.loadVfFile(file)
+      for (const intent of listIntents(data)) {
+        console.log(`${intent.name} (${intent.utterances.length} utterances)`)
+        if (intent.description) console.log(`  ${intent.description}`)
+      }
+      printDuplicateUtterances(data)
+      return
+    }
+    let imported
+    if (action === 'import') {
+      if (!argv.from) {
+        throw new Error('Missing --from <file.csv|file.json> to import')
+      }
+      const format =
+        path.extname(argv.from).toLowerCase() === '.json' ? 'json' : 'csv'
+      imported = parseIntentFile(fs.readFileSync(argv.from, 'utf8'), format)
+      if (imported.length === 0)
+        throw new Error(`No intents found in ${argv.from}`)
+    }
+    const WORKING_VF_FILE = await resolveWorkingFile(argv)
+    const data = vfParser.loadVfFile(WORKING_VF_FILE)
+    const editable = listIntents(data).filter((i) => i.id !== 'None')
+    let name
+    if (action === 'add') {
+      name = await ask(
+        { type: 'input', name: 'name', message: 'Intent name:' },
+        argv.name,
+        { interactive }
+      )
+    } else if (action !== 'import') {
+      if (editable.length === 0 && argv.name === undefined) {
+        throw new Error(
+          'The project has no intents (add one with vf-copilot intents add)'
+        )
+      }
+      name = await ask(
+        {
+          type: 'list',
+          name: 'name',
+          message: `Select the intent to ${action}:`,
+          choices: editable.map((i) => i.name),
+        },
+        argv.name,
+        { interactive }
+      )
+    }
+    if (action === 'remove') {
+      const confirmed = await confirm(
+        `Remove intent '${name}' and its utterances?`,
+        argv
+      )
+      if (!confirmed) {
+        throw new Error('Aborted: intent not removed (use --yes to confirm)')
+      }
+    }
+    const changes = {
+      name: argv.newName,
+      description: argv.description,
+      add: argv.utterance ? argv.utterance.map(String) : undefined,
+      remove: argv.removeUtterance
+        ? argv.removeUtterance.map(String)
+        : undefined,
+      language: argv.language,
+    }
+    if (action === 'add') {
+      changes.description = await ask(
+        {
+          type: 'input',
+          name: 'description',
+          message: 'When should this intent match? (optional)',
+          default: '',
+        },
+        argv.description,
+        { interactive }
+      )
+      if (!changes.add) {
+        const utterances = await ask(
+          {
+            type: 'editor',
+            name: 'utterances',
+            message: 'Training utterances, one per line:',
+            default: '',
+          },
+          undefined,
+          { interactive, flag: 'utterance' }
+        )
+        changes.add = utterances.split('\n')
+      }
+    }
+
+    // AI mode: propose extra phrases, then keep only those the user approves
+    if (argv.suggest && (action === 'add' || action === 'edit')) {
+      const current = listIntents(data).find((i) => i.name === name)
+      const intent = {
+        name: changes.name || name,
+        description: changes.description ?? current?.description,
+        utterances: [...(current?.utterances || []), ...(changes.add || [])],
+      }
+      const others = listIntents(data).filter((i) => i.name !== name)
+      console.log(`\nAsking AI for ${argv.suggest} more training phrases...`)
+      const completion = await askAnthropic(
+        buildUtterancePrompt(intent, others, argv.suggest),
+        undefined,
+        { json: false }
+      )
+      const suggestions = parseSuggestions(completion, data).filter(
+        (phrase) => !intent.utterances.includes(phrase)
+      )
+      let accepted = []
+      if (suggestions.length === 0) {
+        console.log('The AI proposed nothing new.')
+      } else if (argv.yes) {
+        accepted = suggestions
+      } else if (!interactive) {
+        console.log('Proposed phrases (not added; use --yes to add them):')
+        suggestions.forEach((phrase) => console.log(`  ${phrase}`))
+      } else {
+        ;({ accepted } = await inquirer.prompt({
+          type: 'checkbox',
+          name: 'accepted',
+          message: 'Select the phrases to add:',
+          choices: suggestions.map((phrase) => ({
+            name: phrase,
+            checked: true,
+          })),
+        }))
+      }
+      changes.add = [...(changes.add || []), ...accepted]
+    }
+
+    const saved = await versioning.withAutoVersioning(
+      WORKING_VF_FILE,
+      async () => {
+        const data = vfParser.loadVfFile(WORKING_VF_FILE)
+        const touched = []
+        if (action === 'add') {
+          const { added } = addIntent(data, {
+            name,
+            description: changes.description,
+            utterances: changes.add,
+            language: changes.language,
+          })
+          console.log(
+            `Intent '${name}' added with ${added.length} utterance(s).`
+          )
+          touched.push(name)
+        } else if (action === 'edit') {
+          const { intent, added, removed } = editIntent(data, name, changes)
+          console.log(
+            `Intent '${intent.name}' updated: ${added.length} utterance(s) added, ${removed.length} removed.`
+          )
+          touched.push(intent.name)
+        } else if (action === 'remove') {
+          const removed = removeIntent(data, name)
+          console.log(`Intent '${name}' removed with ${removed} utterance(s).`)
+        } else {
+          for (const result of importIntents(
+            data,
+            imported,
+            changes.language
+          )) {
+            console.log(
+              `  ${result.created ? 'created' : 'updated'}  ${result.name}  +${result.added.length} utterance(s)`
+            )
+            touched.push(result.name)
+          }
+        }
+        vfParser.saveVfFile(WORKING_VF_FILE, data)
+        if (touched.length > 0) printDuplicateUtterances(data, touched)
+      },
+      versionMeta(argv)
+    )
+    printVersionSaved(saved)
+  }
+
+  // Toggle and describe agents' knowledge base tool, and stage and upload the documents behind it
+  const kbCommand = async (argv) => {
+    const interactive = argv.interactive !== false
+    const action = argv.action
+    if (['enable', 'disable', 'describe'].includes(action)) {
+      const WORKING_VF_FILE = await resolveWorkingFile(argv)
+      const data = vfParser.loadVfFile(WORKING_VF_FILE)
+      const agentId = await selectAgent(
+        vfParser.listAllAgents(data),
+        argv,
+        'Multiple agents found. Select the agent:'
+      )
+      const current = getAgentSettings(data, agentId).tools.knowledgeBase
+      const description =
+        action === 'describe'
+          ? await ask(
+              {
+                type: 'input',
+                name: 'description',
+                message: 'When should the agent search the knowledge base?',
+                default: current.description,
+              },
+              argv.description,
+              { interactive }
+            )
+          : argv.description
+      const saved = await versioning.withAutoVersioning(
+        WORKING_VF_FILE,
+        async () => {
+          const data = vfParser.loadVfFile(WORKING_VF_FILE)
+          const { knowledgeBase } = applyAgentSettings(data, agentId, {
+            knowledgeBase: {
+              enabled:
+                action === 'describe' ? current.enabled : action === 'enable',
+              description,
+            },
+          }).tools
+          vfParser.saveVfFile(WORKING_VF_FILE, data)
+          console.log(
+            `Knowledge base ${knowledgeBase.enabled ? 'enabled' : 'disabled'}: ${knowledgeBase.description}`
+          )
+        },
+        versionMeta(argv, agentId)
+      )
+      printVersionSaved(saved)
+      return
+    }
+
+    const file = argv.file || (await selectProjectFile(argv))
+    const dir = getKnowledgeBaseDir(versioning.getProjectName(file))
+    const relative = (p) => path.relative(process.cwd(), p)
+    if (action === 'add') {
+      const sources = await ask(
+        {
+          type: 'input',
+          name: 'document',
+          message: 'File or URL to stage (comma-separated for several):',
+        },
+        argv.document,
+        { interactive }
+      )
+      // Repeated flags and comma-separated lists in a flag or the answer all work
+      const list = [sources]
+        .flat()
+        .flatMap((source) => String(source).split(','))
+        .map((source) => source.trim())
+        .filter(Boolean)
+      for (const source of list) {
+        const { document, added } = addKbDocument(dir, source, argv.name)
+        console.log(
+          added
+            ? `Staged ${document.type === 'url' ? document.url : document.file} in ${relative(path.join(dir, KB_MANIFEST))}.`
+            : `${document.file || document.url} is already listed.`
+        )
+      }
+      return
+    }
+    const status = kbStatus(dir)
+    if (action === 'status') {
+      printKbStatus(status)
+      return
+    }
+
+    // upload: send new and changed documents, and with --prune remove those no longer listed
+    const missing = status.documents.filter((d) => d.status === 'missing')
+    if (missing.length > 0) {
+      throw new Error(
+        `Listed documents are missing from ${relative(dir)}: ${missing.map((d) => d.file).join(', ')}`
+      )
+    }
+    const pending = status.documents.filter(
+      (d) => d.status === 'new' || d.status === 'changed'
+    )
+    const removed = argv.prune ? status.removed : []
+    if (
+      pending.length === 0 &&
+      removed.length === 0 &&
+      status.stale.length === 0
+    ) {
+      console.log('The knowledge base is up to date.')
+      if (status.removed.length > 0) {
+        console.log(
+          `${status.removed.length} document(s) no longer listed are still uploaded (use --prune to remove them).`
+        )
+      }
+      return
+    }
+    let standIn
+    if (argv.standIn) {
+      standIn = await startKnowledgeBaseStandIn({ apiKey: 'stand-in' })
+      console.log(
+        `Uploading to a local stand-in at ${standIn.url}; the upload record is left unchanged.`
+      )
+    }
+    const record = loadUploadRecord(dir)
+    let failed = 0
+    try {
+      const uploader = await loadUploader(argv.uploader, {
+        apiKey: standIn ? 'stand-in' : process.env.VF_API_KEY,
+        baseUrl: standIn ? standIn.url : argv.baseUrl,
+      })
+      // Remove the earlier uploads of a document; those that fail stay recorded for the next upload
+      const removeEarlier = async (key) => {
+        const entry = record[key]
+        for (const documentID of entry.pendingRemoval || []) {
+          try {
+            await uploader.remove(documentID)
+            entry.pendingRemoval = entry.pendingRemoval.filter(
+              (id) => id !== documentID
+            )
+            console.log(
+              `  removed   earlier upload ${documentID} of ${key.replace(/^(file|url):/, '')}`
+            )
+          } catch (err) {
+            failed++
+            console.error(
+              `  failed    ${err.message} (recorded; the next upload retries it)`
+            )
+          }
+        }
+        if (entry.pendingRemoval?.length === 0) delete entry.pendingRemoval
+        if (!entry.documentID && !entry.pendingRemoval) delete record[key]
+        saveUploadRecord(dir, record)
+      }
+      if (!standIn) {
+        // Documents uploaded again below retry theirs after the upload
+        const uploading = new Set(pending.map((doc) => doc.key))
+        for (const key of new Set(status.stale.map((doc) => doc.key))) {
+          if (!uploading.has(key)) await removeEarlier(key)
+        }
+      }
+      for (const doc of pending) {
+        try {
+          const previous = record[doc.key]?.documentID
+          const { documentID } = await uploader.upload({
+            ...doc,
+            path: doc.file ? path.join(dir, doc.file) : undefined,
+          })
+          console.log(
+            `  ${doc.status === 'new' ? 'uploaded' : 'replaced'}  ${doc.name}  (${documentID})`
+          )
+          if (!standIn) {
+            // A changed document replaces its previous upload, removed only once the new one is in
+            const pendingRemoval = (
+              record[doc.key]?.pendingRemoval || []
+            ).concat(previous && previous !== documentID ? [previous] : [])
+            record[doc.key] = {
+              hash: doc.hash,
+              documentID,
+              uploadedAt: new Date().toISOString(),
+              ...(pendingRemoval.length > 0 ? { pendingRemoval } : {}),
+            }
+            saveUploadRecord(dir, record)
+            await removeEarlier(doc.key)
+          }
+        } catch (err) {
+          failed++
+          console.error(`  failed    ${doc.name}: ${err.message}`)
+        }
+      }
+      for (const doc of removed) {
+        try {
+          if (doc.documentID && !standIn) await uploader.remove(doc.documentID)
+          console.log(`  removed   ${doc.key.replace(/^(file|url):/, '')}`)
+          if (!standIn) {
+            // Earlier uploads still to remove keep the entry
+            const { pendingRemoval } = record[doc.key]
+            if (pendingRemoval) record[doc.key] = { pendingRemoval }
+            else delete record[doc.key]
+            saveUploadRecord(dir, record)
+          }
+        } catch (err) {
+          failed++
+          console.error(`  failed    ${doc.key}: ${err.message}`)
+        }
+      }
+      if (standIn) {
+        console.log(
+          `The stand-in received ${standIn.documents.size} document(s).`
+        )
+      }
+    } finally {
+      if (standIn) await standIn.close()
+    }
+    if (failed > 0) {
+      console.error(`${failed} upload(s) or removal(s) failed.`)
+      process.exitCode = 1
+    }
+  }
+
+  // Embed a local JavaScript function in the project and link it to an agent as a function tool
+  const addFunction = async (argv) => {
+    const code = fs.readFileSync(argv.source, 'utf8')
+    const declared = parseFunctionSource(code)
+    const name =
+      argv.name ||
+      declared.name ||
+      path.basename(argv.source, path.extname(argv.source))
+    const WORKING_VF_FILE = await resolveWorkingFile(argv)
+    const data = vfParser.loadVfFile(WORKING_VF_FILE)
+    const agentId = await selectAgent(
+      vfParser.listAllAgents(data),
+      argv,
+      'Multiple agents found. Select the agent to give the function to:'
+    )
+    const saved = await versioning.withAutoVersioning(
+      WORKING_VF_FILE,
+      async () => {
+        const data = vfParser.loadVfFile(WORKING_VF_FILE)
+        const { fn, created } = upsertFunction(data, {
+          name,
+          description: declared.description,
+          code,
+          inputs: declared.inputs,
+          outputs: declared.outputs,
+          paths: declared.paths,
+        })
+        linkFunction(data, fn, agentId, argv.description)
+        vfParser.saveVfFile(WORKING_VF_FILE, data)
+        console.log(
+          `Function '${name}' ${created ? 'added' : 'updated'} (${
+            declared.inputs.length
+          } input(s), ${declared.outputs.length} output(s), ${
+            declared.paths.length
+          } path(s)), linked to agent ${agentId}.`
+        )
+      },
+      versionMeta(argv, agentId)
+    )
+    printVersionSaved(saved)
+  }
+
+  // Run a function module locally in a sandbox, with sample inputs or a file of test cases
+  const runFunctionCommand = async (argv) => {
+    const code = fs.readFileSync(argv.source, 'utf8')
+    const declared = parseFunctionSource(code)
+    const options = { timeout: argv.timeout, allowNetwork: argv.allowNetwork }
+    if (argv.cases) {
+      const cases = JSON.parse(fs.readFileSync(argv.cases, 'utf8'))
+      if (!Array.isArray(cases)) {
+        throw new Error(
+          `Invalid cases file ${argv.cases}: expected [{ "name", "inputs", "expect": { "path", "outputs" } }]`
+        )
+      }
+      let failed = 0
+      for (const [idx, testCase] of cases.entries()) {
+        const label = testCase.name || `case ${idx + 1}`
+        const problems = []
+        try {
+          const run = await runFunction(code, testCase.inputs || {}, options)
+          problems.push(...checkFunctionRun(run, declared))
+          const expect = testCase.expect || {}
+          if (expect.path !== undefined && run.path !== expect.path) {
+            problems.push(`path: expected '${expect.path}', got '${run.path}'`)
+          }
+          for (const [key, value] of Object.entries(expect.outputs || {})) {
+            if (JSON.stringify(run.outputVars[key]) !== JSON.stringify(value)) {
+              problems.push(
+                `${key}: expected ${JSON.stringify(value)}, got ${JSON.stringify(
+                  run.outputVars[key]
+                )}`
+              )
+            }
+          }
+        } catch (err) {
+          problems.push(`threw: ${err.message}`)
+        }
+        console.log(`${problems.length === 0 ? 'PASS' : 'FAIL'}  ${label}`)
+        problems.forEach((problem) => console.log(`      ${problem}`))
+        if (problems.length > 0) failed++
+      }
+      console.log(`\n${cases.length - failed} passed, ${failed} failed`)
+      if (failed > 0) process.exitCode = 1
+      return
+    }
+    const inputs = Object.fromEntries(
+      parsePairs(argv.input, '=').map((p) => [p.key, p.value])
+    )
+    for (const input of declared.inputs) {
+      if (inputs[input.name] !== undefined) continue
+      inputs[input.name] = await ask(
+        {
+          type: 'input',
+          name: 'value',
+          message: `Value for '${input.name}'${
+            input.description ? ` (${input.description})` : ''
+          }:`,
+        },
+        undefined,
+        { interactive: argv.interactive !== false, flag: 'input' }
+      )
+    }
+    const run = await runFunction(code, inputs, options)
+    run.logs.forEach((line) => console.log(`log: ${line}`))
+    console.log(`Path: ${run.path ?? '(none)'}`)
+    console.log('Outputs:')
+    const outputs = Object.entries(run.outputVars)
+    if (outputs.length === 0) console.log('  (none)')
+    outputs.forEach(([key, value]) =>
+      console.log(`  ${key} = ${JSON.stringify(value)}`)
+    )
+    if (run.trace.length > 0) {
+      console.log('Trace:')
+      run.trace.forEach((trace) => console.log(`  ${JSON.stringify(trace)}`))
+    }
+    const problems = checkFunctionRun(run, declared)
+    problems.forEach((problem) => console.warn(`Warning: ${problem}`))
+    if (problems.length > 0) process.exitCode = 1
+  }
+
+  // Show the version history (newest first), like `git log`
+  const listVersions = (argv) => {
+    const project = argv.project && versioning.getProjectName(argv.project)
+    const versions = versioning.listVersions({ project })
+    if (versions.length === 0) {
+      console.log('No versions found.')
+      return
+    }
+    if (argv.oneline) {
+      versions.forEach((v) =>
+        console.log(
+          `${v.file}${v.isHead ? ' (HEAD)' : ''} ${v.command || ''}${
+            v.message ? ': ' + v.message : ''
+          }`
+        )
+      )
+      return
+    }
+    versions.forEach((v) => {
+      console.log(`version ${v.file}${v.isHead ? ' (HEAD)' : ''}`)
+      if (!project) console.log(`Project: ${v.project}`)
+      if (v.parent) console.log(`Parent:  ${v.parent}`)
+      console.log(`Date:    ${v.createdAt}`)
+      if (v.command) console.log(`Command: ${v.command}`)
+      if (v.agent) console.log(`Agent:   ${v.agent}`)
+      console.log(`Hash:    ${v.hash.slice(0, 12)}`)
+      if (v.message) console.log(`\n    ${v.message}`)
+      console.log('')
+    })
+  }
+
+  // Pick the project whose history undo/redo/revert works on: --project, the only one, or a prompt
+  const selectHistoryProject = async (argv) => {
+    if (argv.project) {
+      const project = versioning.getProjectName(argv.project)
+      if (!versioning.listProjects().includes(project)) {
+        throw new Error(`No version history found for project '${project}'`)
+      }
+      return project
+    }
+    const projects = versioning.listProjects()
+    if (projects.length === 0) throw new Error('No version history found.')
+    if (projects.length === 1) return projects[0]
+    if (argv.interactive === false) {
+      throw new Error(
+        'Missing required option --project (prompts are disabled by --no-interactive)'
+      )
+    }
+    const { project } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'project',
+        message: 'Select a project:',
+        choices: projects,
+      },
+    ])
+    return project
+  }
+
+  // Refuse to overwrite edits made to the working file outside the CLI unless confirmed
+  const confirmDiscardChanges = async (project, argv) => {
+    if (!versioning.hasUnsavedChanges(project)) return
+    const discard = await confirm(
+      `The working file of '${project}' has changes that are not in its history. Discard them?`,
+      argv,
+      false
+    )
+    if (!discard) {
+      throw new Error(
+        `Aborted: unsaved changes in ${versioning.getWorkingFile(project)} (use --yes to discard them)`
+      )
+    }
+  }
+
+  // Describe a history entry in one line
+  const describeVersion = (project, file) => {
+    const entry = versioning
+      .loadHistory(project)
+      .versions.find((v) => v.file === file)
+    const details = [entry?.command, entry?.message].filter(Boolean).join(': ')
+    return details ? `${file} (${details})` : file
+  }
+
+  // Revert a project to a previous version, recorded as a new version on top of HEAD
+  const revertVersion = async (argv) => {
+    const versionFile = versioning.resolveVersionFile(argv.version)
+    const project = argv.project
+      ? versioning.getProjectName(argv.project)
+      : versioning.getProjectName(versionFile)
+    await confirmDiscardChanges(project, argv)
+    const saved = versioning.revertProject(
+      project,
+      versionFile,
+      versionMeta(argv)
+    )
+    if (saved) {
+      console.log(
+        `Reverted ${project} to ${path.basename(versionFile)} (new version ${saved}).`
+      )
+    } else {
+      console.log(
+        `${project} already matches ${path.basename(versionFile)}; nothing to revert.`
+      )
+    }
+  }
+
+  // Step HEAD back to the previous version
+  const undo = async (argv) => {
+    const project = await selectHistoryProject(argv)
+    await confirmDiscardChanges(project, argv)
+    const undone = versioning.loadHistory(project).head
+    const head = versioning.undo(project)
+    console.log(`Undid ${describeVersion(project, undone)}`)
+    console.log(`HEAD is now ${describeVersion(project, head)}`)
+  }
+
+  // Step HEAD forward to the last undone version
+  const redo = async (argv) => {
+    const project = await selectHistoryProject(argv)
+    await confirmDiscardChanges(project, argv)
+    const head = versioning.redo(project)
+    console.log(`Redid ${describeVersion(project, head)}`)
+  }
+
+  // Command to edit project metadata (name and description)
+  const editProjectMeta = async (argv) => {
+    const WORKING_VF_FILE = await resolveWorkingFile(argv)
+    const data = vfParser.loadVfFile(WORKING_VF_FILE)
+    // Get current values
+    const currentName =
+      data.version && data.version.name ? data.version.name : ''
+    // Prompt for new project name only
+    const newName = await ask(
       {
         type: 'input',
         name: 'newName',
         message: 'Project name:',
         default: currentName,
       },
-    ])
-    await versioning.withAutoVersioning(WORKING_VF_FILE, async () => {
-      const data = vfParser.loadVfFile(WORKING_VF_FILE)
-      if (data.version) {
-        data.version.name = newName
-        // Also update version.prototype.data.name if present
-        if (
-          data.version.prototype &&
-          data.version.prototype.data &&
-          typeof data.version.prototype.data === 'object'
-        ) {
-          data.version.prototype.data.name = newName
+      argv.name,
+      { interactive: argv.interactive !== false, flag: 'name' }
+    )
+    await versioning.withAutoVersioning(
+      WORKING_VF_FILE,
+      async () => {
+        const data = vfParser.loadVfFile(WORKING_VF_FILE)
+        vfParser.updateProjectName(data, newName)
+        vfParser.saveVfFile(WORKING_VF_FILE, data)
+        console.log('Project name updated!')
+      },
+      versionMeta(argv)
+    )
+  }
+
+  // Setup project wizard: select base, set metadata, add API tool
+  const setupProject = async (argv) => {
+    // 1. Select base project (template or existing)
+    const projectFile = argv.file || (await selectProjectFile(argv))
+    const WORKING_VF_FILE = ensureVersionedFile(projectFile)
+    // 2. Prompt for project metadata
+    const data = vfParser.loadVfFile(WORKING_VF_FILE)
+    const currentName =
+      data.version && data.version.name ? data.version.name : ''
+    // Prompt for new project name only
+    const newName = await ask(
+      {
+        type: 'input',
+        name: 'newName',
+        message: 'Project name:',
+        default: currentName,
+      },
+      argv.projectName,
+      { interactive: argv.interactive !== false, flag: 'project-name' }
+    )
+    await versioning.withAutoVersioning(
+      WORKING_VF_FILE,
+      async () => {
+        const data = vfParser.loadVfFile(WORKING_VF_FILE)
+        vfParser.updateProjectName(data, newName)
+        vfParser.saveVfFile(WORKING_VF_FILE, data)
+        console.log('Project name updated!')
+      },
+      versionMeta(argv)
+    )
+    // 3. Ask if user wants to add an API tool (implied when --url is given)
+    const wantsApiTool =
+      argv.url !== undefined ||
+      (await confirm('Would you like to add an API tool now?', argv, true))
+    if (wantsApiTool) {
+      await addApiTool(argv, WORKING_VF_FILE)
+    } else {
+      console.log('Setup complete!')
+    }
+  }
+
+  // Manage secret values: the encrypted store of an environment, plus what a project references
+  const secretsCommand = async (argv) => {
+    const env = argv.env
+    if (argv.action === 'list') {
+      const store = loadSecretStore(env)
+      const names = Object.keys(store).sort()
+      console.log(
+        names.length > 0
+          ? `Secrets stored for '${env}': ${names.join(', ')}`
+          : `No secrets stored for '${env}'.`
+      )
+      if (argv.file) {
+        const referenced = listProjectSecrets(vfParser.loadVfFile(argv.file))
+        const { sources } = resolveSecrets(referenced, env)
+        console.log(`\nReferenced by ${path.basename(argv.file)}:`)
+        if (referenced.length === 0) console.log('  (none)')
+        referenced.forEach((name) =>
+          console.log(`  ${name}  ${sources[name] || 'MISSING'}`)
+        )
+        if (referenced.some((name) => !sources[name])) process.exitCode = 1
+      }
+      return
+    }
+    const name = await ask(
+      { type: 'input', name: 'name', message: 'Secret name:' },
+      argv.name,
+      { interactive: argv.interactive !== false }
+    )
+    if (!/^[a-zA-Z0-9_]+$/.test(name)) {
+      throw new Error(
+        `Invalid secret name '${name}' (use letters, digits and underscores)`
+      )
+    }
+    const store = loadSecretStore(env)
+    if (argv.action === 'remove') {
+      if (store[name] === undefined) {
+        throw new Error(`No secret '${name}' stored for '${env}'`)
+      }
+      delete store[name]
+      saveSecretStore(env, store)
+      console.log(`Secret '${name}' removed from '${env}'.`)
+      return
+    }
+    const value = await ask(
+      {
+        type: 'password',
+        name: 'value',
+        message: `Value of ${name}:`,
+        mask: '*',
+      },
+      argv.value,
+      { interactive: argv.interactive !== false, flag: 'value' }
+    )
+    store[name] = value
+    saveSecretStore(env, store)
+    console.log(
+      `Secret '${name}' stored for '${env}'. Reference it as {{secret.${name}}} in headers and query parameters.`
+    )
+  }
+
+  // Scan projects, templates and saved versions for likely credentials, then redact them or move them
+  // into the secret store
+  const scanSecrets = async (argv) => {
+    const root = path.join(__dirname, '..')
+    const paths =
+      argv.paths && argv.paths.length > 0
+        ? argv.paths
+        : ['projects', 'template', 'versions'].map((dir) =>
+            path.join(root, dir)
+          )
+    const files = listVfFiles(paths)
+    const relative = (file) => path.relative(process.cwd(), file)
+    // Group findings by value: a key leaked once is copied into every later version
+    const leaks = new Map()
+    for (const file of files) {
+      let data
+      try {
+        data = vfParser.loadVfFile(file)
+      } catch (err) {
+        console.warn(`Skipping ${relative(file)}: ${err.message}`)
+        continue
+      }
+      for (const finding of scanProject(data)) {
+        if (!leaks.has(finding.value)) {
+          leaks.set(finding.value, { ...finding, places: [], files: new Set() })
+        }
+        const leak = leaks.get(finding.value)
+        leak.tool = leak.tool || finding.tool
+        leak.files.add(file)
+        if (!leak.places.some((p) => p.where === finding.where)) {
+          leak.places.push({ where: finding.where, file })
+        }
+      }
+    }
+    if (leaks.size === 0) {
+      console.log(`No likely secrets found in ${files.length} file(s).`)
+      return
+    }
+    for (const leak of leaks.values()) {
+      console.log(
+        `\n${leak.kind}: ${maskValue(leak.value)} in ${leak.files.size} file(s)`
+      )
+      leak.places
+        .slice(0, 5)
+        .forEach((p) => console.log(`  ${p.where} (${relative(p.file)})`))
+      if (leak.places.length > 5) {
+        console.log(`  ... and ${leak.places.length - 5} more`)
+      }
+    }
+    const leakyFiles = new Set(
+      [...leaks.values()].flatMap((leak) => [...leak.files])
+    )
+    console.log(
+      `\n${leaks.size} likely secret(s) in ${leakyFiles.size} of ${files.length} file(s).`
+    )
+    process.exitCode = 1
+    if (!argv.redact && argv.interactive === false) return
+
+    const changed = new Set()
+    for (const leak of leaks.values()) {
+      const action = argv.redact
+        ? 'redact'
+        : await ask({
+            type: 'list',
+            name: 'action',
+            message: `${leak.kind} ${maskValue(leak.value)}:`,
+            choices: [
+              ...(leak.tool
+                ? [
+                    {
+                      name: 'Move it into the secret store (referenced as {{secret.NAME}})',
+                      value: 'move',
+                    },
+                  ]
+                : []),
+              { name: 'Redact it', value: 'redact' },
+              { name: 'Leave it', value: 'skip' },
+            ],
+          })
+      if (action === 'skip') continue
+      let replacement = '[REDACTED]'
+      if (action === 'move') {
+        const store = loadSecretStore(argv.env)
+        const name = await ask({
+          type: 'input',
+          name: 'name',
+          message: 'Secret name:',
+          default: `${leak.tool.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}_KEY`,
+          validate: (value) =>
+            !/^[a-zA-Z0-9_]+$/.test(value)
+              ? 'Use letters, digits and underscores'
+              : store[value] !== undefined && store[value] !== leak.value
+                ? `Another value is already stored as '${value}'`
+                : true,
+        })
+        store[name] = leak.value
+        saveSecretStore(argv.env, store)
+        replacement = `{{secret.${name}}}`
+      }
+      let count = 0
+      for (const file of leak.files) {
+        if (replaceInFile(file, leak.value, replacement)) {
+          changed.add(file)
+          count++
+        }
+      }
+      console.log(
+        `${action === 'move' ? `Moved to ${replacement}` : 'Redacted'} in ${count} file(s).`
+      )
+    }
+    // Rewritten saved versions need their recorded hashes updated
+    const projects = new Set(
+      [...changed]
+        .filter(
+          (file) =>
+            !path.relative(path.join(root, 'versions'), file).startsWith('..')
+        )
+        .map((file) => versioning.getProjectName(file))
+    )
+    projects.forEach((project) => versioning.refreshVersionHashes(project))
+    if (changed.size > 0) {
+      console.log(`\n${changed.size} file(s) updated.`)
+      process.exitCode = 0
+    }
+  }
+
+  // Build a .vf project from a YAML/JSON agent manifest on top of a template
+  const buildFromManifest = (argv) => {
+    const manifest = loadManifest(argv.manifest)
+    const templateFile = argv.template || getTemplateVfFiles()[0]
+    if (!templateFile) {
+      throw new Error('No template found. Pass one with --template <file.vf>')
+    }
+    const data = vfParser.loadVfFile(templateFile)
+    buildProject(manifest, data, {
+      baseDir: path.dirname(path.resolve(argv.manifest)),
+      models: loadModels(),
+      env: argv.env,
+    })
+    const baseName = (
+      manifest.name || path.basename(argv.manifest, path.extname(argv.manifest))
+    )
+      .replace(/[^a-zA-Z0-9_-]+/g, '_')
+      .replace(/^_+|_+$/g, '')
+    let outFile =
+      argv.out || path.join(__dirname, '..', 'projects', `${baseName}.vf`)
+    if (argv.env) {
+      // An environment build holds secret values: it goes to dist/, never to projects/ or versions/
+      const { values } = resolveSecrets(listProjectSecrets(data), argv.env)
+      const missing = applySecrets(data, values)
+      if (missing.length > 0) {
+        throw new Error(
+          `Missing value for secret(s) ${missing.join(', ')} in environment '${argv.env}' (use vf-copilot secrets add --env ${argv.env})`
+        )
+      }
+      outFile =
+        argv.out ||
+        path.join(__dirname, '..', 'dist', `${baseName}.${argv.env}.vf`)
+      for (const dir of ['projects', 'versions']) {
+        const relative = path.relative(
+          path.join(__dirname, '..', dir),
+          path.resolve(outFile)
+        )
+        if (!relative.startsWith('..') && !path.isAbsolute(relative)) {
+          throw new Error(
+            `Refusing to write an environment build (with secret values) into ${dir}/`
+          )
         }
       }
-      // Also update project.name if present
-      if (data.project && typeof data.project === 'object') {
-        data.project.name = newName
+    }
+    fs.mkdirSync(path.dirname(outFile), { recursive: true })
+    vfParser.saveVfFile(outFile, data)
+    console.log(`Built ${outFile} from ${argv.manifest}`)
+  }
+
+  // Decompile a .vf project into an editable manifest
+  const exportManifestCommand = (argv) => {
+    const data = vfParser.loadVfFile(argv.file)
+    const { manifest, warnings } = exportManifest(data)
+    if (argv.instructionsDir) {
+      if (!argv.out) {
+        throw new Error('--instructions-dir requires --out')
+      }
+      const manifestDir = path.dirname(path.resolve(argv.out))
+      fs.mkdirSync(argv.instructionsDir, { recursive: true })
+      for (const agent of manifest.agents) {
+        const fileName =
+          (agent.name || agent.id).replace(/[^a-zA-Z0-9_-]+/g, '_') + '.md'
+        const filePath = path.resolve(argv.instructionsDir, fileName)
+        fs.writeFileSync(filePath, agent.instructions || '', 'utf8')
+        delete agent.instructions
+        agent.instructionsFile = path
+          .relative(manifestDir, filePath)
+          .split(path.sep)
+          .join('/')
       }
-      vfParser.saveVfFile(WORKING_VF_FILE, data)
-      console.log('Project name updated!')
+    }
+    warnings.forEach((w) => console.warn('Warning: ' + w))
+    const output = stringifyManifest(manifest, argv.out)
+    if (argv.out) {
+      fs.writeFileSync(argv.out, output, 'utf8')
+      console.log(`Manifest written to ${argv.out}`)
+    } else {
+      process.stdout.write(output)
+    }
+  }
+
+  // Export API tools as an OpenAPI spec, curl commands or a Postman collection
+  const exportTools = async (argv) => {
+    const file = argv.file || (await selectProjectFile(argv))
+    const data = vfParser.loadVfFile(file)
+    const tools = argv.tool
+      ? argv.tool.map((name) => apiTools.findApiTool(data, name))
+      : data.apiTools || []
+    if (tools.length === 0) throw new Error('The project has no API tools.')
+    const described = tools.map((tool) => apiTools.describeApiTool(data, tool))
+    const values = Object.fromEntries(
+      parsePairs(argv.var, '=').map((p) => [p.key, p.value])
+    )
+    const title =
+      data.project?.name || data.version?.name || path.basename(file, '.vf')
+    let output
+    if (argv.format === 'curl') {
+      output =
+        described
+          .map(
+            (tool) =>
+              `# ${tool.name}${tool.description ? ': ' + tool.description : ''}\n${toCurl(tool, values)}`
+          )
+          .join('\n\n') + '\n'
+    } else if (argv.format === 'postman') {
+      output =
+        JSON.stringify(toPostmanCollection(title, described, values), null, 2) +
+        '\n'
+    } else {
+      const { spec, warnings } = toOpenApiSpec(title, described)
+      warnings.forEach((w) => console.warn('Warning: ' + w))
+      output = stringifyManifest(spec, argv.out)
+    }
+    if (argv.out) {
+      fs.writeFileSync(argv.out, output, 'utf8')
+      console.log(`${described.length} API tool(s) written to ${argv.out}`)
+    } else {
+      process.stdout.write(output)
+    }
+  }
+
+  // Render an API tool with concrete variable values and perform the request
+  const testTool = async (argv) => {
+    const file = argv.file || (await selectProjectFile(argv))
+    const data = vfParser.loadVfFile(file)
+    const tool = apiTools.findApiTool(data, argv.tool)
+    const values = Object.fromEntries(
+      parsePairs(argv.var, '=').map((p) => [p.key, p.value])
+    )
+    for (const variable of apiTools.describeApiTool(data, tool).variables) {
+      if (values[variable.name] !== undefined) continue
+      values[variable.name] = await ask(
+        {
+          type: 'input',
+          name: 'value',
+          message: `Value for '{${variable.name}}'${
+            variable.description ? ` (${variable.description})` : ''
+          }:`,
+        },
+        undefined,
+        { interactive: argv.interactive !== false, flag: 'var' }
+      )
+    }
+    const secrets = projectSecretValues(data, argv.env)
+    const request = renderApiTool(data, tool, values, {
+      baseUrl: argv.baseUrl,
+      secrets,
     })
+    // Secret values are never printed
+    const mask = (text) => maskSecrets(text, secrets)
+    console.log(`${request.method.toUpperCase()} ${mask(request.url)}`)
+    Object.entries(request.headers).forEach(([key, value]) =>
+      console.log(`${key}: ${mask(value)}`)
+    )
+    if (request.body !== undefined) console.log(`\n${mask(request.body)}`)
+    request.issues.forEach((issue) => console.warn(`Warning: ${mask(issue)}`))
+    if (argv.dryRun) return
+    const response = await executeRequest(request, { timeout: argv.timeout })
+    if (response.error) {
+      console.error(
+        `\nRequest failed after ${response.latencyMs} ms: ${response.error}`
+      )
+      process.exitCode = 1
+      return
+    }
+    console.log(`\nStatus:  ${response.status} ${response.statusText}`)
+    console.log(`Latency: ${response.latencyMs} ms`)
+    if (response.headers['content-type']) {
+      console.log(`Type:    ${response.headers['content-type']}`)
+    }
+    console.log(`\n${previewBody(response.body, argv.preview)}`)
+    if (response.status >= 400) process.exitCode = 1
   }
 
-  // Setup project wizard: select base, set metadata, add API tool
-  const setupProject = async () => {
-    // 1. Select base project (template or existing)
-    const projectFile = await selectProjectFile()
-    const WORKING_VF_FILE = ensureVersionedFile(projectFile)
-    // 2. Prompt for project metadata
-    const data = vfParser.loadVfFile(WORKING_VF_FILE)
-    const currentName =
-      data.version && data.version.name ? data.version.name : ''
-    // Prompt for new project name only
-    const { newName } = await inquirer.prompt([
-      {
-        type: 'input',
-        name: 'newName',
-        message: 'Project name:',
-        default: currentName,
-      },
-    ])
-    await versioning.withAutoVersioning(WORKING_VF_FILE, async () => {
-      const data = vfParser.loadVfFile(WORKING_VF_FILE)
-      if (data.version) {
-        data.version.name = newName
-        // Also update version.prototype.data.name if present
+  // Record responses of API tools as fixtures: a new case from --var, or every existing case again
+  const recordFixtures = async (argv, data, dir, fixtures) => {
+    if (argv.mock) throw new Error('--record cannot be combined with --mock')
+    const timeout = argv.timeout
+    const secrets = projectSecretValues(data, argv.env)
+    if (argv.var || argv.case) {
+      if (!argv.tool || argv.tool.length !== 1) {
+        throw new Error('Recording a new case needs exactly one --tool')
+      }
+      const tool = apiTools.findApiTool(data, argv.tool[0])
+      const variables = Object.fromEntries(
+        parsePairs(argv.var, '=').map((p) => [p.key, p.value])
+      )
+      const name = argv.case || 'default'
+      const request = renderApiTool(data, tool, variables, {
+        baseUrl: argv.baseUrl,
+        secrets,
+      })
+      const response = await executeRequest(request, { timeout })
+      if (response.error) throw new Error(`Request failed: ${response.error}`)
+      const fixture = fixtures.find((f) => f.tool === tool.name) || {
+        tool: tool.name,
+        cases: [],
+      }
+      fixture.cases = [
+        ...fixture.cases.filter((c) => c.name !== name),
+        recordCase(name, variables, response),
+      ]
+      const file = saveFixture(dir, fixture)
+      console.log(
+        `Recorded ${tool.name} / ${name} (${response.status}) in ${file}`
+      )
+      return
+    }
+    const selected = argv.tool
+      ? fixtures.filter((f) => argv.tool.includes(f.tool))
+      : fixtures
+    if (selected.length === 0) {
+      throw new Error(
+        `No fixtures to record again in ${dir} (add a case with --tool <name> --var name=value)`
+      )
+    }
+    for (const fixture of selected) {
+      const tool = apiTools.findApiTool(data, fixture.tool)
+      const cases = []
+      for (const c of fixture.cases) {
+        const request = renderApiTool(data, tool, c.variables || {}, {
+          baseUrl: argv.baseUrl,
+          secrets,
+        })
+        const response = await executeRequest(request, { timeout })
+        if (response.error) {
+          console.error(
+            `Could not record ${fixture.tool} / ${c.name}: ${response.error}`
+          )
+          cases.push(c)
+          continue
+        }
+        cases.push(recordCase(c.name, c.variables || {}, response))
+        console.log(`Recorded ${fixture.tool} / ${c.name} (${response.status})`)
+      }
+      saveFixture(dir, { ...fixture, cases })
+    }
+  }
+
+  // Replay API tool fixtures against the real API, a --base-url or the bundled mock, and report drift
+  const checkTools = async (argv) => {
+    const file = argv.file || (await selectProjectFile(argv))
+    const data = vfParser.loadVfFile(file)
+    const dir = argv.fixtures || getFixturesDir(versioning.getProjectName(file))
+    const fixtures = loadFixtures(dir)
+    if (argv.record) {
+      await recordFixtures(argv, data, dir, fixtures)
+      return
+    }
+    const selected = argv.tool
+      ? fixtures.filter((f) => argv.tool.includes(f.tool))
+      : fixtures
+    if (selected.length === 0) {
+      throw new Error(
+        `No fixtures found in ${dir} (record some with --record --tool <name> --var name=value)`
+      )
+    }
+    // Render every case first: the mock serves the recorded responses on the rendered paths
+    const secrets = projectSecretValues(data, argv.env)
+    const runs = []
+    for (const fixture of selected) {
+      const tool = (data.apiTools || []).find((t) => t.name === fixture.tool)
+      for (const c of fixture.cases) {
+        const run = { label: `${fixture.tool} / ${c.name}`, fixtureCase: c }
+        try {
+          if (!tool) throw new Error('the API tool no longer exists')
+          run.request = renderApiTool(data, tool, c.variables || {}, {
+            baseUrl: argv.baseUrl,
+            secrets,
+          })
+        } catch (err) {
+          run.drift = [err.message]
+        }
+        runs.push(run)
+      }
+    }
+    let mock
+    if (argv.mock) {
+      // The mock never lets a request through to the real API, and answers each method and path once
+      const routes = new Map()
+      for (const run of runs.filter((r) => r.request)) {
+        if (!run.fixtureCase.response) {
+          run.request = null
+          run.drift = [
+            'no recorded response to mock (record one with --record)',
+          ]
+          continue
+        }
+        const url = new URL(run.request.url)
+        const key = `${run.request.method.toUpperCase()} ${url.pathname + url.search}`
+        const route = routes.get(key)
         if (
-          data.version.prototype &&
-          data.version.prototype.data &&
-          typeof data.version.prototype.data === 'object'
+          route &&
+          !isDeepStrictEqual(route.response, run.fixtureCase.response)
         ) {
-          data.version.prototype.data.name = newName
+          run.request = null
+          run.drift = [
+            `${key} is also the request of ${route.label} with another recorded response; the mock cannot tell them apart`,
+          ]
+          continue
+        }
+        run.path = url.pathname + url.search
+        if (!route) {
+          routes.set(key, {
+            method: run.request.method,
+            path: run.path,
+            response: run.fixtureCase.response,
+            label: run.label,
+          })
         }
       }
-      // Also update project.name if present
-      if (data.project && typeof data.project === 'object') {
-        data.project.name = newName
+      mock = await startMockServer([...routes.values()])
+      runs
+        .filter((run) => run.path)
+        .forEach((run) => (run.request.url = mock.url + run.path))
+    }
+    let failed = 0
+    try {
+      for (const run of runs) {
+        if (run.request) {
+          const response = await executeRequest(run.request, {
+            timeout: argv.timeout,
+          })
+          run.drift = checkResponse(response, run.fixtureCase.expect)
+          run.summary = response.error
+            ? ''
+            : ` (${response.status}, ${response.latencyMs} ms)`
+        }
+        if (run.drift.length === 0) {
+          console.log(`PASS  ${run.label}${run.summary}`)
+        } else {
+          failed++
+          console.log(`FAIL  ${run.label}${run.summary || ''}`)
+          run.drift.forEach((d) => console.log(`        ${d}`))
+        }
       }
-      vfParser.saveVfFile(WORKING_VF_FILE, data)
-      console.log('Project name updated!')
-    })
-    // 3. Ask if user wants to add an API tool
-    const { wantsApiTool } = await inquirer.prompt([
-      {
-        type: 'confirm',
-        name: 'wantsApiTool',
-        message: 'Would you like to add an API tool now?',
-        default: true,
-      },
-    ])
-    if (wantsApiTool) {
-      await addApiTool(WORKING_VF_FILE)
+    } finally {
+      if (mock) await mock.close()
+    }
+    const untested = (data.apiTools || [])
+      .map((t) => t.name)
+      .filter((name) => !fixtures.some((f) => f.tool === name))
+    if (!argv.tool && untested.length > 0) {
+      console.log(`\nNo fixtures for: ${untested.join(', ')}`)
+    }
+    console.log(`\n${runs.length - failed} passed, ${failed} failed`)
+    if (failed > 0) process.exitCode = 1
+  }
+
+  // Check a .vf file for structural problems that would make Voiceflow reject it
+  const validate = async (argv) => {
+    const file = argv.file || (await selectProjectFile(argv))
+    const result = validateProject(vfParser.loadVfFile(file))
+    const failed =
+      result.errors.length > 0 || (argv.strict && result.warnings.length > 0)
+    if (argv.json) {
+      console.log(JSON.stringify({ file, valid: !failed, ...result }, null, 2))
     } else {
-      console.log('Setup complete!')
+      formatIssues(result).forEach((line) => console.log(line))
+      console.log(
+        `${path.basename(file)}: ${result.errors.length} error(s), ${
+          result.warnings.length
+        } warning(s)`
+      )
+    }
+    if (failed) process.exitCode = 1
+  }
+
+  // Report (and with --fix, repair) common damage in a .vf file
+  const doctor = async (argv) => {
+    const WORKING_VF_FILE = argv.fix
+      ? await resolveWorkingFile(argv)
+      : argv.file || (await selectProjectFile(argv))
+    const data = vfParser.loadVfFile(WORKING_VF_FILE)
+    const fixes = repairProject(data)
+    if (fixes.length === 0) {
+      console.log('Nothing to repair.')
+    } else {
+      console.log(argv.fix ? 'Repairs:' : 'Repairs needed (run with --fix):')
+      fixes.forEach((f) => console.log(`  ${f.path}: ${f.message}`))
+    }
+    const remaining = validateProject(data)
+    if (remaining.errors.length > 0 || remaining.warnings.length > 0) {
+      console.log(
+        argv.fix ? 'Remaining issues:' : 'Remaining issues after repair:'
+      )
+      formatIssues(remaining).forEach((line) => console.log('  ' + line))
+    }
+    if (!argv.fix) {
+      if (fixes.length > 0 || remaining.errors.length > 0) process.exitCode = 1
+      return
+    }
+    if (fixes.length > 0) {
+      // Errors doctor cannot repair must not cost the repairs it made: save without validating
+      await versioning.withAutoVersioning(
+        WORKING_VF_FILE,
+        async () => {
+          vfParser.saveVfFile(WORKING_VF_FILE, data, { validate: false })
+          console.log(`Repaired project saved to ${WORKING_VF_FILE}`)
+        },
+        versionMeta(argv)
+      )
+    }
+    if (remaining.errors.length > 0) {
+      console.error(
+        `${remaining.errors.length} error(s) listed above cannot be repaired automatically; fix them by hand.`
+      )
+      process.exitCode = 1
+    }
+  }
+
+  // Show semantic changes between two versions (or a version and the working file)
+  const diffVersions = (argv) => {
+    const fileA = versioning.resolveVersionFile(argv.versionA)
+    let fileB
+    if (argv.versionB) {
+      fileB = versioning.resolveVersionFile(argv.versionB)
+    } else {
+      // Compare against the working file of the same project
+      const project = versioning.getProjectName(fileA)
+      fileB = versioning.getWorkingFile(project)
+      if (!fs.existsSync(fileB)) {
+        throw new Error(`No working file found for project '${project}'`)
+      }
+    }
+    const changes = diffProjects(
+      vfParser.loadVfFile(fileA),
+      vfParser.loadVfFile(fileB)
+    )
+    if (argv.json) {
+      console.log(JSON.stringify(changes, null, 2))
+      return
+    }
+    console.log(`--- ${path.basename(fileA)}\n+++ ${path.basename(fileB)}`)
+    if (!hasChanges(changes)) {
+      console.log('No changes.')
+      return
+    }
+    formatDiff(changes).forEach((line) => console.log(line))
+  }
+
+  // Print one side of a merge conflict: a line diff against the base for multi-line text, the value otherwise
+  const printConflictSide = (label, base, value) => {
+    console.log(`  ${label}:`)
+    if (
+      typeof value === 'string' &&
+      typeof base === 'string' &&
+      (value.includes('\n') || base.includes('\n'))
+    ) {
+      diffLines(base, value)
+        .filter((l) => l.type !== ' ')
+        .forEach((l) => console.log(`    ${l.type} ${l.line}`))
+    } else {
+      console.log(`    ${describeValue(value)}`)
+    }
+  }
+
+  // Three-way merge of two edits of the same project (also usable as a git merge driver)
+  const merge = async (argv) => {
+    const files = [argv.base, argv.ours, argv.theirs].map((ref) =>
+      versioning.resolveVersionFile(ref)
+    )
+    const [base, ours, theirs] = files.map((f) => vfParser.loadVfFile(f))
+    let { merged, conflicts } = mergeProjects(base, ours, theirs)
+    // Name collisions keep both entities: only renaming one of them resolves them
+    const choices = conflicts.filter((c) => c.type !== 'name')
+    const resolutions = {}
+    if (choices.length > 0 && argv.strategy) {
+      choices.forEach((c) => (resolutions[c.path] = argv.strategy))
+    } else if (choices.length > 0 && argv.interactive !== false) {
+      const paths = new Set(choices.map((c) => c.path))
+      console.log(`${choices.length} conflict(s) to resolve.`)
+      for (const conflict of choices) {
+        // Root agent fields follow the choice made for the same field in programResources.agents
+        if (paths.has(linkedConflictPath(conflict.path))) continue
+        console.log(`\nConflict at ${conflict.path}`)
+        console.log(`  base: ${describeValue(conflict.base)}`)
+        printConflictSide('ours', conflict.base, conflict.ours)
+        printConflictSide('theirs', conflict.base, conflict.theirs)
+        const { choice } = await inquirer.prompt([
+          {
+            type: 'list',
+            name: 'choice',
+            message: `Keep which side of ${conflict.path}?`,
+            choices: [
+              { name: 'Ours', value: 'ours' },
+              { name: 'Theirs', value: 'theirs' },
+            ],
+          },
+        ])
+        resolutions[conflict.path] = choice
+      }
+    }
+    if (Object.keys(resolutions).length > 0) {
+      ;({ merged, conflicts } = mergeProjects(base, ours, theirs, {
+        resolutions,
+      }))
+    }
+    const unresolved = conflicts.filter(
+      (c) =>
+        c.type !== 'name' &&
+        !resolutions[c.path] &&
+        !resolutions[linkedConflictPath(c.path)]
+    )
+    const collisions = conflicts.filter((c) => c.type === 'name')
+
+    // Saved versions are immutable: merging into one updates the project's working file instead
+    let target = argv.out || files[1]
+    if (!argv.out && versioning.isSavedVersion(target)) {
+      target = versioning.getWorkingFile(versioning.getProjectName(target))
+    }
+    const isWorkingFile =
+      path.resolve(target) ===
+      path.resolve(versioning.getWorkingFile(versioning.getProjectName(target)))
+    const save = () => vfParser.saveVfFile(target, merged)
+    if (isWorkingFile) {
+      await versioning.withAutoVersioning(target, save, {
+        command: 'merge',
+        message:
+          argv.message ||
+          `Merge ${path.basename(files[2])} into ${path.basename(files[1])}`,
+      })
+    } else {
+      save()
+    }
+    console.log(`Merged project written to ${target}`)
+    if (unresolved.length > 0) {
+      console.error(
+        `${unresolved.length} conflict(s) were not resolved and kept our side:`
+      )
+      unresolved.forEach((c) => console.error(`  ${c.path}`))
+      process.exitCode = 1
+    }
+    if (collisions.length > 0) {
+      console.error(
+        `${collisions.length} name collision(s): an entity of each side has the same name, and both were kept. Rename one of each pair:`
+      )
+      collisions.forEach((c) =>
+        console.error(`  ${c.path}: ours ${c.ours.id}, theirs ${c.theirs.id}`)
+      )
+      process.exitCode = 1
     }
   }
 
@@ -720,31 +3318,21 @@ async function main() {
     }
     const workingFile = ensureVersionedFile(projectFile)
     const vfData = JSON.parse(fs.readFileSync(workingFile, 'utf8'))
-    // Select agent
-    let agents = vfData.programResources?.agents || vfData.agents || []
-    if (!Array.isArray(agents) || agents.length === 0) {
-      console.log('No agents found in this .vf file.')
-      return
-    }
-    let agent
-    if (agents.length === 1) {
-      agent = agents[0]
-    } else {
-      const { agentId } = await inquirer.prompt({
-        type: 'list',
-        name: 'agentId',
-        message: 'Select the agent to update:',
-        choices: agents.map((a) => ({ name: a.name || a.id, value: a.id })),
-      })
-      agent = agents.find((a) => a.id === agentId)
-    }
+    // Agents of version.programResources.agents and the root agents array
+    const agents = vfParser.listAllAgents(vfData)
+    const agentId = await selectAgent(
+      agents,
+      argv,
+      'Select the agent to update:'
+    )
+    const agent = agents.find((a) => a.id === agentId)
     const { userGoal } = await inquirer.prompt({
       type: 'input',
       name: 'userGoal',
       message:
         'What is the goal or context for this agent? (Describe what you want the agent to do)',
     })
-    const currentInstructions = agent.instructions || ''
+    const currentInstructions = vfParser.getAgentInstructions(vfData, agent.id)
     const prompt = buildAgentInstructionsPrompt(
       agent.name,
       userGoal,
@@ -753,7 +3341,7 @@ async function main() {
     console.log('\nGenerating new instructions with AI...')
     let aiInstructions
     try {
-      aiInstructions = await askAnthropic(prompt)
+      aiInstructions = await askAnthropic(prompt, undefined, { json: false })
     } catch (err) {
       console.error('AI error:', err.message)
       return
@@ -765,16 +3353,13 @@ async function main() {
       message: 'Review and edit the new agent instructions:',
       default: aiInstructions,
     })
-    // Update all matching agents (by id) in both locations
-    const updateInstructions = (arr) => {
-      if (!Array.isArray(arr)) return
-      arr.forEach((a) => {
-        if (a.id === agent.id) a.instructions = finalInstructions
-      })
-    }
-    updateInstructions(vfData.programResources?.agents)
-    updateInstructions(vfData.agents)
-    fs.writeFileSync(workingFile, JSON.stringify(vfData, null, 2))
+    // Update the agent in both locations, keeping the shape each location expects
+    vfParser.updateAgentInstructions(vfData, finalInstructions, agent.id)
+    await versioning.withAutoVersioning(
+      workingFile,
+      () => vfParser.saveVfFile(workingFile, vfData),
+      versionMeta(argv, agent.id)
+    )
     console.log('Agent instructions updated and saved to', workingFile)
   }
 
@@ -786,6 +3371,11 @@ async function main() {
     }
     const workingFile = ensureVersionedFile(projectFile)
     const vfData = JSON.parse(fs.readFileSync(workingFile, 'utf8'))
+    const agentId = await selectAgent(
+      vfParser.listAllAgents(vfData),
+      argv,
+      'Multiple agents found. Select the agent to add the API tool to:'
+    )
     const { apiDescription } = await inquirer.prompt({
       type: 'editor',
       name: 'apiDescription',
@@ -809,55 +3399,871 @@ async function main() {
       JSON.stringify(aiJson, null, 2)
     ) */
     // Use your existing logic to add the tool to the .vf file (IDs, variables, etc.)
-    addApiToolFromJson(aiJson, vfData)
-    fs.writeFileSync(workingFile, JSON.stringify(vfData, null, 2))
+    addApiToolFromJson(aiJson, vfData, agentId)
+    await versioning.withAutoVersioning(
+      workingFile,
+      () => vfParser.saveVfFile(workingFile, vfData),
+      versionMeta(argv, agentId)
+    )
     console.log('API tool added and saved to', workingFile)
   }
 
   try {
     yargs(hideBin(process.argv))
+      .options({
+        interactive: {
+          describe:
+            'Prompt for missing values (use --no-interactive to fail instead)',
+          type: 'boolean',
+          default: true,
+        },
+        yes: {
+          alias: 'y',
+          describe: 'Answer yes to confirmation prompts',
+          type: 'boolean',
+        },
+        message: {
+          alias: 'm',
+          describe: 'Message recorded with the saved version',
+          type: 'string',
+        },
+      })
       .command(
         'add-api-tool [file]',
         'Add an API tool to your agent',
-        (yargs) => {
-          yargs.positional('file', {
-            describe: 'Path to the .vf file',
-            type: 'string',
-          })
-        },
+        (yargs) => apiToolOptions(fileArgument(yargs)),
         addApiTool
       )
       .command(
-        'update-instructions',
+        'edit-api-tool [file]',
+        'Edit an API tool and the variables it uses',
+        (yargs) =>
+          fileArgument(yargs).options({
+            tool: { describe: 'API tool name or ID', type: 'string' },
+            name: { describe: 'New name', type: 'string' },
+            description: { describe: 'New description', type: 'string' },
+            url: {
+              describe: 'New URL (use {var} or {{var}} for variables)',
+              type: 'string',
+            },
+            method: {
+              describe: 'New HTTP method',
+              choices: ['get', 'post', 'put', 'delete', 'patch'],
+              coerce: (m) => m && m.toLowerCase(),
+            },
+            header: {
+              describe:
+                'Header as key:value, replacing all headers (repeatable)',
+              type: 'array',
+              string: true,
+            },
+            query: {
+              describe:
+                'Query parameter as key=value, replacing all query parameters (repeatable)',
+              type: 'array',
+              string: true,
+            },
+            'body-file': {
+              describe:
+                'File containing the new body template (an empty file removes the body)',
+              type: 'string',
+            },
+            'rename-var': {
+              describe:
+                'Rename a variable and its placeholders as old=new (repeatable)',
+              type: 'array',
+              string: true,
+            },
+            'var-description': {
+              describe: 'Variable description as name=text (repeatable)',
+              type: 'array',
+              string: true,
+            },
+          }),
+        editApiTool
+      )
+      .command(
+        'remove-api-tool [file]',
+        'Remove an API tool with its variables and agent links',
+        (yargs) =>
+          fileArgument(yargs).option('tool', {
+            describe: 'API tool name or ID',
+            type: 'string',
+          }),
+        removeApiTool
+      )
+      .command(
+        'link-tool [file]',
+        'Link an API tool to an agent, or configure an existing link',
+        (yargs) =>
+          agentOption(fileArgument(yargs)).options({
+            tool: { describe: 'API tool name or ID', type: 'string' },
+            description: {
+              describe:
+                "What this agent uses the tool for (empty: the tool's description)",
+              type: 'string',
+            },
+            set: {
+              describe:
+                'Preset a tool variable as name=value; {var} in the value is a project variable (repeatable)',
+              type: 'array',
+              string: true,
+            },
+            'agent-fills': {
+              describe:
+                'Let the agent fill in this tool variable, removing its preset (repeatable)',
+              type: 'array',
+              string: true,
+            },
+            capture: {
+              describe:
+                'Project variable to capture the response into (--no-capture to stop)',
+              type: 'string',
+            },
+          }),
+        linkTool
+      )
+      .command(
+        'unlink-tool [file]',
+        'Unlink an API tool from an agent (the tool is kept)',
+        (yargs) =>
+          agentOption(fileArgument(yargs)).option('tool', {
+            describe: 'API tool name or ID',
+            type: 'string',
+          }),
+        unlinkTool
+      )
+      .command(
+        'import-openapi <spec> [file]',
+        'Create API tools from the operations of an OpenAPI/Swagger spec',
+        (yargs) =>
+          agentOption(
+            fileArgument(
+              yargs.positional('spec', {
+                describe: 'OpenAPI 3 or Swagger 2 spec (.json, .yaml or .yml)',
+                type: 'string',
+              })
+            )
+          ).options({
+            operation: {
+              describe:
+                'operationId (or method_path) to import (repeatable, default: prompt or all)',
+              type: 'array',
+              string: true,
+            },
+            'server-url': {
+              describe: "Base URL to use instead of the spec's first server",
+              type: 'string',
+            },
+          }),
+        importOpenapi
+      )
+      .command(
+        'import-curl <command> [file]',
+        'Create an API tool from a curl command',
+        (yargs) =>
+          agentOption(
+            fileArgument(
+              yargs.positional('command', {
+                describe: 'The curl command, quoted as one argument',
+                type: 'string',
+              })
+            )
+          ).options({
+            name: { describe: 'API tool name', type: 'string' },
+            description: { describe: 'API tool description', type: 'string' },
+          }),
+        importCurl
+      )
+      .command(
+        'import-postman <collection> [file]',
+        'Create API tools from the requests of a Postman collection',
+        (yargs) =>
+          agentOption(
+            fileArgument(
+              yargs.positional('collection', {
+                describe: 'Postman collection export (v2.0 or v2.1 JSON)',
+                type: 'string',
+              })
+            )
+          ).option('request', {
+            describe:
+              'Request name or folder/name to import (repeatable, default: prompt or all)',
+            type: 'array',
+            string: true,
+          }),
+        importPostman
+      )
+      .command(
+        'update-instructions [file]',
         'Update agent instructions',
-        {},
+        (yargs) =>
+          agentOption(fileArgument(yargs)).option('instructions-file', {
+            describe: 'File containing the new instructions',
+            type: 'string',
+          }),
         updateInstructions
       )
-      .command('set-model', "Change the agent's model", {}, setModel)
+      .command(
+        'set-model [file]',
+        "Change the agent's model",
+        (yargs) =>
+          agentOption(fileArgument(yargs)).option('model', {
+            describe: 'Model name from models.json',
+            type: 'string',
+          }),
+        setModel
+      )
+      .command(
+        'agent-settings [file]',
+        "Edit an agent's model settings and built-in tools",
+        (yargs) =>
+          agentOption(fileArgument(yargs)).options({
+            model: {
+              describe: 'Model name from models.json',
+              type: 'string',
+            },
+            temperature: {
+              describe: "Temperature (within the model's range)",
+              type: 'number',
+            },
+            'max-tokens': {
+              describe: "Maximum response tokens (up to the model's limit)",
+              type: 'number',
+            },
+            enable: {
+              describe: 'Built-in tools to enable',
+              type: 'array',
+              choices: AGENT_TOOL_NAMES.map(toolOptionName),
+            },
+            disable: {
+              describe: 'Built-in tools to disable',
+              type: 'array',
+              choices: AGENT_TOOL_NAMES.map(toolOptionName),
+            },
+            'tool-description': {
+              describe:
+                'Description of a built-in tool, as tool=text (e.g. knowledge-base="Product FAQ")',
+              type: 'array',
+            },
+          }),
+        agentSettings
+      )
+      .command(
+        'agent <action> [file]',
+        'Create, clone, rename or delete an agent',
+        (yargs) =>
+          agentOption(
+            fileArgument(
+              yargs.positional('action', {
+                describe: 'What to do',
+                choices: ['create', 'clone', 'rename', 'delete'],
+              })
+            )
+          ).options({
+            name: {
+              describe: 'Name of the new, cloned or renamed agent',
+              type: 'string',
+            },
+            description: {
+              describe: 'Description of the new agent (create)',
+              type: 'string',
+            },
+            'instructions-file': {
+              describe: 'File with the instructions of the new agent (create)',
+              type: 'string',
+            },
+            model: {
+              describe:
+                "Model of the new agent (create; default: the first agent's settings)",
+              type: 'string',
+            },
+          }),
+        agentCommand
+      )
+      .command(
+        'routing <action> [file]',
+        'Show or edit how agents hand off to each other and which agent starts',
+        (yargs) =>
+          agentOption(
+            fileArgument(
+              yargs.positional('action', {
+                describe: 'What to do',
+                choices: [
+                  'show',
+                  'add-path',
+                  'remove-path',
+                  'connect',
+                  'disconnect',
+                  'start',
+                ],
+              })
+            )
+          ).options({
+            path: {
+              describe: 'Path name (a named exit of the agent)',
+              type: 'string',
+            },
+            description: {
+              describe: 'When the agent should take the path (add-path)',
+              type: 'string',
+            },
+            capture: {
+              describe:
+                'Project variable the agent fills in before leaving, as name=description (add-path, repeatable)',
+              type: 'array',
+            },
+            'to-agent': {
+              describe: 'Agent the path hands off to (add-path, connect)',
+              type: 'string',
+            },
+            'to-workflow': {
+              describe: 'Workflow the path leads to (add-path, connect)',
+              type: 'string',
+            },
+          }),
+        routingCommand
+      )
+      .command(
+        'variables <action> [file]',
+        'Add, list, remove or rename the custom variables of a project',
+        (yargs) =>
+          fileArgument(
+            yargs.positional('action', {
+              describe: 'What to do',
+              choices: ['add', 'list', 'remove', 'rename'],
+            })
+          ).options({
+            name: { describe: 'Variable name', type: 'string' },
+            'new-name': { describe: 'New name (rename)', type: 'string' },
+            datatype: {
+              describe: 'Datatype (add)',
+              choices: VARIABLE_TYPES,
+            },
+            description: {
+              describe: 'What the variable holds (add)',
+              type: 'string',
+            },
+            default: {
+              describe: 'Default value (add)',
+              type: 'string',
+            },
+            array: {
+              describe: 'The variable holds a list (add)',
+              type: 'boolean',
+            },
+            folder: {
+              describe:
+                'Folder to put the variable in, created when missing (add)',
+              type: 'string',
+            },
+            system: {
+              describe: 'Also list the built-in system variables (list)',
+              type: 'boolean',
+            },
+          }),
+        variablesCommand
+      )
+      .command(
+        'intents <action> [file]',
+        'Add, edit, remove, list or import intents and their training utterances',
+        (yargs) =>
+          fileArgument(
+            yargs.positional('action', {
+              describe: 'What to do',
+              choices: ['add', 'edit', 'remove', 'list', 'import'],
+            })
+          ).options({
+            name: { describe: 'Intent name', type: 'string' },
+            'new-name': { describe: 'New intent name (edit)', type: 'string' },
+            description: {
+              describe: 'When the intent should match (add, edit)',
+              type: 'string',
+            },
+            utterance: {
+              describe: 'Training utterance to add (add, edit; repeatable)',
+              type: 'array',
+            },
+            'remove-utterance': {
+              describe: 'Training utterance to remove (edit; repeatable)',
+              type: 'array',
+            },
+            language: {
+              describe:
+                'Language of new utterances (default: that of the existing ones)',
+              type: 'string',
+            },
+            from: {
+              describe:
+                'CSV (intent,utterance[,description]) or JSON file to import (import)',
+              type: 'string',
+            },
+            suggest: {
+              describe:
+                'Ask AI for this many extra training phrases to review (add, edit)',
+              type: 'number',
+            },
+          }),
+        intentsCommand
+      )
+      .command(
+        'kb <action> [file]',
+        "Toggle and describe agents' knowledge base, and stage and upload its documents",
+        (yargs) =>
+          agentOption(
+            fileArgument(
+              yargs.positional('action', {
+                describe: 'What to do',
+                choices: [
+                  'enable',
+                  'disable',
+                  'describe',
+                  'add',
+                  'status',
+                  'upload',
+                ],
+              })
+            )
+          ).options({
+            description: {
+              describe:
+                'When the agent should search the knowledge base (enable, describe)',
+              type: 'string',
+            },
+            document: {
+              describe:
+                'File (markdown, text, PDF, Word) or URL to stage (add; repeatable or comma-separated)',
+              type: 'array',
+            },
+            name: {
+              describe: 'Document name in the knowledge base (add)',
+              type: 'string',
+            },
+            prune: {
+              describe:
+                'Also remove uploaded documents no longer listed (upload)',
+              type: 'boolean',
+            },
+            uploader: {
+              describe:
+                "Uploader module (default: 'voiceflow', which needs VF_API_KEY)",
+              type: 'string',
+              default: 'voiceflow',
+            },
+            'base-url': {
+              describe:
+                'Knowledge base API URL for the Voiceflow uploader (upload)',
+              type: 'string',
+            },
+            'stand-in': {
+              describe:
+                'Upload to a local stand-in of the Voiceflow API, without recording it (upload)',
+              type: 'boolean',
+            },
+          }),
+        kbCommand
+      )
+      .command(
+        'add-function <source> [file]',
+        'Embed a JavaScript function in the project and give it to an agent',
+        (yargs) =>
+          agentOption(
+            fileArgument(
+              yargs.positional('source', {
+                describe:
+                  'JavaScript module (default export) declaring @input, @output and @path',
+                type: 'string',
+              })
+            )
+          ).options({
+            name: {
+              describe:
+                'Function name (default: @name, or the file name without extension)',
+              type: 'string',
+            },
+            description: {
+              describe:
+                "What the agent uses the function for (default: the function's description)",
+              type: 'string',
+            },
+          }),
+        addFunction
+      )
+      .command(
+        'run-function <source>',
+        'Run a JavaScript function locally in a sandbox',
+        (yargs) =>
+          yargs
+            .positional('source', {
+              describe: 'JavaScript module (default export)',
+              type: 'string',
+            })
+            .options({
+              input: {
+                describe: 'Input value as name=value (repeatable)',
+                type: 'array',
+                string: true,
+              },
+              cases: {
+                describe:
+                  'JSON file of test cases: [{ "name", "inputs", "expect": { "path", "outputs" } }]',
+                type: 'string',
+              },
+              timeout: {
+                describe: 'Time limit in milliseconds',
+                type: 'number',
+                default: 5000,
+              },
+              'allow-network': {
+                describe: 'Give the function fetch',
+                type: 'boolean',
+              },
+            }),
+        runFunctionCommand
+      )
       .command(
         'list-versions',
-        'List all saved project versions',
-        {},
+        'List saved project versions with their history',
+        (yargs) =>
+          yargs.options({
+            project: {
+              describe: 'Only show versions of this project (name or .vf path)',
+              type: 'string',
+            },
+            oneline: {
+              describe: 'Show one line per version',
+              type: 'boolean',
+            },
+          }),
         listVersions
       )
       .command(
         'revert-version <version>',
-        'Revert to a previous version',
-        {},
+        'Revert a project to a previous version (recorded as a new version)',
+        (yargs) =>
+          yargs
+            // The positional would otherwise be shadowed by yargs' built-in --version flag
+            .version(false)
+            .positional('version', {
+              describe: 'Version filename or path (see list-versions)',
+              type: 'string',
+            })
+            .options({
+              project: {
+                describe:
+                  'Project to revert (defaults to the project of the version)',
+                type: 'string',
+              },
+            }),
         revertVersion
       )
       .command(
-        'edit-project-meta',
+        'undo',
+        'Undo the last change by moving HEAD back to the previous version',
+        (yargs) => historyProjectOption(yargs),
+        undo
+      )
+      .command(
+        'redo',
+        'Redo the last undone change',
+        (yargs) => historyProjectOption(yargs),
+        redo
+      )
+      .command(
+        'edit-project-meta [file]',
         'Edit project name and description',
-        {},
+        (yargs) =>
+          fileArgument(yargs).option('name', {
+            describe: 'New project name',
+            type: 'string',
+          }),
         editProjectMeta
       )
       .command(
-        'setup-project',
+        'setup-project [file]',
         'Guided setup: select base, set metadata, add API tool',
-        {},
+        (yargs) =>
+          apiToolOptions(fileArgument(yargs)).option('project-name', {
+            describe: 'New project name',
+            type: 'string',
+          }),
         setupProject
       )
+      .command(
+        'secrets <action> [name]',
+        'Add, list or remove secrets referenced as {{secret.NAME}} in API tools',
+        (yargs) =>
+          envOption(
+            yargs
+              .positional('action', {
+                describe: 'What to do',
+                choices: ['add', 'list', 'remove'],
+              })
+              .positional('name', { describe: 'Secret name', type: 'string' })
+          ).options({
+            value: {
+              describe:
+                'Secret value for add (prompted without echo when omitted)',
+              type: 'string',
+            },
+            file: {
+              describe:
+                'With list: also show the secrets this .vf references and where their values come from',
+              type: 'string',
+            },
+          }),
+        secretsCommand
+      )
+      .command(
+        'scan-secrets [paths..]',
+        'Find likely credentials in projects, templates and saved versions',
+        (yargs) =>
+          envOption(
+            yargs.positional('paths', {
+              describe:
+                '.vf files or directories to scan (default: projects/, template/ and versions/)',
+              type: 'string',
+            })
+          ).option('redact', {
+            describe: 'Redact every finding without asking',
+            type: 'boolean',
+          }),
+        scanSecrets
+      )
+      .command(
+        'build <manifest>',
+        'Build a .vf project from a YAML/JSON agent manifest',
+        (yargs) =>
+          yargs
+            .positional('manifest', {
+              describe: 'Path to the manifest (.yaml, .yml or .json)',
+              type: 'string',
+            })
+            .options({
+              template: {
+                describe: 'Template .vf to build on (defaults to template/)',
+                type: 'string',
+              },
+              out: {
+                describe:
+                  'Output .vf path (defaults to projects/<name>.vf, or dist/<name>.<env>.vf with --env)',
+                type: 'string',
+              },
+              env: {
+                describe:
+                  'Build for an environment: apply its manifest settings and fill in its secret values',
+                type: 'string',
+              },
+            }),
+        buildFromManifest
+      )
+      .command(
+        'export-manifest <file>',
+        'Decompile a .vf project into an editable agent manifest',
+        (yargs) =>
+          fileArgument(yargs).options({
+            out: {
+              describe:
+                'Output path (.yaml or .json); prints YAML when omitted',
+              type: 'string',
+            },
+            'instructions-dir': {
+              describe:
+                'Write the instructions of each agent to a Markdown file in this directory',
+              type: 'string',
+            },
+          }),
+        exportManifestCommand
+      )
+      .command(
+        'export-tools [file]',
+        'Export API tools as an OpenAPI spec, curl commands or a Postman collection',
+        (yargs) =>
+          fileArgument(yargs).options({
+            format: {
+              describe: 'Output format',
+              choices: ['openapi', 'curl', 'postman'],
+              default: 'openapi',
+            },
+            out: {
+              describe:
+                'Write to this file instead of stdout (OpenAPI: .json for JSON, YAML otherwise)',
+              type: 'string',
+            },
+            tool: {
+              describe: 'Only export this API tool, by name or ID (repeatable)',
+              type: 'array',
+              string: true,
+            },
+            var: {
+              describe:
+                'Variable value as name=value for curl commands and Postman collection variables (repeatable)',
+              type: 'array',
+              string: true,
+            },
+          }),
+        exportTools
+      )
+      .command(
+        'test-tool <tool> [file]',
+        'Render an API tool with concrete values and perform the request',
+        (yargs) =>
+          envOption(
+            fileArgument(
+              yargs.positional('tool', {
+                describe: 'API tool name or ID',
+                type: 'string',
+              })
+            )
+          ).options({
+            var: {
+              describe: 'Variable value as name=value (repeatable)',
+              type: 'array',
+              string: true,
+            },
+            'base-url': {
+              describe:
+                "Send the request to this server instead of the tool's host (e.g. http://localhost:4010)",
+              type: 'string',
+            },
+            'dry-run': {
+              describe: 'Only print the rendered request',
+              type: 'boolean',
+            },
+            timeout: {
+              describe: 'Request timeout in milliseconds',
+              type: 'number',
+              default: 10000,
+            },
+            preview: {
+              describe: 'Number of response characters to show',
+              type: 'number',
+              default: 500,
+            },
+          }),
+        testTool
+      )
+      .command(
+        'check-tools [file]',
+        'Replay API tool fixtures and report responses that drifted from them',
+        (yargs) =>
+          envOption(fileArgument(yargs)).options({
+            'base-url': {
+              describe:
+                "Send the requests to this server instead of each tool's host",
+              type: 'string',
+            },
+            mock: {
+              describe:
+                'Send the requests to a local mock serving the recorded responses',
+              type: 'boolean',
+            },
+            tool: {
+              describe: 'Only check this API tool (repeatable)',
+              type: 'array',
+              string: true,
+            },
+            record: {
+              describe:
+                'Record responses as fixtures: a new case with --tool and --var, or all existing cases again',
+              type: 'boolean',
+            },
+            case: {
+              describe: 'Name of the case to record (default: "default")',
+              type: 'string',
+            },
+            var: {
+              describe:
+                'Variable value as name=value for the recorded case (repeatable)',
+              type: 'array',
+              string: true,
+            },
+            fixtures: {
+              describe:
+                'Fixtures directory (default: tools/fixtures/<project>)',
+              type: 'string',
+            },
+            timeout: {
+              describe: 'Request timeout in milliseconds',
+              type: 'number',
+              default: 10000,
+            },
+          }),
+        checkTools
+      )
+      .command(
+        'validate [file]',
+        'Check a .vf file for structural errors and warnings',
+        (yargs) =>
+          fileArgument(yargs).options({
+            strict: {
+              describe: 'Exit non-zero on warnings too',
+              type: 'boolean',
+            },
+            json: { describe: 'Print the report as JSON', type: 'boolean' },
+          }),
+        validate
+      )
+      .command(
+        'doctor [file]',
+        'Find (and with --fix, repair) common damage in a .vf file',
+        (yargs) =>
+          fileArgument(yargs).option('fix', {
+            describe: 'Apply the repairs and save a new version',
+            type: 'boolean',
+          }),
+        doctor
+      )
+      .command(
+        'diff <versionA> [versionB]',
+        'Show what changed between two versions (or a version and the working file)',
+        (yargs) =>
+          yargs
+            .positional('versionA', {
+              describe: 'Version filename (from list-versions) or .vf path',
+              type: 'string',
+            })
+            .positional('versionB', {
+              describe:
+                'Version filename or .vf path (defaults to the working file)',
+              type: 'string',
+            })
+            .option('json', {
+              describe: 'Print the changes as JSON',
+              type: 'boolean',
+            }),
+        diffVersions
+      )
+      .command(
+        'merge <base> <ours> <theirs>',
+        'Three-way merge of two edits of the same project',
+        (yargs) =>
+          yargs
+            .positional('base', {
+              describe: 'Version both sides started from (filename or path)',
+              type: 'string',
+            })
+            .positional('ours', {
+              describe:
+                'Our version; the result is written here unless it is a saved version',
+              type: 'string',
+            })
+            .positional('theirs', {
+              describe: 'Their version (filename or path)',
+              type: 'string',
+            })
+            .options({
+              out: {
+                describe: 'Write the merged project to this file instead',
+                type: 'string',
+              },
+              strategy: {
+                describe: 'Resolve every conflict with this side',
+                choices: ['ours', 'theirs'],
+              },
+            }),
+        merge
+      )
       .command(
         'ai-update-instructions [file]',
         'Use AI to update agent instructions',
@@ -872,15 +4278,25 @@ async function main() {
       .command(
         'ai-add-api-tool [file]',
         'Use AI to generate and add an API tool',
-        (yargs) => {
-          yargs.positional('file', {
-            describe: 'Path to the .vf file',
-            type: 'string',
-          })
-        },
+        (yargs) => agentOption(fileArgument(yargs)),
         aiAddApiTool
       )
       .demandCommand(1, 'You need at least one command before moving on')
+      .fail((msg, err, yargs) => {
+        if (isInquirerExit(err)) {
+          console.log('\nOperation cancelled by user.')
+          process.exit(0)
+        }
+        if (err) {
+          // Errors thrown by a command: show the message only
+          console.error(err.message || 'Unknown error')
+        } else {
+          // Usage errors from yargs: show the help as well
+          yargs.showHelp()
+          console.error('\n' + msg)
+        }
+        process.exit(1)
+      })
       .help().argv
 
     // Graceful Ctrl+C (SIGINT) handler
@@ -0,0 +1,421 @@
+import { generateMongoId } from './id-generator.js'
+
+// Built-in fallback intent: it has no utterances and cannot be edited or removed
+const NONE_INTENT = 'None'
+
+// Compare utterances regardless of case, punctuation and spacing
+const normalizeUtterance = (text) =>
+  String(text)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}{}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+
+// Plain text of an utterance; entity references become {entityID}
+function utteranceText(utterance) {
+  return (utterance.text || [])
+    .map((line) =>
+      (line?.text || [])
+        .map((part) =>
+          typeof part === 'string' ? part : `{${part?.entityID ?? ''}}`
+        )
+        .join('')
+    )
+    .join('\n')
+}
+
+// platformData.intents, created when missing
+function platformIntents(data) {
+  if (!data.version) data.version = {}
+  if (!data.version.platformData) data.version.platformData = {}
+  if (!Array.isArray(data.version.platformData.intents)) {
+    data.version.platformData.intents = []
+  }
+  return data.version.platformData.intents
+}
+
+// Language of new utterances: that of the existing ones, else the project's first locale
+function defaultLanguage(data) {
+  const existing = (data.utterances || []).find((u) => u.language)
+  if (existing) return existing.language
+  const locale = data.version?.platformData?.settings?.locales?.[0]
+  return locale ? locale.toLowerCase() : 'en-us'
+}
+
+// Rebuild an intent's platformData entry from its utterances, keeping the slots of unchanged inputs
+function syncPlatformIntent(data, intent) {
+  const intents = platformIntents(data)
+  let entry = intents.find((i) => i.key === intent.id)
+  if (!entry) {
+    entry = { key: intent.id, name: intent.name, slots: [], inputs: [] }
+    intents.push(entry)
+  }
+  const previous = new Map((entry.inputs || []).map((i) => [i.text, i]))
+  entry.name = intent.name
+  entry.inputs = (data.utterances || [])
+    .filter((u) => u.intentID === intent.id)
+    .map((u) => {
+      const text = utteranceText(u)
+      return { text, slots: previous.get(text)?.slots || [] }
+    })
+  if (entry.noteID === undefined) entry.noteID = null
+  entry.description = intent.description ?? null
+}
+
+/**
+ * Find an intent by name or ID.
+ * @param {object} data - Parsed .vf JSON
+ * @param {string} nameOrId
+ * @returns {object} - intents entry
+ */
+export function findIntent(data, nameOrId) {
+  const intents = data.intents || []
+  const intent =
+    intents.find((i) => i.id === nameOrId) ||
+    intents.find((i) => i.name === nameOrId)
+  if (!intent) {
+    throw new Error(
+      `Intent '${nameOrId}' not found. Available: ${
+        intents.map((i) => i.name).join(', ') || '(none)'
+      }`
+    )
+  }
+  return intent
+}
+
+/**
+ * List the intents of a project with their utterances.
+ * @param {object} data - Parsed .vf JSON
+ * @returns {Array<{ id: string, name: string, description: string|null, utterances: string[] }>}
+ */
+export function listIntents(data) {
+  return (data.intents || []).map((intent) => ({
+    id: intent.id,
+    name: intent.name,
+    description: intent.description ?? null,
+    utterances: (data.utterances || [])
+      .filter((u) => u.intentID === intent.id)
+      .map(utteranceText),
+  }))
+}
+
+/**
+ * Find utterances that train more than one intent, ignoring case, punctuation and spacing.
+ * @param {object} data - Parsed .vf JSON
+ * @returns {Array<{ text: string, intents: string[] }>} - Each duplicate with the names of its intents
+ */
+export function findDuplicateUtterances(data) {
+  const names = new Map((data.intents || []).map((i) => [i.id, i.name]))
+  const seen = new Map()
+  for (const utterance of data.utterances || []) {
+    const text = utteranceText(utterance)
+    const key = normalizeUtterance(text)
+    if (!key) continue
+    if (!seen.has(key)) seen.set(key, { text, intents: new Set() })
+    seen
+      .get(key)
+      .intents.add(names.get(utterance.intentID) ?? utterance.intentID)
+  }
+  return [...seen.values()]
+    .filter((d) => d.intents.size > 1)
+    .map((d) => ({ text: d.text, intents: [...d.intents] }))
+}
+
+// Add utterances to an intent, skipping blanks and those the intent already has
+function addUtterances(data, intent, texts, language) {
+  if (!Array.isArray(data.utterances)) data.utterances = []
+  const existing = new Set(
+    data.utterances
+      .filter((u) => u.intentID === intent.id)
+      .map((u) => normalizeUtterance(utteranceText(u)))
+  )
+  const lang = language || defaultLanguage(data)
+  const added = []
+  for (const raw of texts || []) {
+    const text = String(raw).trim()
+    const key = normalizeUtterance(text)
+    if (!key || existing.has(key)) continue
+    existing.add(key)
+    data.utterances.push({
+      id: generateMongoId(),
+      text: [{ text: [text] }],
+      intentID: intent.id,
+      language: lang,
+      createdAt: new Date().toISOString(),
+    })
+    added.push(text)
+  }
+  return added
+}
+
+// Reject a name another intent already has: intents are selected by name on the command line
+function checkIntentName(data, name, exceptId) {
+  if (!name || !String(name).trim()) throw new Error('Intent name is required')
+  if ((data.intents || []).some((i) => i.name === name && i.id !== exceptId)) {
+    throw new Error(`Another intent is already named '${name}'`)
+  }
+}
+
+/**
+ * Create an intent with its utterances, in `intents`, `utterances` and `version.platformData.intents`.
+ * @param {object} data - Parsed .vf JSON (mutated in place)
+ * @param {object} spec
+ * @param {string} spec.name
+ * @param {string} [spec.description]
+ * @param {string[]} [spec.utterances]
+ * @param {string} [spec.language] - Defaults to the language of the existing utterances
+ * @returns {{ intent: object, added: string[] }} - The intents entry and the utterances added
+ */
+export function addIntent(data, spec) {
+  const { name, description = null } = spec
+  checkIntentName(data, name)
+  if (!Array.isArray(data.intents)) data.intents = []
+  const now = new Date().toISOString()
+  const creatorID = data.version?.creatorID ?? null
+  const intent = {
+    id: generateMongoId(),
+    name,
+    createdByID: creatorID,
+    folderID: null,
+    description: description || null,
+    automaticReprompt: false,
+    entityOrder: [],
+    automaticRepromptSettings: null,
+    createdAt: now,
+    updatedAt: now,
+    updatedByID: creatorID,
+  }
+  data.intents.push(intent)
+  const added = addUtterances(data, intent, spec.utterances, spec.language)
+  syncPlatformIntent(data, intent)
+  return { intent, added }
+}
+
+/**
+ * Rename an intent, change its description, or add and remove utterances.
+ * @param {object} data - Parsed .vf JSON (mutated in place)
+ * @param {string} nameOrId
+ * @param {object} changes
+ * @param {string} [changes.name] - New name
+ * @param {string} [changes.description]
+ * @param {string[]} [changes.add] - Utterances to add
+ * @param {string[]} [changes.remove] - Utterances to remove (matched ignoring case and punctuation)
+ * @param {string} [changes.language] - Language of the added utterances
+ * @returns {{ intent: object, added: string[], removed: string[] }}
+ */
+export function editIntent(data, nameOrId, changes) {
+  const intent = findIntent(data, nameOrId)
+  if (intent.id === NONE_INTENT) {
+    throw new Error(`The '${NONE_INTENT}' intent cannot be edited`)
+  }
+  if (changes.name !== undefined && changes.name !== intent.name) {
+    checkIntentName(data, changes.name, intent.id)
+    intent.name = changes.name
+  }
+  if (changes.description !== undefined) {
+    intent.description = changes.description || null
+  }
+  const removed = []
+  // Normalized text -> text as given, until an utterance matches it
+  const unmatched = new Map(
+    (changes.remove || []).map((text) => [normalizeUtterance(text), text])
+  )
+  if (unmatched.size > 0) {
+    const remove = new Set(unmatched.keys())
+    data.utterances = (data.utterances || []).filter((u) => {
+      if (u.intentID !== intent.id) return true
+      const key = normalizeUtterance(utteranceText(u))
+      if (!remove.has(key)) return true
+      unmatched.delete(key)
+      removed.push(utteranceText(u))
+      return false
+    })
+  }
+  if (unmatched.size > 0) {
+    throw new Error(
+      `Intent '${intent.name}' has no utterance ${[...unmatched.values()]
+        .map((text) => `'${text}'`)
+        .join(', ')}`
+    )
+  }
+  const added = addUtterances(data, intent, changes.add, changes.language)
+  intent.updatedAt = new Date().toISOString()
+  syncPlatformIntent(data, intent)
+  return { intent, added, removed }
+}
+
+/**
+ * Remove an intent with its utterances. Intents that a diagram step still uses cannot be removed.
+ * @param {object} data - Parsed .vf JSON (mutated in place)
+ * @param {string} nameOrId
+ * @returns {number} - Number of utterances removed
+ */
+export function removeIntent(data, nameOrId) {
+  const intent = findIntent(data, nameOrId)
+  if (intent.id === NONE_INTENT) {
+    throw new Error(`The '${NONE_INTENT}' intent cannot be removed`)
+  }
+  const steps = []
+  for (const [diagramId, diagram] of Object.entries(data.diagrams || {})) {
+    for (const [nodeId, node] of Object.entries(diagram?.nodes || {})) {
+      if (JSON.stringify(node?.data ?? {}).includes(`"${intent.id}"`)) {
+        steps.push(`${diagram.name || diagramId}/${nodeId}`)
+      }
+    }
+  }
+  if (steps.length > 0) {
+    throw new Error(
+      `Intent '${intent.name}' is still used by step ${steps.join(', ')}`
+    )
+  }
+  const before = (data.utterances || []).length
+  data.utterances = (data.utterances || []).filter(
+    (u) => u.intentID !== intent.id
+  )
+  data.intents = data.intents.filter((i) => i.id !== intent.id)
+  data.version.platformData.intents = platformIntents(data).filter(
+    (i) => i.key !== intent.id
+  )
+  return before - data.utterances.length
+}
+
+// Split one CSV line, honouring double-quoted fields
+function splitCsvLine(line) {
+  const fields = []
+  let field = ''
+  let quoted = false
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i]
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') quoted = false
+      else field += char
+    } else if (char === '"') quoted = true
+    else if (char === ',') {
+      fields.push(field)
+      field = ''
+    } else field += char
+  }
+  fields.push(field)
+  return fields.map((f) => f.trim())
+}
+
+/**
+ * Read intents from a CSV or JSON file's content. CSV rows are `intent,utterance[,description]`,
+ * with an optional header row. JSON is either `{ "Intent": ["utterance", ...] }` or
+ * `[{ "name", "description", "utterances": [...] }]`.
+ * @param {string} content
+ * @param {'csv'|'json'} format
+ * @returns {Array<{ name: string, description?: string, utterances: string[] }>}
+ */
+export function parseIntentFile(content, format) {
+  const byName = new Map()
+  const entry = (name) => {
+    if (!name) throw new Error('Every intent needs a name')
+    if (!byName.has(name)) byName.set(name, { name, utterances: [] })
+    return byName.get(name)
+  }
+  if (format === 'json') {
+    const parsed = JSON.parse(content)
+    const items = Array.isArray(parsed)
+      ? parsed
+      : Object.entries(parsed).map(([name, utterances]) => ({
+          name,
+          utterances,
+        }))
+    for (const item of items) {
+      const intent = entry(item.name)
+      if (item.description) intent.description = item.description
+      if (!Array.isArray(item.utterances || [])) {
+        throw new Error(`Utterances of '${item.name}' must be an array`)
+      }
+      intent.utterances.push(...(item.utterances || []))
+    }
+  } else {
+    const lines = content.split(/\r?\n/).filter((line) => line.trim())
+    lines.forEach((line, idx) => {
+      const [name, utterance, description] = splitCsvLine(line)
+      if (
+        idx === 0 &&
+        /^intent$/i.test(name) &&
+        /^utterance/i.test(utterance)
+      ) {
+        return
+      }
+      const intent = entry(name)
+      if (utterance) intent.utterances.push(utterance)
+      if (description) intent.description = description
+    })
+  }
+  return [...byName.values()]
+}
+
+/**
+ * Create or extend intents in bulk: missing intents are created, existing ones get the new utterances.
+ * @param {object} data - Parsed .vf JSON (mutated in place)
+ * @param {Array<{ name: string, description?: string, utterances: string[] }>} intents - From parseIntentFile
+ * @param {string} [language]
+ * @returns {Array<{ name: string, created: boolean, added: string[] }>}
+ */
+export function importIntents(data, intents, language) {
+  return intents.map((spec) => {
+    const existing = (data.intents || []).find((i) => i.name === spec.name)
+    if (!existing) {
+      const { added } = addIntent(data, { ...spec, language })
+      return { name: spec.name, created: true, added }
+    }
+    const { added } = editIntent(data, existing.id, {
+      description: spec.description,
+      add: spec.utterances,
+      language,
+    })
+    return { name: spec.name, created: false, added }
+  })
+}
+
+/**
+ * Build a prompt asking for extra training phrases for an intent.
+ * @param {{ name: string, description: string|null, utterances: string[] }} intent - From listIntents
+ * @param {Array<{ name: string, utterances: string[] }>} others - The other intents, to stay apart from
+ * @param {number} count
+ * @returns {string}
+ */
+export function buildUtterancePrompt(intent, others, count) {
+  const otherLines = others
+    .filter((o) => o.utterances.length > 0)
+    .map((o) => `- ${o.name}: ${o.utterances.slice(0, 5).join(' | ')}`)
+    .join('\n')
+  return `You are an expert conversation designer training a Voiceflow NLU model.\n\nIntent: ${intent.name}\nDescription: ${
+    intent.description || 'None'
+  }\n\nExisting training phrases:\n${
+    intent.utterances.map((u) => `- ${u}`).join('\n') || 'None'
+  }\n\nOther intents (new phrases must not match these):\n${
+    otherLines || 'None'
+  }\n\nWrite ${count} new, varied training phrases a user might say for this intent. Output one phrase per line, without numbering or quotes, nothing else.`
+}
+
+/**
+ * Clean up AI-proposed training phrases: strip list markers and quotes, drop phrases any intent already has.
+ * @param {string} text - Completion text, one phrase per line
+ * @param {object} data - Parsed .vf JSON
+ * @returns {string[]}
+ */
+export function parseSuggestions(text, data) {
+  const known = new Set(
+    (data.utterances || []).map((u) => normalizeUtterance(utteranceText(u)))
+  )
+  const phrases = []
+  for (const line of String(text).split('\n')) {
+    const phrase = line
+      .replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '')
+      .replace(/^["'“]|["'”]$/g, '')
+      .trim()
+    const key = normalizeUtterance(phrase)
+    if (!key || known.has(key)) continue
+    known.add(key)
+    phrases.push(phrase)
+  }
+  return phrases
+}
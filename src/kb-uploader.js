@@ -0,0 +1,114 @@
+import fs from 'fs'
+import path from 'path'
+import { pathToFileURL } from 'url'
+import axios from 'axios'
+
+export const VOICEFLOW_API_URL = 'https://api.voiceflow.com'
+
+/*
+ * An uploader sends staged documents to a knowledge base. It is an object with:
+ *   upload(document) -> Promise<{ documentID: string }>
+ *     document: { key, name, type: 'file'|'url', url?, path?, mimeType? } (path is absolute)
+ *   remove(documentID) -> Promise<void>
+ * and optionally a `name` for messages. Other uploaders are modules whose default export is a factory
+ * taking the same options as createVoiceflowUploader.
+ */
+
+// Message of a failed API call
+const apiError = (err) =>
+  err.response
+    ? `${err.response.status} ${
+        err.response.data?.message ||
+        err.response.data?.error ||
+        JSON.stringify(err.response.data)
+      }`
+    : err.message
+
+/**
+ * Create an uploader for the Voiceflow knowledge base API.
+ * @param {object} options
+ * @param {string} options.apiKey - Voiceflow API key of the project
+ * @param {string} [options.baseUrl=VOICEFLOW_API_URL] - Point it at a stand-in to test without Voiceflow
+ * @param {number} [options.timeout=30000] - Time limit of each request in milliseconds
+ * @returns {{ name: string, upload: Function, remove: Function }}
+ */
+export function createVoiceflowUploader(options) {
+  const { apiKey, baseUrl = VOICEFLOW_API_URL, timeout = 30000 } = options
+  if (!apiKey) {
+    throw new Error('Missing Voiceflow API key (set VF_API_KEY)')
+  }
+  const api = axios.create({
+    baseURL: baseUrl.replace(/\/$/, ''),
+    headers: { Authorization: apiKey },
+    timeout,
+  })
+  return {
+    name: 'voiceflow',
+    async upload(document) {
+      try {
+        let res
+        if (document.type === 'url') {
+          res = await api.post('/v1/knowledge-base/docs/upload', {
+            data: { type: 'url', url: document.url, name: document.name },
+          })
+        } else {
+          const form = new FormData()
+          form.append(
+            'file',
+            new Blob([fs.readFileSync(document.path)], {
+              type: document.mimeType,
+            }),
+            document.name
+          )
+          res = await api.post('/v1/knowledge-base/docs/upload', form)
+        }
+        const documentID = res.data?.data?.documentID
+        if (!documentID) throw new Error('The response has no documentID')
+        return { documentID }
+      } catch (err) {
+        throw new Error(`Upload of ${document.name} failed: ${apiError(err)}`)
+      }
+    },
+    async remove(documentID) {
+      try {
+        await api.delete(
+          `/v1/knowledge-base/docs/${encodeURIComponent(documentID)}`
+        )
+      } catch (err) {
+        // Already gone is fine
+        if (err.response?.status === 404) return
+        throw new Error(
+          `Removal of document ${documentID} failed: ${apiError(err)}`
+        )
+      }
+    },
+  }
+}
+
+/**
+ * Load an uploader: the Voiceflow one, or the default export of a JavaScript module.
+ * @param {string} [spec='voiceflow'] - 'voiceflow' or the path of an uploader module
+ * @param {object} options - Passed to the factory (see createVoiceflowUploader)
+ * @returns {Promise<{ name: string, upload: Function, remove: Function }>}
+ */
+export async function loadUploader(spec = 'voiceflow', options = {}) {
+  let uploader
+  if (spec === 'voiceflow') {
+    uploader = createVoiceflowUploader(options)
+  } else {
+    const module = await import(pathToFileURL(path.resolve(spec)).href)
+    if (typeof module.default !== 'function') {
+      throw new Error(
+        `${spec} must export a default function that creates the uploader`
+      )
+    }
+    uploader = await module.default(options)
+  }
+  for (const method of ['upload', 'remove']) {
+    if (typeof uploader?.[method] !== 'function') {
+      throw new Error(`Uploader ${spec} has no ${method}() method`)
+    }
+  }
+  if (!uploader.name) uploader.name = spec
+  return uploader
+}
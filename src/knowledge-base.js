@@ -0,0 +1,229 @@
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import YAML from 'yaml'
+
+const KB_DIR = path.join(
+  path.dirname(new URL(import.meta.url).pathname),
+  '..',
+  'kb'
+)
+
+export const KB_MANIFEST = 'kb.yaml'
+
+// What was last uploaded: document key -> { hash, documentID, uploadedAt, pendingRemoval? }, where
+// pendingRemoval lists earlier uploads of the document whose removal has not succeeded yet
+const UPLOAD_RECORD = 'uploads.json'
+
+// Document files the Voiceflow knowledge base accepts, with the type they are uploaded as
+const DOCUMENT_TYPES = {
+  '.md': 'text/markdown',
+  '.markdown': 'text/markdown',
+  '.txt': 'text/plain',
+  '.pdf': 'application/pdf',
+  '.docx':
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+}
+
+/**
+ * Get the directory holding a project's knowledge base documents and manifest.
+ * @param {string} project - Project name
+ * @returns {string}
+ */
+export function getKnowledgeBaseDir(project) {
+  return path.join(KB_DIR, project)
+}
+
+const isUrl = (value) => /^https?:\/\//i.test(String(value))
+
+// Normalize a manifest entry: { file } or { url }, with an optional name
+function toDocument(entry, idx) {
+  const item =
+    typeof entry === 'string'
+      ? { [isUrl(entry) ? 'url' : 'file']: entry }
+      : entry
+  if (item?.url) {
+    if (!isUrl(item.url)) {
+      throw new Error(`documents[${idx}]: '${item.url}' is not an http(s) URL`)
+    }
+    return {
+      key: `url:${item.url}`,
+      type: 'url',
+      url: item.url,
+      name: item.name || item.url,
+    }
+  }
+  if (item?.file) {
+    const mimeType = DOCUMENT_TYPES[path.extname(item.file).toLowerCase()]
+    if (!mimeType) {
+      throw new Error(
+        `documents[${idx}]: unsupported document '${item.file}' (use ${Object.keys(DOCUMENT_TYPES).join(', ')} or a URL)`
+      )
+    }
+    const file = path.posix.normalize(item.file.split(path.sep).join('/'))
+    if (file.startsWith('../') || path.isAbsolute(file)) {
+      throw new Error(
+        `documents[${idx}]: '${item.file}' is outside the kb folder`
+      )
+    }
+    return {
+      key: `file:${file}`,
+      type: 'file',
+      file,
+      mimeType,
+      name: item.name || path.basename(file),
+    }
+  }
+  throw new Error(`documents[${idx}] needs a 'file' or a 'url'`)
+}
+
+/**
+ * Load the knowledge base manifest of a kb folder: `documents`, a list of `{ file }` paths relative to
+ * the folder (markdown, text, PDF or Word) and `{ url }` pages, each with an optional `name`.
+ * @param {string} dir - From getKnowledgeBaseDir
+ * @returns {Array<{ key: string, type: 'file'|'url', file?: string, url?: string, name: string, mimeType?: string }>}
+ */
+export function loadKbManifest(dir) {
+  const file = path.join(dir, KB_MANIFEST)
+  if (!fs.existsSync(file)) {
+    throw new Error(
+      `No ${KB_MANIFEST} in ${dir} (stage a document with vf-copilot kb add)`
+    )
+  }
+  const manifest = YAML.parse(fs.readFileSync(file, 'utf8')) || {}
+  if (manifest.documents !== undefined && !Array.isArray(manifest.documents)) {
+    throw new Error(`${file}: 'documents' must be a list`)
+  }
+  const documents = (manifest.documents || []).map(toDocument)
+  const seen = new Set()
+  for (const doc of documents) {
+    if (seen.has(doc.key)) {
+      throw new Error(`${file}: ${doc.key} is listed twice`)
+    }
+    seen.add(doc.key)
+  }
+  return documents
+}
+
+/**
+ * Stage a document: copy a local file into the kb folder (unless it is already there) or take a URL,
+ * and list it in the manifest, which is created when missing. Comments in the manifest are kept.
+ * @param {string} dir - From getKnowledgeBaseDir
+ * @param {string} source - File path or http(s) URL
+ * @param {string} [name] - Display name in the knowledge base
+ * @returns {{ document: object, added: boolean }} - The document, and false when it was already listed
+ */
+export function addKbDocument(dir, source, name) {
+  fs.mkdirSync(dir, { recursive: true })
+  let entry
+  if (isUrl(source)) {
+    entry = { url: source }
+  } else {
+    if (!fs.existsSync(source)) throw new Error(`File not found: ${source}`)
+    let relative = path.relative(dir, path.resolve(source))
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      relative = path.basename(source)
+      const target = path.join(dir, relative)
+      if (!fs.existsSync(target)) {
+        fs.copyFileSync(source, target)
+      } else if (!fs.readFileSync(target).equals(fs.readFileSync(source))) {
+        throw new Error(`A different ${relative} already exists in ${dir}`)
+      }
+    }
+    entry = { file: relative.split(path.sep).join('/') }
+  }
+  if (name) entry.name = name
+  const document = toDocument(entry, 0)
+
+  const file = path.join(dir, KB_MANIFEST)
+  const manifest = YAML.parseDocument(
+    fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : 'documents:\n'
+  )
+  const listed = (manifest.toJS()?.documents || []).some(
+    (item, idx) => toDocument(item, idx).key === document.key
+  )
+  if (!listed) {
+    if (!manifest.has('documents') || !manifest.get('documents')) {
+      manifest.set('documents', manifest.createNode([]))
+    }
+    manifest.addIn(['documents'], manifest.createNode(entry))
+    fs.writeFileSync(file, manifest.toString())
+  }
+  return { document, added: !listed }
+}
+
+/**
+ * Load what was last uploaded from a kb folder.
+ * @param {string} dir
+ * @returns {object} - Document key -> { hash, documentID, uploadedAt, pendingRemoval? }
+ */
+export function loadUploadRecord(dir) {
+  const file = path.join(dir, UPLOAD_RECORD)
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {}
+}
+
+/**
+ * Save what was last uploaded in a kb folder.
+ * @param {string} dir
+ * @param {object} record - From loadUploadRecord
+ */
+export function saveUploadRecord(dir, record) {
+  fs.writeFileSync(
+    path.join(dir, UPLOAD_RECORD),
+    JSON.stringify(record, null, 2) + '\n'
+  )
+}
+
+// Hash of a document's content; URLs are fetched by Voiceflow, so their entry is hashed instead
+function documentHash(dir, doc) {
+  const hash = crypto.createHash('sha256')
+  if (doc.type === 'url') hash.update(`${doc.url}\n${doc.name}`)
+  else hash.update(fs.readFileSync(path.join(dir, doc.file)))
+  return hash.digest('hex')
+}
+
+/**
+ * Compare the documents of a kb folder with what was last uploaded.
+ * @param {string} dir - From getKnowledgeBaseDir
+ * @returns {{ documents: Array<object>, removed: Array<{ key: string, documentID: string }>, stale: Array<{ key: string, documentID: string }>, unlisted: string[] }} -
+ *   `documents` are the manifest's with a `status` (new, changed, unchanged or missing) and `hash`;
+ *   `removed` were uploaded but are no longer listed; `stale` are replaced uploads still to remove;
+ *   `unlisted` are files of the folder the manifest does not list
+ */
+export function kbStatus(dir) {
+  const manifest = loadKbManifest(dir)
+  const record = loadUploadRecord(dir)
+  const documents = manifest.map((doc) => {
+    if (doc.type === 'file' && !fs.existsSync(path.join(dir, doc.file))) {
+      return { ...doc, status: 'missing', hash: null }
+    }
+    const hash = documentHash(dir, doc)
+    const last = record[doc.key]
+    const status = !last ? 'new' : last.hash === hash ? 'unchanged' : 'changed'
+    return { ...doc, status, hash }
+  })
+  const listed = new Set(manifest.map((doc) => doc.key))
+  const removed = Object.entries(record)
+    .filter(([key, entry]) => !listed.has(key) && entry.documentID)
+    .map(([key, entry]) => ({ key, documentID: entry.documentID }))
+  const stale = Object.entries(record).flatMap(([key, entry]) =>
+    (entry.pendingRemoval || []).map((documentID) => ({ key, documentID }))
+  )
+  const unlisted = []
+  const walk = (sub) => {
+    for (const entry of fs.readdirSync(path.join(dir, sub), {
+      withFileTypes: true,
+    })) {
+      const relative = sub ? `${sub}/${entry.name}` : entry.name
+      if (entry.isDirectory()) walk(relative)
+      else if (
+        DOCUMENT_TYPES[path.extname(entry.name).toLowerCase()] &&
+        !listed.has(`file:${relative}`)
+      ) {
+        unlisted.push(relative)
+      }
+    }
+  }
+  walk('')
+  return { documents, removed, stale, unlisted }
+}
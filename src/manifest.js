@@ -0,0 +1,327 @@
+import fs from 'fs'
+import path from 'path'
+import YAML from 'yaml'
+import * as vfParser from './vf-parser.js'
+import { addApiTool, describeApiTool } from './api-tools.js'
+import { AGENT_TOOL_NAMES, applyAgentSettings } from './agent-settings.js'
+import { createAgent } from './agents.js'
+
+/**
+ * Load an agent manifest from a YAML or JSON file.
+ * @param {string} filePath
+ * @returns {object}
+ */
+export function loadManifest(filePath) {
+  const raw = fs.readFileSync(filePath, 'utf8')
+  const manifest =
+    path.extname(filePath).toLowerCase() === '.json'
+      ? JSON.parse(raw)
+      : YAML.parse(raw)
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    throw new Error(`Invalid manifest (expected an object): ${filePath}`)
+  }
+  if (manifest.agents !== undefined && !Array.isArray(manifest.agents)) {
+    throw new Error('Invalid manifest: "agents" must be a list')
+  }
+  if (
+    manifest.environments !== undefined &&
+    (typeof manifest.environments !== 'object' ||
+      Array.isArray(manifest.environments))
+  ) {
+    throw new Error(
+      'Invalid manifest: "environments" must map names to settings'
+    )
+  }
+  return manifest
+}
+
+// Normalize a { key: value } map or a list of { key, value } into a list of pairs
+function toPairs(input, field) {
+  if (!input) return []
+  if (Array.isArray(input)) {
+    return input.map((p) => {
+      if (!p || !p.key) {
+        throw new Error(
+          `Invalid manifest: every entry of "${field}" needs a key`
+        )
+      }
+      return { key: String(p.key), value: String(p.value ?? '') }
+    })
+  }
+  return Object.entries(input).map(([key, value]) => ({
+    key,
+    value: String(value ?? ''),
+  }))
+}
+
+// Read a file referenced by the manifest, relative to the manifest's directory
+function readManifestFile(baseDir, file) {
+  return fs.readFileSync(path.resolve(baseDir, file), 'utf8')
+}
+
+// Match manifest agents to agents of the template: by id, then by name, then in order. Agents left
+// over once the template's are used up are created.
+function matchAgents(manifestAgents, data) {
+  const available = vfParser.listAllAgents(data)
+  const used = new Set()
+  const byIndex = manifestAgents.map((agent) => {
+    const match =
+      (agent.id && available.find((a) => a.id === agent.id)) ||
+      (agent.name && available.find((a) => a.name === agent.name))
+    if (agent.id && !match) {
+      throw new Error(`Agent ID '${agent.id}' not found in the template`)
+    }
+    if (match) used.add(match.id)
+    return match ? match.id : null
+  })
+  return byIndex.map((id, idx) => {
+    if (id) return id
+    const next = available.find((a) => !used.has(a.id))
+    if (!next) {
+      return createAgent(data, {
+        name: manifestAgents[idx].name || `Agent ${idx + 1}`,
+      })
+    }
+    used.add(next.id)
+    return next.id
+  })
+}
+
+// Settings of a manifest environment, e.g. { baseUrls: { 'https://api.example.com': 'https://staging.example.com' } }
+function manifestEnvironment(manifest, env) {
+  const environments = manifest.environments || {}
+  if (!env || environments[env]) return environments[env] || {}
+  if (env === 'default' || Object.keys(environments).length === 0) return {}
+  throw new Error(
+    `Unknown environment '${env}'. The manifest defines: ${Object.keys(
+      environments
+    ).join(', ')}`
+  )
+}
+
+// Swap the base of a tool URL for the environment's (the longest matching base wins)
+function environmentUrl(url, baseUrls = {}) {
+  const base = Object.keys(baseUrls)
+    .filter((from) => url.startsWith(from))
+    .sort((a, b) => b.length - a.length)[0]
+  return base ? baseUrls[base] + url.slice(base.length) : url
+}
+
+/**
+ * Apply a manifest to a .vf project (usually a template) using the same mutations as the CLI commands.
+ * @param {object} manifest - Loaded manifest (see loadManifest)
+ * @param {object} data - Parsed .vf JSON to build on (mutated in place)
+ * @param {object} [options]
+ * @param {string} [options.baseDir='.'] - Directory that relative file paths in the manifest resolve against
+ * @param {Array<object>} [options.models] - models.json entries; other models and out-of-range
+ *   settings are rejected
+ * @param {string} [options.env] - Environment of `manifest.environments` whose base URLs apply
+ * @returns {object} - The built .vf JSON
+ */
+export function buildProject(manifest, data, options = {}) {
+  const { baseDir = '.', models, env } = options
+  const environment = manifestEnvironment(manifest, env)
+  if (manifest.name) vfParser.updateProjectName(data, manifest.name)
+  const manifestAgents = manifest.agents || []
+  const agentIds = matchAgents(manifestAgents, data)
+  manifestAgents.forEach((agent, idx) => {
+    const agentId = agentIds[idx]
+    const label = agent.name || agentId
+    // Name lives on the root agent only
+    if (agent.name && Array.isArray(data.agents)) {
+      data.agents.forEach((a) => {
+        if (a.id === agentId) a.name = agent.name
+      })
+    }
+    if (agent.description !== undefined) {
+      vfParser.updateAgentFields(data, agentId, {
+        description: agent.description,
+      })
+    }
+    // Instructions, inline or from a file
+    if (agent.instructions !== undefined && agent.instructionsFile) {
+      throw new Error(
+        `Agent '${label}': use either "instructions" or "instructionsFile", not both`
+      )
+    }
+    const instructions = agent.instructionsFile
+      ? readManifestFile(baseDir, agent.instructionsFile)
+      : agent.instructions
+    if (instructions !== undefined) {
+      vfParser.updateAgentInstructions(data, String(instructions), agentId)
+    }
+    // Model settings and built-in tools
+    const changes = {
+      model: agent.model,
+      temperature: agent.temperature,
+      maxTokens: agent.maxTokens,
+      ...Object.fromEntries(
+        AGENT_TOOL_NAMES.map((name) => [name, agent[name]])
+      ),
+    }
+    try {
+      applyAgentSettings(data, agentId, changes, models)
+    } catch (err) {
+      throw new Error(`Agent '${label}': ${err.message}`)
+    }
+    // API tools
+    for (const tool of agent.tools || []) {
+      if (!tool.name || !tool.url) {
+        throw new Error(`Agent '${label}': every tool needs a name and a url`)
+      }
+      const bodyTemplate = tool.bodyFile
+        ? readManifestFile(baseDir, tool.bodyFile)
+        : typeof tool.body === 'object' && tool.body !== null
+          ? JSON.stringify(tool.body, null, 2)
+          : tool.body || ''
+      addApiTool(data, {
+        agentId,
+        name: tool.name,
+        description: tool.description || '',
+        url: environmentUrl(tool.url, environment.baseUrls),
+        httpMethod: (tool.method || 'get').toLowerCase(),
+        queryParams: toPairs(tool.query, 'query'),
+        headers: toPairs(tool.headers, 'headers'),
+        bodyTemplate,
+        variableDescriptions: tool.variables || {},
+      })
+    }
+  })
+  return data
+}
+
+// Convert a list of { key, value } pairs into a { key: value } map (or keep the list on duplicate keys)
+function fromPairs(pairs) {
+  const keys = new Set(pairs.map((p) => p.key))
+  return keys.size === pairs.length
+    ? Object.fromEntries(pairs.map((p) => [p.key, p.value]))
+    : pairs
+}
+
+// Convert a body template back into an object when it is valid JSON, otherwise keep the template
+function exportBody(template) {
+  if (!template.trim()) return undefined
+  try {
+    return JSON.parse(template)
+  } catch {
+    return template
+  }
+}
+
+/**
+ * Export an apiTools entry as a manifest tool definition.
+ * @param {object} data - Parsed .vf JSON
+ * @param {object} tool - apiTools entry
+ * @returns {object}
+ */
+export function exportTool(data, tool) {
+  const described = describeApiTool(data, tool)
+  const exported = {
+    name: described.name,
+    description: described.description || undefined,
+    method: described.method,
+    url: described.url,
+  }
+  const query = fromPairs(described.queryParams)
+  if (Object.keys(query).length > 0) exported.query = query
+  const headers = fromPairs(described.headers)
+  if (Object.keys(headers).length > 0) exported.headers = headers
+  const body = exportBody(described.body)
+  if (body !== undefined) exported.body = body
+  const documented = described.variables.filter((v) => v.description)
+  if (documented.length > 0) {
+    exported.variables = Object.fromEntries(
+      documented.map((v) => [v.name, v.description])
+    )
+  }
+  return JSON.parse(JSON.stringify(exported))
+}
+
+/**
+ * Decompile a .vf project into a manifest that `buildProject` can compile back.
+ * @param {object} data - Parsed .vf JSON
+ * @returns {{ manifest: object, warnings: string[] }}
+ */
+export function exportManifest(data) {
+  const warnings = []
+  const manifest = {}
+  const name = data.project?.name || data.version?.name
+  if (name) manifest.name = name
+  const linkedToolIDs = new Set()
+  manifest.agents = vfParser.listAllAgents(data).map(({ id, name }) => {
+    const rootAgent = (data.agents || []).find((a) => a.id === id) || {}
+    const programAgent = data.version?.programResources?.agents?.[id] || {}
+    const settings = {
+      ...(programAgent.settings || {}),
+      ...(rootAgent.settings || {}),
+    }
+    const agent = {
+      id,
+      name,
+      description: rootAgent.description ?? programAgent.description,
+      instructions: vfParser.getAgentInstructions(data, id),
+      model: settings.model,
+      temperature: settings.temperature,
+      maxTokens: settings.maxTokens,
+    }
+    const kb = rootAgent.knowledgeBaseTool ?? programAgent.knowledgeBaseTool
+    if (kb) {
+      agent.knowledgeBase = {
+        enabled: kb.enabled !== false,
+        description: kb.description || undefined,
+      }
+    }
+    const webSearch = rootAgent.webSearchTool ?? programAgent.webSearchTool
+    agent.webSearch = webSearch
+      ? webSearch.description
+        ? { enabled: true, description: webSearch.description }
+        : true
+      : false
+    // Message tools are only written when enabled, to keep manifests short
+    for (const tool of ['button', 'card', 'carousel']) {
+      const value = rootAgent[`${tool}Tool`] ?? programAgent[`${tool}Tool`]
+      if (value && value.enabled !== false) {
+        agent[tool] = value.description
+          ? { enabled: true, description: value.description }
+          : true
+      }
+    }
+    const tools = (data.agentAPITools || [])
+      .filter((link) => link.agentID === id)
+      .map((link) => {
+        const tool = (data.apiTools || []).find((t) => t.id === link.apiToolID)
+        if (!tool) {
+          warnings.push(
+            `agentAPITools link ${link.id} points to missing API tool ${link.apiToolID}`
+          )
+          return null
+        }
+        linkedToolIDs.add(tool.id)
+        return exportTool(data, tool)
+      })
+      .filter(Boolean)
+    if (tools.length > 0) agent.tools = tools
+    return JSON.parse(JSON.stringify(agent))
+  })
+  for (const tool of data.apiTools || []) {
+    if (!linkedToolIDs.has(tool.id)) {
+      warnings.push(
+        `API tool '${tool.name}' is not linked to any agent and was not exported`
+      )
+    }
+  }
+  return { manifest, warnings }
+}
+
+/**
+ * Serialize a manifest as JSON (for .json paths) or YAML.
+ * @param {object} manifest
+ * @param {string} [filePath]
+ * @returns {string}
+ */
+export function stringifyManifest(manifest, filePath) {
+  if (filePath && path.extname(filePath).toLowerCase() === '.json') {
+    return JSON.stringify(manifest, null, 2) + '\n'
+  }
+  return YAML.stringify(manifest, { lineWidth: 0 })
+}
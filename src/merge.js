@@ -0,0 +1,208 @@
+// Compare two plain values (objects are compared as JSON)
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value)
+
+// Arrays of entities with unique string IDs (agents, apiTools, apiToolInputVariables, agentAPITools, ...)
+function isEntityArray(value) {
+  if (!Array.isArray(value)) return false
+  const ids = new Set()
+  for (const item of value) {
+    if (!isPlainObject(item) || typeof item.id !== 'string') return false
+    if (ids.has(item.id)) return false
+    ids.add(item.id)
+  }
+  return true
+}
+
+// Arrays of distinct plain values (version.variables, referencedAgentsIDs, ...), merged as sets
+function isValueArray(value) {
+  return (
+    Array.isArray(value) &&
+    value.every((item) => ['string', 'number'].includes(typeof item)) &&
+    new Set(value).size === value.length
+  )
+}
+
+// Timestamps that change on every edit: both sides touching an entity is not a conflict
+const TIMESTAMP_KEYS = ['updatedAt']
+
+/**
+ * The `version.programResources.agents` conflict path that mirrors a root agent path, so both
+ * locations of an agent resolve the same way.
+ * @param {string} conflictPath
+ * @returns {string|null}
+ */
+export function linkedConflictPath(conflictPath) {
+  const match = conflictPath.match(/^agents\[([^\]]+)\](.*)$/)
+  return match ? `version.programResources.agents.${match[1]}${match[2]}` : null
+}
+
+// Three-way merge of a single value; records a conflict when both sides changed it differently
+function mergeValue(base, ours, theirs, path, ctx) {
+  if (same(ours, theirs)) return ours
+  if (same(base, ours)) return theirs
+  if (same(base, theirs)) return ours
+  if (
+    isPlainObject(ours) &&
+    isPlainObject(theirs) &&
+    (base === undefined || isPlainObject(base))
+  ) {
+    return mergeObject(base || {}, ours, theirs, path, ctx)
+  }
+  if (
+    isEntityArray(ours) &&
+    isEntityArray(theirs) &&
+    (base === undefined || isEntityArray(base))
+  ) {
+    return mergeEntities(base || [], ours, theirs, path, ctx)
+  }
+  if (
+    isValueArray(ours) &&
+    isValueArray(theirs) &&
+    (base === undefined || isValueArray(base))
+  ) {
+    const merged = mergeValues(base || [], ours, theirs)
+    if (merged) return merged
+  }
+  ctx.conflicts.push({ path, base, ours, theirs })
+  const choice =
+    ctx.resolutions[path] ?? ctx.resolutions[linkedConflictPath(path)]
+  return choice === 'theirs' ? theirs : ours
+}
+
+// Three-way set merge: each side's additions and removals apply to the other. One side's order wins
+// when only it reordered the values both kept; null when both reordered them differently.
+function mergeValues(base, ours, theirs) {
+  const kept = (list) =>
+    list.filter((item) => ours.includes(item) && theirs.includes(item))
+  const baseOrder = kept(base)
+  let [first, second] = [ours, theirs]
+  if (!same(kept(theirs), baseOrder) && !same(kept(theirs), kept(ours))) {
+    if (!same(kept(ours), baseOrder)) return null
+    ;[first, second] = [theirs, ours]
+  }
+  // Base values one side removed
+  const removed = base.filter((item) => !baseOrder.includes(item))
+  return [
+    ...first.filter((item) => !removed.includes(item)),
+    ...second.filter((item) => !base.includes(item) && !first.includes(item)),
+  ]
+}
+
+// Merge objects key by key (absent keys are undefined)
+function mergeObject(base, ours, theirs, path, ctx) {
+  const merged = {}
+  const keys = [...Object.keys(ours)]
+  for (const key of Object.keys(theirs)) {
+    if (!keys.includes(key)) keys.push(key)
+  }
+  for (const key of keys) {
+    const keyPath = path ? `${path}.${key}` : key
+    const value =
+      TIMESTAMP_KEYS.includes(key) &&
+      typeof ours[key] === 'string' &&
+      typeof theirs[key] === 'string'
+        ? [ours[key], theirs[key]].sort().pop()
+        : mergeValue(base[key], ours[key], theirs[key], keyPath, ctx)
+    if (value !== undefined) merged[key] = value
+  }
+  return merged
+}
+
+// Collections whose entities are looked up by name, so names must stay unique
+const NAMED_COLLECTIONS = [
+  'agents',
+  'apiTools',
+  'functions',
+  'intents',
+  'variables',
+]
+
+// Names shared only after merging (both sides added or renamed an entity to the same name) collide.
+// Both entities are kept: neither side can be picked without losing the other's work.
+function checkNameCollisions(merged, ours, theirs, path, ctx) {
+  const named = (list, name) => list.filter((item) => item.name === name)
+  const names = new Set(
+    merged.map((item) => item.name).filter((name) => typeof name === 'string')
+  )
+  for (const name of names) {
+    const items = named(merged, name)
+    if (
+      items.length < 2 ||
+      named(ours, name).length > 1 ||
+      named(theirs, name).length > 1
+    ) {
+      continue
+    }
+    const ourItem = named(ours, name)[0]
+    ctx.conflicts.push({
+      path: `${path}[name=${name}]`,
+      type: 'name',
+      base: undefined,
+      ours: items.find((item) => item.id === ourItem?.id) ?? items[0],
+      theirs: items.find((item) => item.id !== ourItem?.id) ?? items[1],
+    })
+  }
+}
+
+// Merge entity arrays by ID: our order first, then entities only theirs have
+function mergeEntities(base, ours, theirs, path, ctx) {
+  const byId = (list) => new Map(list.map((item) => [item.id, item]))
+  const baseById = byId(base)
+  const oursById = byId(ours)
+  const theirsById = byId(theirs)
+  const ids = [...oursById.keys()]
+  for (const id of theirsById.keys()) {
+    if (!oursById.has(id)) ids.push(id)
+  }
+  const merged = ids
+    .map((id) =>
+      mergeValue(
+        baseById.get(id),
+        oursById.get(id),
+        theirsById.get(id),
+        `${path}[${id}]`,
+        ctx
+      )
+    )
+    .filter((item) => item !== undefined)
+  if (NAMED_COLLECTIONS.includes(path)) {
+    checkNameCollisions(merged, ours, theirs, path, ctx)
+  }
+  return merged
+}
+
+/**
+ * Three-way merge of two .vf projects edited from the same base. Entities of `agents`, `apiTools`,
+ * `apiToolInputVariables`, `agentAPITools` (and any other array of objects with IDs) are matched by ID
+ * and `version.programResources.agents` by key, so edits to different entities or different fields
+ * of the same entity merge automatically. Lists of names or IDs (such as `version.variables`) merge as
+ * sets: values added or removed on either side are applied to the other. Agents, API tools, functions, intents or variables that end
+ * up sharing a name under different IDs are reported as `type: 'name'` conflicts; both are kept and
+ * resolutions do not apply to them.
+ * @param {object} base - Parsed .vf JSON both sides started from
+ * @param {object} ours - Parsed .vf JSON of our side
+ * @param {object} theirs - Parsed .vf JSON of their side
+ * @param {object} [options]
+ * @param {object} [options.resolutions] - { [conflictPath]: 'ours' | 'theirs' }; unresolved conflicts keep our side
+ * @returns {{ merged: object, conflicts: Array<{path: string, type?: 'name', base: *, ours: *, theirs: *}> }}
+ */
+export function mergeProjects(base, ours, theirs, options = {}) {
+  const ctx = { conflicts: [], resolutions: options.resolutions || {} }
+  const merged = mergeValue(base, ours, theirs, '', ctx)
+  return { merged, conflicts: ctx.conflicts }
+}
+
+/**
+ * Summarize a conflicting value for display (undefined means the entity or field was deleted).
+ * @param {*} value
+ * @param {number} [maxLength=300]
+ * @returns {string}
+ */
+export function describeValue(value, maxLength = 300) {
+  if (value === undefined) return '(deleted)'
+  const text = typeof value === 'string' ? value : JSON.stringify(value)
+  return text.length > maxLength ? text.slice(0, maxLength) + '...' : text
+}
@@ -0,0 +1,145 @@
+import http from 'http'
+
+/**
+ * Start a local HTTP server that answers with recorded responses. Requests are matched on their method
+ * and path with query string; anything else gets a 404. Two routes for the same request are refused.
+ * @param {Array<{method: string, path: string, response: {status: number, headers?: object, body: *}}>} routes
+ * @returns {Promise<{ url: string, close: Function }>}
+ */
+export function startMockServer(routes) {
+  const byRequest = new Map()
+  for (const route of routes) {
+    const key = `${route.method.toUpperCase()} ${route.path}`
+    if (byRequest.has(key)) {
+      return Promise.reject(new Error(`Two mock routes answer ${key}`))
+    }
+    byRequest.set(key, route.response)
+  }
+  const server = http.createServer((req, res) => {
+    // Drain the request body before answering
+    req.resume()
+    req.on('end', () => {
+      const response = byRequest.get(`${req.method} ${req.url}`)
+      if (!response) {
+        res.writeHead(404, { 'content-type': 'application/json' })
+        res.end(
+          JSON.stringify({
+            error: `No recorded response for ${req.method} ${req.url}`,
+          })
+        )
+        return
+      }
+      const body =
+        typeof response.body === 'string'
+          ? response.body
+          : JSON.stringify(response.body)
+      res.writeHead(response.status || 200, {
+        'content-type':
+          typeof response.body === 'string' ? 'text/plain' : 'application/json',
+        ...(response.headers || {}),
+      })
+      res.end(body)
+    })
+  })
+  return new Promise((resolve, reject) => {
+    server.once('error', reject)
+    // Port 0: let the OS pick a free port
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise((done) => server.close(done)),
+      })
+    })
+  })
+}
+
+/**
+ * Start a local stand-in for the Voiceflow knowledge base API: it accepts document uploads (files as
+ * multipart form data, URLs as JSON) and removals, and keeps the documents in memory.
+ * @param {object} [options]
+ * @param {string} [options.apiKey] - Reject requests without this Authorization header
+ * @returns {Promise<{ url: string, documents: Map<string, object>, close: Function }>}
+ */
+export function startKnowledgeBaseStandIn(options = {}) {
+  const documents = new Map()
+  let nextId = 1
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'content-type': 'application/json' })
+    res.end(JSON.stringify(body))
+  }
+  const server = http.createServer((req, res) => {
+    const chunks = []
+    req.on('data', (chunk) => chunks.push(chunk))
+    req.on('end', () => {
+      if (options.apiKey && req.headers.authorization !== options.apiKey) {
+        send(res, 401, { message: 'Invalid API key' })
+        return
+      }
+      const { pathname } = new URL(req.url, 'http://localhost')
+      const body = Buffer.concat(chunks)
+      if (
+        req.method === 'POST' &&
+        pathname === '/v1/knowledge-base/docs/upload'
+      ) {
+        let document
+        const type = req.headers['content-type'] || ''
+        if (type.startsWith('multipart/form-data')) {
+          // Only the file part's name is needed; the content is counted, not parsed
+          const name = body.toString('latin1').match(/filename="([^"]*)"/)?.[1]
+          if (!name) {
+            send(res, 400, { message: 'Missing file' })
+            return
+          }
+          document = { type: 'file', name, size: body.length }
+        } else {
+          let data
+          try {
+            data = JSON.parse(body.toString('utf8')).data
+          } catch {
+            data = null
+          }
+          if (data?.type !== 'url' || !data.url) {
+            send(res, 400, {
+              message: 'Expected { data: { type: "url", url } }',
+            })
+            return
+          }
+          document = { type: 'url', name: data.name || data.url, url: data.url }
+        }
+        const documentID = `standin${String(nextId++).padStart(17, '0')}`
+        documents.set(documentID, document)
+        send(res, 200, {
+          data: { documentID, data: document, status: { type: 'PENDING' } },
+        })
+        return
+      }
+      const doc = pathname.match(/^\/v1\/knowledge-base\/docs\/([^/]+)$/)
+      if (req.method === 'DELETE' && doc) {
+        const id = decodeURIComponent(doc[1])
+        if (!documents.delete(id)) {
+          send(res, 404, { message: `Document ${id} not found` })
+          return
+        }
+        send(res, 200, { data: { documentID: id } })
+        return
+      }
+      if (req.method === 'GET' && pathname === '/v1/knowledge-base/docs') {
+        send(res, 200, {
+          data: [...documents].map(([documentID, d]) => ({ documentID, ...d })),
+        })
+        return
+      }
+      send(res, 404, { message: `No route for ${req.method} ${pathname}` })
+    })
+  })
+  return new Promise((resolve, reject) => {
+    server.once('error', reject)
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        documents,
+        close: () => new Promise((done) => server.close(done)),
+      })
+    })
+  })
+}
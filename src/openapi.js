@@ -0,0 +1,396 @@
+import fs from 'fs'
+import path from 'path'
+import YAML from 'yaml'
+
+const HTTP_METHODS = ['get', 'post', 'put', 'delete', 'patch']
+
+/**
+ * Load an OpenAPI 3 or Swagger 2 spec from a JSON or YAML file.
+ * @param {string} filePath
+ * @returns {object}
+ */
+export function loadOpenApiSpec(filePath) {
+  const raw = fs.readFileSync(filePath, 'utf8')
+  const spec =
+    path.extname(filePath).toLowerCase() === '.json'
+      ? JSON.parse(raw)
+      : YAML.parse(raw)
+  if (!spec || typeof spec !== 'object' || (!spec.openapi && !spec.swagger)) {
+    throw new Error(
+      `Not an OpenAPI or Swagger spec (missing "openapi"/"swagger"): ${filePath}`
+    )
+  }
+  if (!spec.paths || typeof spec.paths !== 'object') {
+    throw new Error(`The spec has no paths: ${filePath}`)
+  }
+  return spec
+}
+
+// Resolve a local $ref ("#/components/schemas/Pet"); other values are returned as they are
+function resolveRef(spec, value, seen = new Set()) {
+  if (!value || typeof value.$ref !== 'string') return value
+  const ref = value.$ref
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Only local $ref values are supported: ${ref}`)
+  }
+  if (seen.has(ref)) return {}
+  seen.add(ref)
+  const target = ref
+    .slice(2)
+    .split('/')
+    .map((key) => key.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, key) => (node ? node[key] : undefined), spec)
+  if (target === undefined) throw new Error(`Unresolved $ref: ${ref}`)
+  return resolveRef(spec, target, seen)
+}
+
+// Turn a parameter or property name into a valid {var} name
+const toVariableName = (name) =>
+  String(name)
+    .replace(/[^a-zA-Z0-9_]+/g, '_')
+    .replace(/^_+|_+$/g, '') || 'value'
+
+// Name a tool after its operationId, or its method and path
+const operationName = (method, route, operation) =>
+  operation.operationId ||
+  toVariableName(`${method}_${route.replace(/[{}]/g, '')}`)
+    .replace(/_+/g, '_')
+    .toLowerCase()
+
+/**
+ * List the operations of a spec with their path-level and operation-level parameters combined.
+ * @param {object} spec - Loaded spec (see loadOpenApiSpec)
+ * @returns {Array<{id: string, method: string, path: string, servers: Array<object>|undefined, summary: string, operation: object, parameters: Array<object>}>}
+ */
+export function listOperations(spec) {
+  const operations = []
+  for (const [route, pathItem] of Object.entries(spec.paths)) {
+    const shared = (pathItem.parameters || []).map((p) => resolveRef(spec, p))
+    for (const method of HTTP_METHODS) {
+      const operation = pathItem[method]
+      if (!operation) continue
+      const own = (operation.parameters || []).map((p) => resolveRef(spec, p))
+      // Operation parameters override path parameters with the same name and location
+      const parameters = [
+        ...shared.filter(
+          (p) => !own.some((o) => o.name === p.name && o.in === p.in)
+        ),
+        ...own,
+      ]
+      operations.push({
+        id: operationName(method, route, operation),
+        method,
+        path: route,
+        servers: operation.servers || pathItem.servers,
+        summary: operation.summary || operation.description || '',
+        operation,
+        parameters,
+      })
+    }
+  }
+  return operations
+}
+
+// URL of a server object, with its variables replaced by their defaults
+function serverUrl(server) {
+  return server.url.replace(/\{([^}]+)\}/g, (match, name) => {
+    const variable = server.variables && server.variables[name]
+    return variable && variable.default !== undefined
+      ? String(variable.default)
+      : match
+  })
+}
+
+/**
+ * The base URL of the API: the first OpenAPI server (with its variables' defaults) or the Swagger host.
+ * @param {object} spec
+ * @returns {string}
+ */
+export function getServerUrl(spec) {
+  if (spec.swagger) {
+    if (!spec.host) return ''
+    const scheme = (spec.schemes && spec.schemes[0]) || 'https'
+    return `${scheme}://${spec.host}${spec.basePath || ''}`
+  }
+  const server = (spec.servers || [])[0]
+  return server ? serverUrl(server) : ''
+}
+
+// Build a JSON body template from a schema: every leaf becomes a {variable} named after its property
+function bodyFromSchema(spec, schema, keys, variables, depth = 0) {
+  schema = resolveRef(spec, schema) || {}
+  if (
+    depth < 5 &&
+    (schema.type === 'object' || (!schema.type && schema.properties))
+  ) {
+    const indent = '  '.repeat(depth + 1)
+    const entries = Object.entries(schema.properties || {}).map(
+      ([key, property]) =>
+        `${indent}${JSON.stringify(key)}: ${bodyFromSchema(
+          spec,
+          property,
+          [...keys, key],
+          variables,
+          depth + 1
+        )}`
+    )
+    return entries.length > 0
+      ? `{\n${entries.join(',\n')}\n${'  '.repeat(depth)}}`
+      : '{}'
+  }
+  let name = toVariableName(keys[keys.length - 1] || 'body')
+  // Use the full path of the property when its own name is taken, and a body_ prefix when a parameter
+  // has that name too: the body value must not be tied to a path or query value
+  if (variables[name] !== undefined) name = toVariableName(keys.join('_'))
+  if (variables[name] !== undefined) {
+    name = toVariableName(['body', ...keys].join('_'))
+  }
+  variables[name] = schema.description || ''
+  // Strings are quoted, numbers, booleans, arrays and objects are substituted raw
+  return schema.type === 'string' || !schema.type ? `"{${name}}"` : `{${name}}`
+}
+
+// Find the JSON request body schema of an operation (OpenAPI 3 requestBody or a Swagger 2 body parameter)
+function requestBodySchema(spec, operation, parameters) {
+  if (operation.requestBody) {
+    const body = resolveRef(spec, operation.requestBody)
+    const content = body.content || {}
+    const mediaType =
+      content['application/json'] ||
+      Object.entries(content).find(([type]) => type.includes('json'))?.[1]
+    return mediaType ? mediaType.schema || {} : undefined
+  }
+  const bodyParameter = parameters.find((p) => p.in === 'body')
+  return bodyParameter ? bodyParameter.schema || {} : undefined
+}
+
+/**
+ * Map an operation to the spec `addApiTool` takes: path parameters become URL variables, query
+ * parameters become query parameters, a JSON request body becomes a raw-input body template and
+ * parameter descriptions become variable descriptions.
+ * @param {object} spec - Loaded spec
+ * @param {object} op - Operation from listOperations
+ * @param {object} [options]
+ * @param {string} [options.serverUrl] - Base URL (defaults to the operation's server, then getServerUrl)
+ * @returns {{ tool: object, warnings: string[] }}
+ */
+export function operationToTool(spec, op, options = {}) {
+  const warnings = []
+  const variableDescriptions = {}
+  // Servers of the operation or its path override the spec's servers
+  const baseUrl = (
+    options.serverUrl ??
+    (op.servers && op.servers[0]
+      ? serverUrl(op.servers[0])
+      : getServerUrl(spec))
+  ).replace(/\/+$/, '')
+  if (!baseUrl) {
+    warnings.push(
+      `${op.id}: the spec has no server URL, the tool URL is relative`
+    )
+  }
+  const describe = (param) =>
+    param.description || resolveRef(spec, param.schema)?.description || ''
+
+  let route = op.path
+  for (const param of op.parameters.filter((p) => p.in === 'path')) {
+    const name = toVariableName(param.name)
+    route = route.split(`{${param.name}}`).join(`{${name}}`)
+    variableDescriptions[name] = describe(param)
+  }
+  const queryParams = op.parameters
+    .filter((p) => p.in === 'query')
+    .map((param) => {
+      const name = toVariableName(param.name)
+      variableDescriptions[name] = describe(param)
+      return { key: param.name, value: `{${name}}` }
+    })
+  // Headers keep their documented default or example, otherwise they become variables
+  const headers = op.parameters
+    .filter((p) => p.in === 'header')
+    .map((param) => {
+      const schema = resolveRef(spec, param.schema) || {}
+      const value = param.example ?? schema.default ?? schema.example
+      if (value !== undefined) return { key: param.name, value: String(value) }
+      const name = toVariableName(param.name)
+      variableDescriptions[name] = describe(param)
+      return { key: param.name, value: `{${name}}` }
+    })
+  if (op.parameters.some((p) => p.in === 'formData')) {
+    warnings.push(`${op.id}: form data parameters are not supported`)
+  }
+  const schema = requestBodySchema(spec, op.operation, op.parameters)
+  let bodyTemplate = ''
+  if (schema !== undefined) {
+    // Start from the parameters' variables so body properties don't reuse them
+    const bodyVariables = { ...variableDescriptions }
+    bodyTemplate = bodyFromSchema(spec, schema, [], bodyVariables)
+    for (const [name, description] of Object.entries(bodyVariables)) {
+      if (variableDescriptions[name] === undefined) {
+        variableDescriptions[name] = description
+      }
+    }
+    if (!headers.some((h) => h.key.toLowerCase() === 'content-type')) {
+      headers.push({ key: 'Content-Type', value: 'application/json' })
+    }
+  } else if (op.operation.requestBody) {
+    warnings.push(`${op.id}: only JSON request bodies are supported`)
+  }
+  return {
+    tool: {
+      name: op.id,
+      description: op.summary,
+      url: baseUrl + route,
+      httpMethod: op.method,
+      queryParams,
+      headers,
+      bodyTemplate,
+      variableDescriptions,
+    },
+    warnings,
+  }
+}
+
+// Infer a JSON schema from a body template; {var} placeholders become documented properties
+function bodySchema(template, descriptions) {
+  // Stand-ins for placeholders so the template parses as JSON
+  const json = template
+    .replace(/"\{([a-zA-Z0-9_]+)\}"/g, (match, name) =>
+      JSON.stringify(`\u0000string:${name}`)
+    )
+    .replace(/\{([a-zA-Z0-9_]+)\}/g, (match, name) =>
+      JSON.stringify(`\u0000raw:${name}`)
+    )
+  const schemaOf = (value) => {
+    if (typeof value === 'string') {
+      const placeholder = value.match(/^\u0000(string|raw):(.*)$/)
+      if (placeholder) {
+        const schema = placeholder[1] === 'string' ? { type: 'string' } : {}
+        if (descriptions[placeholder[2]]) {
+          schema.description = descriptions[placeholder[2]]
+        }
+        return schema
+      }
+      return { type: 'string', example: value }
+    }
+    if (typeof value === 'number') {
+      return {
+        type: Number.isInteger(value) ? 'integer' : 'number',
+        example: value,
+      }
+    }
+    if (typeof value === 'boolean') return { type: 'boolean', example: value }
+    if (value === null) return { nullable: true }
+    if (Array.isArray(value)) {
+      return { type: 'array', items: value.length ? schemaOf(value[0]) : {} }
+    }
+    return {
+      type: 'object',
+      properties: Object.fromEntries(
+        Object.entries(value).map(([key, v]) => [key, schemaOf(v)])
+      ),
+    }
+  }
+  try {
+    return {
+      'application/json': { schema: schemaOf(JSON.parse(json)) },
+    }
+  } catch {
+    return { 'text/plain': { schema: { type: 'string' }, example: template } }
+  }
+}
+
+/**
+ * Build an OpenAPI 3 spec with one operation per API tool: URL variables become path parameters,
+ * query parameters and headers become parameters and a raw-input body becomes the request body.
+ * @param {string} title - API title
+ * @param {Array<object>} tools - From describeApiTool
+ * @returns {{ spec: object, warnings: string[] }}
+ */
+export function toOpenApiSpec(title, tools) {
+  const warnings = []
+  const paths = {}
+  const origins = []
+  const operations = []
+  for (const tool of tools) {
+    const descriptions = Object.fromEntries(
+      tool.variables.map((v) => [v.name, v.description])
+    )
+    const match = tool.url.match(
+      /^([a-z][a-z0-9+.-]*:\/\/[^/?#]*|\{[a-zA-Z0-9_]+\})(.*)$/i
+    )
+    const origin = match ? match[1] : ''
+    let route = (match ? match[2] : tool.url) || '/'
+    if (!route.startsWith('/')) route = '/' + route
+    // Parameter for a query/header value: a single variable, a template or a fixed value
+    const parameter = (pair, location) => {
+      const single = pair.value.match(/^\{([a-zA-Z0-9_]+)\}$/)
+      const param = { name: pair.key, in: location }
+      if (single) {
+        if (descriptions[single[1]]) {
+          param.description = descriptions[single[1]]
+        }
+        param.schema = { type: 'string' }
+      } else if (/\{[a-zA-Z0-9_]+\}/.test(pair.value)) {
+        param.description = `Template: ${pair.value}`
+        param.schema = { type: 'string' }
+      } else {
+        param.schema = { type: 'string', default: pair.value }
+      }
+      return param
+    }
+    const parameters = [
+      ...[...route.matchAll(/\{([a-zA-Z0-9_]+)\}/g)].map(([, name]) => ({
+        name,
+        in: 'path',
+        required: true,
+        description: descriptions[name] || undefined,
+        schema: { type: 'string' },
+      })),
+      ...tool.queryParams.map((q) => parameter(q, 'query')),
+      // OpenAPI describes the content type in the request body
+      ...tool.headers
+        .filter((h) => h.key.toLowerCase() !== 'content-type')
+        .map((h) => parameter(h, 'header')),
+    ]
+    const operation = {
+      operationId: tool.name.replace(/[^a-zA-Z0-9_]+/g, '_'),
+      summary: tool.name,
+      description: tool.description || undefined,
+      parameters: parameters.length > 0 ? parameters : undefined,
+      responses: { default: { description: 'Response' } },
+    }
+    if (tool.body.trim()) {
+      operation.requestBody = { content: bodySchema(tool.body, descriptions) }
+    }
+    paths[route] = paths[route] || {}
+    if (paths[route][tool.method]) {
+      warnings.push(
+        `'${tool.name}' was skipped: ${tool.method.toUpperCase()} ${route} is already exported`
+      )
+      continue
+    }
+    paths[route][tool.method] = operation
+    operations.push({ operation, origin })
+    if (!origins.includes(origin)) origins.push(origin)
+  }
+  // One shared server when every tool uses the same host, otherwise one per operation
+  const server = (url) => {
+    const variable = url.match(/^\{([a-zA-Z0-9_]+)\}$/)
+    return variable
+      ? { url, variables: { [variable[1]]: { default: '' } } }
+      : { url }
+  }
+  const spec = { openapi: '3.0.3', info: { title, version: '1.0.0' } }
+  if (origins.length === 1 && origins[0]) {
+    spec.servers = [server(origins[0])]
+  } else {
+    operations
+      .filter(({ origin }) => origin)
+      .forEach(
+        ({ operation, origin }) => (operation.servers = [server(origin)])
+      )
+  }
+  spec.paths = paths
+  return { spec: JSON.parse(JSON.stringify(spec)), warnings }
+}
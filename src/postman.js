@@ -0,0 +1,323 @@
+import fs from 'fs'
+import {
+  normalizePlaceholders,
+  splitQueryString,
+  fillTemplate,
+} from './curl.js'
+import { isCredentialName, detectSecrets } from './secret-scanner.js'
+
+/**
+ * Load a Postman collection (v2.0 or v2.1 export).
+ * @param {string} filePath
+ * @returns {object}
+ */
+export function loadPostmanCollection(filePath) {
+  const collection = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+  if (!collection || !Array.isArray(collection.item)) {
+    throw new Error(
+      `Not a Postman collection (expected an "item" list): ${filePath}`
+    )
+  }
+  return collection
+}
+
+/**
+ * List the requests of a collection, including those in folders.
+ * @param {object} collection
+ * @returns {Array<{name: string, folder: string, item: object}>}
+ */
+export function listPostmanRequests(collection) {
+  const requests = []
+  const visit = (items, folder) => {
+    for (const item of items || []) {
+      if (Array.isArray(item.item)) {
+        visit(item.item, folder ? `${folder}/${item.name}` : item.name)
+      } else if (item.request) {
+        requests.push({ name: item.name, folder, item })
+      }
+    }
+  }
+  visit(collection.item, '')
+  return requests
+}
+
+// Postman descriptions are a string or { content }
+const descriptionText = (description) =>
+  typeof description === 'string' ? description : description?.content || ''
+
+// Replace {{var}} placeholders that the collection gives a value (e.g. {{baseUrl}})
+function substituteVariables(template, values) {
+  return String(template ?? '').replace(
+    /\{\{\s*([^{}]+?)\s*\}\}/g,
+    (match, name) => values[name] ?? match
+  )
+}
+
+// Build the request URL (without query string) and its enabled query parameters
+function requestUrl(url) {
+  if (typeof url === 'string') return splitQueryString(url)
+  if (!url) return { url: '', queryParams: [] }
+  let base
+  if (url.raw) {
+    base = splitQueryString(url.raw).url
+  } else {
+    const host = Array.isArray(url.host) ? url.host.join('.') : url.host || ''
+    const pathPart = Array.isArray(url.path) ? url.path.join('/') : url.path
+    base = `${url.protocol ? url.protocol + '://' : ''}${host}${
+      pathPart ? '/' + pathPart : ''
+    }`
+  }
+  if (!url.query)
+    return {
+      url: base,
+      queryParams: splitQueryString(url.raw || '').queryParams,
+    }
+  const queryParams = url.query
+    .filter((q) => !q.disabled && q.key)
+    .map((q) => ({ key: q.key, value: q.value ?? '' }))
+  return { url: base, queryParams }
+}
+
+// Headers for the request's (or the collection's) auth settings. Literal credentials are never
+// copied: they become references to the secret store, with a warning saying what to store.
+function authHeaders(auth, warnings, label) {
+  if (!auth || auth.type === 'noauth') return []
+  // v2.1 stores auth options as [{ key, value }], v2.0 as an object
+  const options = Array.isArray(auth[auth.type])
+    ? Object.fromEntries(auth[auth.type].map((o) => [o.key, o.value]))
+    : auth[auth.type] || {}
+  // {{var}} placeholders are left to the collection variables; anything else is a literal credential
+  const secretValue = (value, name, what) => {
+    const text = String(value ?? '')
+    if (!text || text.includes('{{')) return text
+    warnings.push(
+      `${label}: the ${what} of its auth settings was not copied; store it with vf-copilot secrets add ${name}`
+    )
+    return `{{secret.${name}}}`
+  }
+  if (auth.type === 'bearer') {
+    return [
+      {
+        key: 'Authorization',
+        value: `Bearer ${secretValue(options.token, 'BEARER_TOKEN', 'bearer token')}`,
+      },
+    ]
+  }
+  if (auth.type === 'apikey' && options.in !== 'query') {
+    return [
+      {
+        key: options.key || 'X-API-Key',
+        value: secretValue(options.value, 'API_KEY', 'API key'),
+      },
+    ]
+  }
+  if (auth.type === 'basic') {
+    const credentials = `${options.username ?? ''}:${options.password ?? ''}`
+    if (!credentials.includes('{{')) {
+      return [
+        {
+          key: 'Authorization',
+          value: `Basic ${secretValue(
+            Buffer.from(credentials).toString('base64'),
+            'BASIC_AUTH',
+            'base64 username:password'
+          )}`,
+        },
+      ]
+    }
+  }
+  warnings.push(`${label}: ${auth.type} authentication was not imported`)
+  return []
+}
+
+// Collection variables whose value is a credential: they are referenced from the secret store
+// instead of being written into the project
+const isCredentialVariable = (v) =>
+  isCredentialName(v.key) || detectSecrets(String(v.value)).length > 0
+
+/**
+ * Map a Postman request to the spec `addApiTool` takes. `{{var}}` placeholders become tool variables,
+ * except collection variables that have a value (such as `{{baseUrl}}`), which are filled in, and
+ * credentials among them (such as `{{apiKey}}`), which become `{{secret.apiKey}}` references.
+ * Postman path variables (`:id`) become `{id}` variables.
+ * @param {object} collection
+ * @param {{name: string, item: object}} entry - From listPostmanRequests
+ * @returns {{ tool: object, warnings: string[] }}
+ */
+export function postmanRequestToTool(collection, entry) {
+  const warnings = []
+  const request =
+    typeof entry.item.request === 'string'
+      ? { url: entry.item.request, method: 'GET' }
+      : entry.item.request
+  const label = entry.name
+  const withValues = (collection.variable || []).filter(
+    (v) => v.key && v.value !== undefined && v.value !== ''
+  )
+  const values = Object.fromEntries(
+    withValues
+      .filter((v) => !isCredentialVariable(v))
+      .map((v) => [v.key, String(v.value)])
+  )
+  const secrets = new Set(
+    withValues
+      .filter(isCredentialVariable)
+      .map((v) => normalizePlaceholders(`{{${v.key}}}`).slice(2, -2))
+  )
+  const fill = (template) =>
+    normalizePlaceholders(substituteVariables(template, values)).replace(
+      /\{\{([a-zA-Z0-9_]+)\}\}/g,
+      (match, name) => (secrets.has(name) ? `{{secret.${name}}}` : match)
+    )
+  const variableDescriptions = {}
+
+  const parsed = requestUrl(request.url)
+  const urlObject = typeof request.url === 'object' ? request.url || {} : {}
+  let url = fill(parsed.url)
+  // Path variables (:id) become {id}, with their descriptions
+  url = url.replace(
+    /(^|\/):([a-zA-Z_][a-zA-Z0-9_]*)/g,
+    (match, slash, name) => {
+      const variable = (urlObject.variable || []).find((v) => v.key === name)
+      variableDescriptions[name] = descriptionText(variable?.description)
+      return `${slash}{${name}}`
+    }
+  )
+  if (!/^https?:\/\//i.test(url)) {
+    warnings.push(
+      `${label}: URL '${url}' is not absolute (is a collection variable such as {{baseUrl}} missing a value?)`
+    )
+  }
+  const queryParams = parsed.queryParams.map((q) => ({
+    key: q.key,
+    value: fill(q.value),
+  }))
+  // A query parameter holding a single placeholder documents that variable
+  for (const q of urlObject.query || []) {
+    const value = fill(q.value)
+    if (q.description && /^\{\{[a-zA-Z0-9_]+\}\}$/.test(value)) {
+      variableDescriptions[value.slice(2, -2)] = descriptionText(q.description)
+    }
+  }
+  const headers = (request.header || [])
+    .filter((h) => !h.disabled && h.key)
+    .map((h) => ({ key: h.key, value: fill(h.value) }))
+  for (const h of authHeaders(
+    request.auth || collection.auth,
+    warnings,
+    label
+  )) {
+    if (!headers.some((e) => e.key.toLowerCase() === h.key.toLowerCase())) {
+      headers.push({ key: h.key, value: fill(h.value) })
+    }
+  }
+
+  let bodyTemplate = ''
+  const body = request.body
+  if (body && !body.disabled) {
+    if (body.mode === 'raw') {
+      bodyTemplate = fill(body.raw)
+      const language = body.options?.raw?.language
+      if (
+        (language === 'json' || /^\s*[{[]/.test(bodyTemplate)) &&
+        !headers.some((h) => h.key.toLowerCase() === 'content-type')
+      ) {
+        headers.push({ key: 'Content-Type', value: 'application/json' })
+      }
+    } else if (body.mode === 'urlencoded') {
+      bodyTemplate = (body.urlencoded || [])
+        .filter((p) => !p.disabled)
+        .map((p) => `${encodeURIComponent(p.key)}=${fill(p.value ?? '')}`)
+        .join('&')
+      if (!headers.some((h) => h.key.toLowerCase() === 'content-type')) {
+        headers.push({
+          key: 'Content-Type',
+          value: 'application/x-www-form-urlencoded',
+        })
+      }
+    } else if (body.mode) {
+      warnings.push(`${label}: ${body.mode} bodies are not supported`)
+    }
+  }
+
+  const referenced = [url, ...queryParams.map((q) => q.value)]
+    .concat(
+      headers.map((h) => h.value),
+      bodyTemplate
+    )
+    .join('\n')
+  for (const name of secrets) {
+    if (referenced.includes(`{{secret.${name}}}`)) {
+      warnings.push(
+        `${label}: collection variable '${name}' looks like a credential and was not copied; store it with vf-copilot secrets add ${name}`
+      )
+    }
+  }
+
+  return {
+    tool: {
+      name: entry.name,
+      description: descriptionText(request.description),
+      url,
+      httpMethod: String(request.method || 'get').toLowerCase(),
+      queryParams,
+      headers,
+      bodyTemplate,
+      variableDescriptions,
+    },
+    warnings,
+  }
+}
+
+/**
+ * Build a Postman collection (v2.1) with one request per API tool. Tool variables become {{var_name}}
+ * collection variables.
+ * @param {string} name - Collection name
+ * @param {Array<object>} tools - From describeApiTool
+ * @param {object} [values] - Map of variable name to the collection variable's value
+ * @returns {object}
+ */
+export function toPostmanCollection(name, tools, values = {}) {
+  const variables = new Map()
+  const item = tools.map((tool) => {
+    for (const v of tool.variables) {
+      if (!variables.has(v.name) || !variables.get(v.name).description) {
+        variables.set(v.name, {
+          key: v.name,
+          value: values[v.name] !== undefined ? String(values[v.name]) : '',
+          description: v.description || undefined,
+        })
+      }
+    }
+    const fill = (template) => fillTemplate(template, tool.variables)
+    const query = tool.queryParams
+      .map((q) => `${encodeURIComponent(q.key)}=${fill(q.value)}`)
+      .join('&')
+    const request = {
+      method: tool.method.toUpperCase(),
+      header: tool.headers.map((h) => ({ key: h.key, value: fill(h.value) })),
+      url: fill(tool.url) + (query ? `?${query}` : ''),
+      description: tool.description || undefined,
+    }
+    if (tool.body.trim()) {
+      const isJson = /^\s*[{[]/.test(tool.body)
+      request.body = {
+        mode: 'raw',
+        raw: fill(tool.body),
+        options: { raw: { language: isJson ? 'json' : 'text' } },
+      }
+    }
+    return { name: tool.name, request }
+  })
+  return JSON.parse(
+    JSON.stringify({
+      info: {
+        name,
+        schema:
+          'https://schema.getpostman.com/json/collection/v2.1.0/collection.json',
+      },
+      item,
+      variable: [...variables.values()],
+    })
+  )
+}
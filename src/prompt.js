@@ -0,0 +1,94 @@
+import fs from 'fs'
+import inquirer from 'inquirer'
+
+/**
+ * Ask a single inquirer question, unless the answer was already supplied on the command line.
+ * In non-interactive mode a question with a default resolves to that default, otherwise it fails.
+ * @param {object} question - inquirer question object (must have a name)
+ * @param {*} provided - Value supplied through a CLI option (undefined when missing)
+ * @param {object} [options]
+ * @param {boolean} [options.interactive=true] - Whether prompting is allowed
+ * @param {string} [options.flag] - CLI option to mention in the error message
+ * @returns {Promise<*>}
+ */
+export async function ask(question, provided, options = {}) {
+  const { interactive = true, flag } = options
+  if (provided !== undefined) return provided
+  if (!interactive) {
+    if (question.default !== undefined) return question.default
+    throw new Error(
+      `Missing required option --${
+        flag || question.name
+      } (prompts are disabled by --no-interactive)`
+    )
+  }
+  const answers = await inquirer.prompt([question])
+  return answers[question.name]
+}
+
+/**
+ * Ask a yes/no question. `--yes` answers it, and non-interactive mode answers no.
+ * @param {string} message
+ * @param {object} argv - Parsed yargs arguments
+ * @param {boolean} [defaultValue=false]
+ * @returns {Promise<boolean>}
+ */
+export async function confirm(message, argv, defaultValue = false) {
+  if (argv.yes) return true
+  if (argv.interactive === false) return false
+  const { confirmed } = await inquirer.prompt([
+    { type: 'confirm', name: 'confirmed', message, default: defaultValue },
+  ])
+  return confirmed
+}
+
+/**
+ * Select an agent by `--agent` (ID or name), automatically when there is only one, or by prompting.
+ * @param {Array<{id: string, name: string}>} agents - From vfParser.listAllAgents
+ * @param {object} argv - Parsed yargs arguments
+ * @param {string} message - Prompt message when several agents exist
+ * @returns {Promise<string>} - The selected agent ID
+ */
+export async function selectAgent(agents, argv, message) {
+  if (agents.length === 0) {
+    throw new Error('No agents found in the project.')
+  }
+  if (argv.agent !== undefined) {
+    const wanted = String(argv.agent)
+    const agent =
+      agents.find((a) => a.id === wanted) ||
+      agents.find((a) => a.name === wanted)
+    if (!agent) {
+      throw new Error(
+        `Agent '${wanted}' not found. Available agents: ${agents
+          .map((a) => `${a.name} (${a.id})`)
+          .join(', ')}`
+      )
+    }
+    return agent.id
+  }
+  if (agents.length === 1) return agents[0].id
+  return ask(
+    {
+      type: 'list',
+      name: 'agentId',
+      message,
+      choices: agents.map((a) => ({
+        name: `${a.name} (${a.id})`,
+        value: a.id,
+      })),
+    },
+    undefined,
+    { interactive: argv.interactive !== false, flag: 'agent' }
+  )
+}
+
+/**
+ * Read a text file given through a CLI option, or return undefined when the option is missing.
+ * @param {string} [filePath]
+ * @returns {string|undefined}
+ */
+export function readOptionFile(filePath) {
+  if (filePath === undefined) return undefined
+  return fs.readFileSync(filePath, 'utf8')
+}
@@ -0,0 +1,404 @@
+import { generateMongoId } from './id-generator.js'
+import { findProjectVariable } from './api-tools.js'
+import * as vfParser from './vf-parser.js'
+
+// Empty ports of a new step
+const emptyPorts = () => ({ byKey: {}, builtIn: {}, dynamic: [] })
+
+/**
+ * Find a workflow by name or ID.
+ * @param {object} data - Parsed .vf JSON
+ * @param {string} nameOrId
+ * @returns {object} - workflows entry
+ */
+export function findWorkflow(data, nameOrId) {
+  const workflows = data.workflows || []
+  const workflow =
+    workflows.find((w) => w.id === nameOrId) ||
+    workflows.find((w) => w.name === nameOrId)
+  if (!workflow) {
+    throw new Error(
+      `Workflow '${nameOrId}' not found. Available: ${
+        workflows.map((w) => w.name).join(', ') || '(none)'
+      }`
+    )
+  }
+  return workflow
+}
+
+// The diagram agents are routed in: the root diagram (the start workflow)
+function rootDiagram(data) {
+  const diagram = data.diagrams?.[data.version?.rootDiagramID]
+  if (!diagram) {
+    throw new Error('The project has no root diagram (version.rootDiagramID)')
+  }
+  if (!diagram.nodes) diagram.nodes = {}
+  return diagram
+}
+
+// Block of a diagram holding a step
+function blockOf(diagram, stepId) {
+  return Object.values(diagram.nodes).find(
+    (node) => node.type === 'block' && (node.data?.steps || []).includes(stepId)
+  )
+}
+
+// Add a block holding a single step, to the right of the existing blocks
+function addBlock(diagram, name, step) {
+  const coords = Object.values(diagram.nodes)
+    .map((node) => node.coords)
+    .filter(Array.isArray)
+  const x = Math.max(0, ...coords.map((c) => c[0])) + 400
+  const y = coords.length > 0 ? Math.min(...coords.map((c) => c[1])) : 0
+  const blockId = generateMongoId()
+  diagram.nodes[step.nodeID] = step
+  diagram.nodes[blockId] = {
+    type: 'block',
+    data: { name, steps: [step.nodeID], color: '#5b9fd7' },
+    nodeID: blockId,
+    coords: [x, y],
+  }
+  return diagram.nodes[blockId]
+}
+
+// Agent step of an agent in the root diagram, created (in its own block) when missing
+function ensureAgentStep(data, agent) {
+  const diagram = rootDiagram(data)
+  const existing = Object.values(diagram.nodes).find(
+    (node) => node.type === 'agent' && node.data?.agentID === agent.id
+  )
+  if (existing) {
+    if (!existing.data.portsV2) existing.data.portsV2 = emptyPorts()
+    return existing
+  }
+  const step = {
+    type: 'agent',
+    data: {
+      name: agent.name,
+      agentID: agent.id,
+      listenForOtherTriggers: true,
+      exitEveryConversationalTurn: false,
+      portsV2: emptyPorts(),
+    },
+    nodeID: generateMongoId(),
+  }
+  addBlock(diagram, agent.name, step)
+  // Agents run by a step are listed in the surveyor context
+  const surveyor = data.version?.prototype?.surveyorContext
+  if (surveyor) {
+    if (!Array.isArray(surveyor.referencedAgentsIDs)) {
+      surveyor.referencedAgentsIDs = []
+    }
+    if (!surveyor.referencedAgentsIDs.includes(agent.id)) {
+      surveyor.referencedAgentsIDs.push(agent.id)
+    }
+  }
+  return step
+}
+
+// Step of the root diagram that runs a workflow, created (in its own block) when missing
+function ensureWorkflowStep(data, workflow) {
+  const diagram = rootDiagram(data)
+  if (workflow.diagramID === diagram.diagramID) {
+    throw new Error(
+      `Cannot route to '${workflow.name}': agents are routed inside that workflow`
+    )
+  }
+  if (!data.diagrams?.[workflow.diagramID]) {
+    throw new Error(
+      `Workflow '${workflow.name}' points to missing diagram ${workflow.diagramID}`
+    )
+  }
+  const existing = Object.values(diagram.nodes).find(
+    (node) =>
+      node.type === 'component' && node.data?.diagramID === workflow.diagramID
+  )
+  if (existing) return existing
+  const step = {
+    type: 'component',
+    data: {
+      name: workflow.name,
+      diagramID: workflow.diagramID,
+      portsV2: emptyPorts(),
+    },
+    nodeID: generateMongoId(),
+  }
+  addBlock(diagram, workflow.name, step)
+  return step
+}
+
+// Find a path tool of an agent by name or ID
+function findPathTool(data, agentId, nameOrId) {
+  const tools = (data.agentPathTools || []).filter((t) => t.agentID === agentId)
+  const tool =
+    tools.find((t) => t.id === nameOrId) ||
+    tools.find((t) => t.name === nameOrId)
+  if (!tool) {
+    throw new Error(
+      `Path '${nameOrId}' not found on this agent. Available: ${
+        tools.map((t) => t.name).join(', ') || '(none)'
+      }`
+    )
+  }
+  return tool
+}
+
+/**
+ * Add a path tool to an agent: a named exit the agent takes when its description applies, capturing
+ * project variables on the way out.
+ * @param {object} data - Parsed .vf JSON (mutated in place)
+ * @param {string} agentId - Agent ID or name
+ * @param {object} path
+ * @param {string} path.name
+ * @param {string} [path.description=''] - When the agent should take the path
+ * @param {Array<{variable: string, description?: string}>} [path.variables] - Project variables (name or
+ *   ID) the agent fills in before leaving
+ * @returns {object} - The agentPathTools entry
+ */
+export function addPathTool(data, agentId, path) {
+  const agent = vfParser.findAgent(data, agentId)
+  const name = String(path.name || '').trim()
+  if (!/^[a-zA-Z0-9_ -]+$/.test(name)) {
+    throw new Error(
+      `Invalid path name '${name}' (use letters, digits, spaces, - and _)`
+    )
+  }
+  if (
+    (data.agentPathTools || []).some(
+      (t) => t.agentID === agent.id && t.name === name
+    )
+  ) {
+    throw new Error(`Agent '${agent.name}' already has a path named '${name}'`)
+  }
+  const variables = (path.variables || []).map(({ variable, description }) => ({
+    variableID: findProjectVariable(data, variable).id,
+    description: description || '',
+  }))
+  const now = new Date().toISOString()
+  const tool = {
+    id: generateMongoId(),
+    agentID: agent.id,
+    name,
+    description: path.description || '',
+    createdAt: now,
+    updatedAt: now,
+  }
+  if (!Array.isArray(data.agentPathTools)) data.agentPathTools = []
+  data.agentPathTools.push(tool)
+  if (!Array.isArray(data.agentPathToolVariables)) {
+    data.agentPathToolVariables = []
+  }
+  for (const variable of variables) {
+    data.agentPathToolVariables.push({
+      id: generateMongoId(),
+      agentID: agent.id,
+      agentPathToolID: tool.id,
+      ...variable,
+      createdAt: now,
+    })
+  }
+  const rootAgent = (data.agents || []).find((a) => a.id === agent.id)
+  if (rootAgent) {
+    rootAgent.pathToolOrder = [...(rootAgent.pathToolOrder || []), tool.id]
+  }
+  // Every path is a port of the agent step, unconnected until routed
+  const step = ensureAgentStep(data, agent)
+  step.data.portsV2.byKey[tool.id] = {
+    type: tool.id,
+    target: null,
+    id: generateMongoId(),
+    data: {},
+  }
+  return tool
+}
+
+/**
+ * Remove a path tool with its variables, its place in pathToolOrder and its port.
+ * @param {object} data - Parsed .vf JSON (mutated in place)
+ * @param {string} agentId - Agent ID or name
+ * @param {string} pathName - Path tool name or ID
+ */
+export function removePathTool(data, agentId, pathName) {
+  const agent = vfParser.findAgent(data, agentId)
+  const tool = findPathTool(data, agent.id, pathName)
+  data.agentPathTools = data.agentPathTools.filter((t) => t.id !== tool.id)
+  data.agentPathToolVariables = (data.agentPathToolVariables || []).filter(
+    (v) => v.agentPathToolID !== tool.id
+  )
+  const rootAgent = (data.agents || []).find((a) => a.id === agent.id)
+  if (rootAgent) {
+    rootAgent.pathToolOrder = (rootAgent.pathToolOrder || []).filter(
+      (id) => id !== tool.id
+    )
+  }
+  for (const diagram of Object.values(data.diagrams || {})) {
+    for (const node of Object.values(diagram?.nodes || {})) {
+      if (node.type === 'agent' && node.data?.portsV2?.byKey) {
+        delete node.data.portsV2.byKey[tool.id]
+      }
+    }
+  }
+}
+
+/**
+ * Wire a path tool to the agent or workflow that takes over, or disconnect it.
+ * @param {object} data - Parsed .vf JSON (mutated in place)
+ * @param {string} agentId - Agent ID or name
+ * @param {string} pathName - Path tool name or ID
+ * @param {{agent?: string, workflow?: string}|null} target - Agent or workflow (name or ID), null to
+ *   disconnect
+ */
+export function routePathTool(data, agentId, pathName, target) {
+  const agent = vfParser.findAgent(data, agentId)
+  const tool = findPathTool(data, agent.id, pathName)
+  let targetStep = null
+  if (target && target.agent) {
+    const targetAgent = vfParser.findAgent(data, target.agent)
+    if (targetAgent.id === agent.id) {
+      throw new Error(`Agent '${agent.name}' cannot hand off to itself`)
+    }
+    targetStep = ensureAgentStep(data, targetAgent)
+  } else if (target && target.workflow) {
+    targetStep = ensureWorkflowStep(data, findWorkflow(data, target.workflow))
+  }
+  const step = ensureAgentStep(data, agent)
+  const ports = step.data.portsV2.byKey
+  if (!ports[tool.id]) {
+    ports[tool.id] = { type: tool.id, target: null, id: generateMongoId() }
+  }
+  ports[tool.id].target = targetStep
+    ? blockOf(rootDiagram(data), targetStep.nodeID).nodeID
+    : null
+  ports[tool.id].data = {}
+}
+
+/**
+ * Make an agent the one the conversation starts with: the start step of the root diagram leads to its
+ * agent step.
+ * @param {object} data - Parsed .vf JSON (mutated in place)
+ * @param {string} agentId - Agent ID or name
+ */
+export function setStartAgent(data, agentId) {
+  const agent = vfParser.findAgent(data, agentId)
+  const diagram = rootDiagram(data)
+  const start = Object.values(diagram.nodes).find((n) => n.type === 'start')
+  if (!start) throw new Error('The root diagram has no start step')
+  const step = ensureAgentStep(data, agent)
+  if (!start.data.portsV2) start.data.portsV2 = emptyPorts()
+  const builtIn = start.data.portsV2.builtIn
+  builtIn.next = {
+    type: 'next',
+    id: builtIn.next?.id || generateMongoId(),
+    target: blockOf(diagram, step.nodeID).nodeID,
+    data: {},
+  }
+}
+
+/**
+ * Remove the agent steps that run an agent, with their blocks when they hold nothing else, and
+ * disconnect the ports leading to them. Used when the agent is deleted.
+ * @param {object} data - Parsed .vf JSON (mutated in place)
+ * @param {string} agentId
+ * @returns {number} - Number of steps removed
+ */
+export function removeAgentSteps(data, agentId) {
+  let removed = 0
+  for (const diagram of Object.values(data.diagrams || {})) {
+    const nodes = diagram?.nodes || {}
+    const steps = Object.values(nodes).filter(
+      (node) => node.type === 'agent' && node.data?.agentID === agentId
+    )
+    if (steps.length === 0) continue
+    const gone = new Set(steps.map((step) => step.nodeID))
+    for (const step of steps) {
+      const block = blockOf(diagram, step.nodeID)
+      if (block) {
+        block.data.steps = block.data.steps.filter((id) => id !== step.nodeID)
+        if (block.data.steps.length === 0) gone.add(block.nodeID)
+      }
+    }
+    const start = Object.values(nodes).find((n) => n.type === 'start')
+    if (gone.has(start?.data?.portsV2?.builtIn?.next?.target)) {
+      throw new Error(
+        `Agent ${agentId} is the start agent: make another agent the start agent first (vf-copilot routing start)`
+      )
+    }
+    for (const id of gone) delete nodes[id]
+    for (const node of Object.values(nodes)) {
+      const ports = node.data?.portsV2
+      if (!ports) continue
+      for (const port of [
+        ...Object.values(ports.builtIn || {}),
+        ...Object.values(ports.byKey || {}),
+        ...(ports.dynamic || []),
+      ]) {
+        if (port && gone.has(port.target)) port.target = null
+      }
+    }
+    removed += steps.length
+  }
+  return removed
+}
+
+/**
+ * Describe the routing graph: the start agent and every agent's paths, in pathToolOrder.
+ * @param {object} data - Parsed .vf JSON
+ * @returns {{ start: string|null, agents: Array<{id: string, name: string, paths: Array<object>}> }} -
+ *   `start` is the start agent's ID; each path has its name, description, captured variables (names) and
+ *   `target` ({ agent } or { workflow } name, or null)
+ */
+export function describeRouting(data) {
+  const diagram = data.diagrams?.[data.version?.rootDiagramID]
+  const nodes = diagram?.nodes || {}
+  // Resolve a port target (a block) to the agent or workflow its first step runs
+  const targetOf = (blockId) => {
+    const stepId = blockId && nodes[blockId]?.data?.steps?.[0]
+    const step = stepId ? nodes[stepId] : nodes[blockId]
+    if (step?.type === 'agent') {
+      const agent = vfParser
+        .listAllAgents(data)
+        .find((a) => a.id === step.data.agentID)
+      return { agent: agent ? agent.name : step.data.agentID }
+    }
+    if (step?.type === 'component') {
+      const workflow = (data.workflows || []).find(
+        (w) => w.diagramID === step.data.diagramID
+      )
+      return { workflow: workflow ? workflow.name : step.data.diagramID }
+    }
+    return blockId ? { node: blockId } : null
+  }
+  const start = Object.values(nodes).find((n) => n.type === 'start')
+  const startTarget = targetOf(start?.data?.portsV2?.builtIn?.next?.target)
+  const variableNames = Object.fromEntries(
+    (data.variables || []).map((v) => [v.id, v.name])
+  )
+  const agents = vfParser.listAllAgents(data).map(({ id, name }) => {
+    const rootAgent = (data.agents || []).find((a) => a.id === id) || {}
+    const order = rootAgent.pathToolOrder || []
+    const step = Object.values(nodes).find(
+      (n) => n.type === 'agent' && n.data?.agentID === id
+    )
+    const paths = (data.agentPathTools || [])
+      .filter((t) => t.agentID === id)
+      .sort((a, b) => {
+        const rank = (t) =>
+          order.includes(t.id) ? order.indexOf(t.id) : order.length
+        return rank(a) - rank(b)
+      })
+      .map((tool) => ({
+        name: tool.name,
+        description: tool.description || '',
+        variables: (data.agentPathToolVariables || [])
+          .filter((v) => v.agentPathToolID === tool.id)
+          .map((v) => variableNames[v.variableID] || v.variableID),
+        target: targetOf(step?.data?.portsV2?.byKey?.[tool.id]?.target),
+      }))
+    return { id, name, paths }
+  })
+  const startAgent =
+    startTarget && startTarget.agent
+      ? agents.find((a) => a.name === startTarget.agent)
+      : null
+  return { start: startAgent ? startAgent.id : null, agents }
+}
@@ -0,0 +1,226 @@
+import fs from 'fs'
+import path from 'path'
+
+// Known credential formats, checked before the entropy heuristic
+const TOKEN_PATTERNS = [
+  { kind: 'Bearer token', pattern: /\bBearer\s+([A-Za-z0-9\-._~+/]{16,}=*)/g },
+  { kind: 'Basic credentials', pattern: /\bBasic\s+([A-Za-z0-9+/]{12,}=*)/g },
+  { kind: 'sk- API key', pattern: /\b(sk-(?:proj-|ant-)?[A-Za-z0-9_-]{20,})/g },
+  { kind: 'AWS access key', pattern: /\b((?:AKIA|ASIA)[0-9A-Z]{16})\b/g },
+  { kind: 'GitHub token', pattern: /\b(gh[pousr]_[A-Za-z0-9]{36,})\b/g },
+  { kind: 'Slack token', pattern: /\b(xox[abprs]-[A-Za-z0-9-]{10,})\b/g },
+  { kind: 'Google API key', pattern: /\b(AIza[0-9A-Za-z_-]{35})\b/g },
+  {
+    kind: 'Token in URL',
+    pattern:
+      /[?&](?:api[_-]?key|apikey|key|token|access[_-]?token|secret|password|sig|signature)=([^&#\s{}]{8,})/gi,
+  },
+  { kind: 'Password in URL', pattern: /:\/\/[^/\s:@]+:([^/\s@{}]{4,})@/g },
+]
+
+// Candidate strings for the entropy check: long runs of token characters
+const ENTROPY_CANDIDATE = /[A-Za-z0-9+/_=-]{20,}/g
+
+// Shannon entropy of a string, in bits per character
+function entropy(text) {
+  const counts = {}
+  for (const ch of text) counts[ch] = (counts[ch] || 0) + 1
+  return Object.values(counts).reduce((sum, count) => {
+    const p = count / text.length
+    return sum - p * Math.log2(p)
+  }, 0)
+}
+
+// A random-looking token: mixes letters and digits and has a high entropy
+function looksRandom(token) {
+  return (
+    /[a-zA-Z]/.test(token) &&
+    /[0-9]/.test(token) &&
+    !/^[0-9a-f]{24}$/.test(token) &&
+    entropy(token) >= 4
+  )
+}
+
+// Placeholders are references, not secrets
+const isPlaceholder = (value) => /\{[^{}]*\}/.test(value)
+
+// Header and query parameter names that hold credentials
+const CREDENTIAL_NAME =
+  /(api[_-]?key|apikey|token|secret|password|passwd|auth|signature|access[_-]?key)/i
+
+/**
+ * Whether a header, query parameter or variable name usually holds a credential.
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isCredentialName(name) {
+  return CREDENTIAL_NAME.test(String(name ?? ''))
+}
+
+/**
+ * Find likely credentials in a piece of text.
+ * @param {string} text
+ * @param {string} [name] - Header or query parameter name: a credential name flags its whole value
+ * @returns {Array<{kind: string, value: string}>}
+ */
+export function detectSecrets(text, name) {
+  const found = []
+  const seen = new Set()
+  const add = (kind, value) => {
+    if (!value || isPlaceholder(value) || seen.has(value)) return
+    // Skip values already covered by a longer match (e.g. the key inside a Bearer token)
+    if ([...seen].some((s) => s.includes(value) || value.includes(s))) return
+    seen.add(value)
+    found.push({ kind, value })
+  }
+  const input = String(text ?? '')
+  for (const { kind, pattern } of TOKEN_PATTERNS) {
+    for (const match of input.matchAll(pattern)) add(kind, match[1])
+  }
+  for (const match of input.matchAll(ENTROPY_CANDIDATE)) {
+    if (looksRandom(match[0])) add('High-entropy string', match[0])
+  }
+  const value = input.replace(/^(Bearer|Basic|Token)\s+/i, '').trim()
+  if (
+    found.length === 0 &&
+    name &&
+    CREDENTIAL_NAME.test(name) &&
+    value.length >= 8 &&
+    !/\s/.test(value)
+  ) {
+    add(`Value of '${name}'`, value)
+  }
+  return found
+}
+
+// Join the strings of Voiceflow text parts ([{ text: [...] }] or [...]); variables become {var}
+function partsText(parts) {
+  if (typeof parts === 'string') return parts
+  if (!Array.isArray(parts)) return ''
+  return parts
+    .map((part) => {
+      if (typeof part === 'string') return part
+      if (part && Array.isArray(part.text)) return partsText(part.text)
+      return part && part.variableID ? '{var}' : ''
+    })
+    .join('')
+}
+
+/**
+ * Scan a project for likely credentials in API tool URLs, query parameters, headers and bodies, and in
+ * agent instructions.
+ * @param {object} data - Parsed .vf JSON
+ * @returns {Array<{path: string, where: string, kind: string, value: string, tool: string|null}>} - `tool` is
+ *   the name of the API tool holding the value, null for instructions
+ */
+export function scanProject(data) {
+  const findings = []
+  const check = (text, where, jsonPath, tool, name) => {
+    for (const secret of detectSecrets(text, name)) {
+      findings.push({ path: jsonPath, where, ...secret, tool })
+    }
+  }
+  ;(data.apiTools || []).forEach((tool, idx) => {
+    if (!tool) return
+    const base = `apiTools[${idx}]`
+    const label = `API tool '${tool.name}'`
+    check(partsText(tool.url), `${label} URL`, `${base}.url`, tool.name)
+    ;(tool.queryParameters || []).forEach((q, i) =>
+      check(
+        partsText(q.value),
+        `${label} query parameter '${q.key}'`,
+        `${base}.queryParameters[${i}]`,
+        tool.name,
+        q.key
+      )
+    )
+    ;(tool.headers || []).forEach((h, i) =>
+      check(
+        partsText(h.value),
+        `${label} header '${h.key}'`,
+        `${base}.headers[${i}]`,
+        tool.name,
+        h.key
+      )
+    )
+    if (tool.body) {
+      check(
+        partsText(tool.body.content),
+        `${label} body`,
+        `${base}.body`,
+        tool.name
+      )
+    }
+  })
+  ;(data.agents || []).forEach((agent, idx) => {
+    if (!agent) return
+    check(
+      partsText(agent.instructions),
+      `agent '${agent.name}' instructions`,
+      `agents[${idx}].instructions`,
+      null
+    )
+  })
+  const programAgents = data.version?.programResources?.agents || {}
+  for (const [id, agent] of Object.entries(programAgents)) {
+    if (!agent) continue
+    check(
+      partsText(agent.instructions),
+      `agent '${agent.name || id}' instructions`,
+      `version.programResources.agents.${id}.instructions`,
+      null
+    )
+  }
+  return findings
+}
+
+/**
+ * List the .vf files under the given files or directories (recursively).
+ * @param {string[]} paths
+ * @returns {string[]}
+ */
+export function listVfFiles(paths) {
+  const files = []
+  const visit = (entry) => {
+    if (!fs.existsSync(entry)) return
+    if (fs.statSync(entry).isDirectory()) {
+      fs.readdirSync(entry)
+        .sort()
+        .forEach((name) => visit(path.join(entry, name)))
+    } else if (entry.endsWith('.vf')) {
+      files.push(entry)
+    }
+  }
+  paths.forEach(visit)
+  return files
+}
+
+/**
+ * Replace every occurrence of a value in a .vf file, editing the raw JSON text so the rest of the
+ * file is left byte for byte.
+ * @param {string} filePath
+ * @param {string} value
+ * @param {string} replacement
+ * @returns {boolean} - Whether the file changed
+ */
+export function replaceInFile(filePath, value, replacement) {
+  const raw = fs.readFileSync(filePath, 'utf8')
+  // Match the value as it is written inside JSON strings
+  const escaped = (text) => JSON.stringify(text).slice(1, -1)
+  const updated = raw.split(escaped(value)).join(escaped(replacement))
+  if (updated === raw) return false
+  JSON.parse(updated)
+  fs.writeFileSync(filePath, updated, 'utf8')
+  return true
+}
+
+/**
+ * Mask a secret for display, keeping a few characters at each end.
+ * @param {string} value
+ * @returns {string}
+ */
+export function maskValue(value) {
+  return value.length <= 8
+    ? '*'.repeat(value.length)
+    : `${value.slice(0, 4)}…${value.slice(-2)} (${value.length} chars)`
+}
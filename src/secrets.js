@@ -0,0 +1,255 @@
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import dotenv from 'dotenv'
+
+const ROOT_DIR = path.join(
+  path.dirname(new URL(import.meta.url).pathname),
+  '..'
+)
+const STORE_DIR = path.join(ROOT_DIR, '.secrets')
+
+// {{secret.NAME}} placeholders; the dot keeps them out of the {var} variable syntax
+const SECRET_PATTERN = /\{\{\s*secret\.([a-zA-Z0-9_]+)\s*\}\}/g
+
+export const DEFAULT_ENV = 'default'
+
+// Check an environment name before it becomes part of a file name
+function checkEnv(env) {
+  if (!/^[a-zA-Z0-9_-]+$/.test(env)) {
+    throw new Error(`Invalid environment name '${env}'`)
+  }
+  return env
+}
+
+/**
+ * List the secret names referenced as {{secret.NAME}} in a template.
+ * @param {string} template
+ * @returns {string[]}
+ */
+export function findSecretReferences(template) {
+  const found = new Set()
+  for (const match of String(template || '').matchAll(SECRET_PATTERN)) {
+    found.add(match[1])
+  }
+  return Array.from(found)
+}
+
+/**
+ * Replace {{secret.NAME}} placeholders with values.
+ * @param {string} template
+ * @param {object} values - Map of secret name to value
+ * @returns {{ text: string, missing: string[] }} - The filled text and the names without a value
+ */
+export function fillSecrets(template, values) {
+  const missing = new Set()
+  const text = String(template ?? '').replace(SECRET_PATTERN, (match, name) => {
+    if (values[name] !== undefined) return values[name]
+    missing.add(name)
+    return match
+  })
+  return { text, missing: Array.from(missing) }
+}
+
+// Key of the encrypted store, derived from the VF_SECRETS_KEY passphrase
+function storeKey(salt) {
+  const passphrase = process.env.VF_SECRETS_KEY
+  if (!passphrase) {
+    throw new Error(
+      'VF_SECRETS_KEY is not set: add it to .env (or the environment) to use the encrypted secret store'
+    )
+  }
+  return crypto.scryptSync(passphrase, salt, 32)
+}
+
+// Path of an environment's encrypted store
+const storePath = (env) => path.join(STORE_DIR, `${checkEnv(env)}.enc`)
+
+/**
+ * Load the encrypted secret store of an environment.
+ * @param {string} [env='default']
+ * @returns {object} - Map of secret name to value (empty when the store does not exist)
+ */
+export function loadSecretStore(env = DEFAULT_ENV) {
+  const file = storePath(env)
+  if (!fs.existsSync(file)) return {}
+  const stored = JSON.parse(fs.readFileSync(file, 'utf8'))
+  const decipher = crypto.createDecipheriv(
+    'aes-256-gcm',
+    storeKey(Buffer.from(stored.salt, 'base64')),
+    Buffer.from(stored.iv, 'base64')
+  )
+  decipher.setAuthTag(Buffer.from(stored.tag, 'base64'))
+  try {
+    return JSON.parse(
+      Buffer.concat([
+        decipher.update(Buffer.from(stored.data, 'base64')),
+        decipher.final(),
+      ]).toString('utf8')
+    )
+  } catch {
+    throw new Error(`Cannot decrypt ${file}: is VF_SECRETS_KEY the right key?`)
+  }
+}
+
+/**
+ * Encrypt and save the secret store of an environment.
+ * @param {string} env
+ * @param {object} secrets - Map of secret name to value
+ */
+export function saveSecretStore(env, secrets) {
+  const salt = crypto.randomBytes(16)
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv('aes-256-gcm', storeKey(salt), iv)
+  const data = Buffer.concat([
+    cipher.update(JSON.stringify(secrets), 'utf8'),
+    cipher.final(),
+  ])
+  fs.mkdirSync(STORE_DIR, { recursive: true })
+  fs.writeFileSync(
+    storePath(env),
+    JSON.stringify(
+      {
+        salt: salt.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64'),
+      },
+      null,
+      2
+    ) + '\n',
+    { mode: 0o600 }
+  )
+}
+
+/**
+ * Variables of an environment's dotenv file: `.env.<env>`, or nothing for the default environment
+ * (whose `.env` is already loaded into process.env).
+ * @param {string} env
+ * @returns {object}
+ */
+function envFileValues(env) {
+  if (env === DEFAULT_ENV) return {}
+  const file = path.join(ROOT_DIR, `.env.${checkEnv(env)}`)
+  return fs.existsSync(file) ? dotenv.parse(fs.readFileSync(file)) : {}
+}
+
+/**
+ * Resolve secret values for an environment. Each name is looked up in the encrypted store, then in
+ * `.env.<env>`, then in the process environment (which includes `.env`).
+ * @param {string[]} names
+ * @param {string} [env='default']
+ * @returns {{ values: object, sources: object }} - Maps of name to value and to where it was found
+ */
+export function resolveSecrets(names, env = DEFAULT_ENV) {
+  // Only open the store when a secret is needed: projects without secrets need no key
+  const store = names.length > 0 ? loadSecretStore(env) : {}
+  const fromFile = envFileValues(env)
+  const values = {}
+  const sources = {}
+  for (const name of names) {
+    if (store[name] !== undefined) {
+      values[name] = store[name]
+      sources[name] = `store (${env})`
+    } else if (fromFile[name] !== undefined) {
+      values[name] = fromFile[name]
+      sources[name] = `.env.${env}`
+    } else if (process.env[name] !== undefined) {
+      values[name] = process.env[name]
+      sources[name] = 'environment'
+    }
+  }
+  return { values, sources }
+}
+
+/**
+ * List the secrets referenced by a project's API tools (URLs, query parameters, headers and bodies).
+ * @param {object} data - Parsed .vf JSON
+ * @returns {string[]}
+ */
+export function listProjectSecrets(data) {
+  const texts = []
+  const collect = (value) => {
+    if (typeof value === 'string') texts.push(value)
+    else if (Array.isArray(value)) value.forEach(collect)
+    else if (value && typeof value === 'object') {
+      Object.values(value).forEach(collect)
+    }
+  }
+  for (const tool of data.apiTools || []) {
+    collect([tool.url, tool.queryParameters, tool.headers, tool.body])
+  }
+  return findSecretReferences(texts.join('\n')).sort()
+}
+
+/**
+ * Fill the {{secret.NAME}} placeholders of every API tool in place, e.g. when building a project for an
+ * environment. The result holds secret values and must not be versioned.
+ * @param {object} data - Parsed .vf JSON (mutated in place)
+ * @param {object} values - Map of secret name to value
+ * @returns {string[]} - Referenced secrets without a value (left as placeholders)
+ */
+export function applySecrets(data, values) {
+  const missing = new Set()
+  const fill = (parts) =>
+    Array.isArray(parts)
+      ? parts.map((part) => {
+          if (typeof part === 'string') {
+            const result = fillSecrets(part, values)
+            result.missing.forEach((name) => missing.add(name))
+            return result.text
+          }
+          if (part && Array.isArray(part.text)) {
+            return { ...part, text: fill(part.text) }
+          }
+          return part
+        })
+      : parts
+  for (const tool of data.apiTools || []) {
+    tool.url = fill(tool.url)
+    for (const entry of [
+      ...(tool.queryParameters || []),
+      ...(tool.headers || []),
+    ]) {
+      entry.value = fill(entry.value)
+    }
+    if (tool.body && Array.isArray(tool.body.content)) {
+      tool.body.content = fill(tool.body.content)
+    }
+  }
+  return Array.from(missing)
+}
+
+/**
+ * Remove the values of the project's top-level `secrets` entries, keeping their names and IDs.
+ * @param {object} data - Parsed .vf JSON (mutated in place)
+ * @returns {number} - Number of entries that held a value
+ */
+export function stripSecretValues(data) {
+  let stripped = 0
+  for (const secret of Array.isArray(data.secrets) ? data.secrets : []) {
+    if (secret && typeof secret === 'object' && 'value' in secret) {
+      delete secret.value
+      stripped++
+    }
+  }
+  return stripped
+}
+
+/**
+ * Hide secret values in text that is printed.
+ * @param {string} text
+ * @param {object} values - Map of secret name to value
+ * @returns {string}
+ */
+export function maskSecrets(text, values) {
+  let masked = String(text ?? '')
+  for (const value of Object.values(values)) {
+    if (!value) continue
+    // Values in URLs are percent-encoded
+    for (const form of new Set([value, encodeURIComponent(value)])) {
+      masked = masked.split(form).join('****')
+    }
+  }
+  return masked
+}
@@ -0,0 +1,142 @@
+import axios from 'axios'
+import { describeApiTool } from './api-tools.js'
+import { fillTemplate } from './curl.js'
+import { fillSecrets } from './secrets.js'
+
+/**
+ * Render an API tool into a concrete HTTP request, the way Voiceflow fills in its variables.
+ * @param {object} data - Parsed .vf JSON
+ * @param {object} tool - apiTools entry
+ * @param {object} values - Map of variable name to value (every variable of the tool needs one)
+ * @param {object} [options]
+ * @param {string} [options.baseUrl] - Replaces the scheme, host and port of the tool's URL (e.g. http://localhost:4010)
+ * @param {object} [options.secrets] - Map of secret name to value for {{secret.NAME}} placeholders
+ * @returns {{ method: string, url: string, headers: object, body: string|undefined, issues: string[] }}
+ */
+export function renderApiTool(data, tool, values, options = {}) {
+  const described = describeApiTool(data, tool)
+  const missing = described.variables
+    .map((v) => v.name)
+    .filter((name) => values[name] === undefined)
+  if (missing.length > 0) {
+    throw new Error(
+      `Missing value for variable(s) ${missing.join(', ')} (use --var name=value)`
+    )
+  }
+  const missingSecrets = new Set()
+  const fill = (template, encode = (v) => v) => {
+    const secrets = Object.fromEntries(
+      Object.entries(options.secrets || {}).map(([k, v]) => [k, encode(v)])
+    )
+    const filled = fillSecrets(
+      fillTemplate(template, described.variables, values, encode),
+      secrets
+    )
+    filled.missing.forEach((name) => missingSecrets.add(name))
+    return filled.text
+  }
+  const issues = []
+
+  let url = fill(described.url, encodeURIComponent)
+  const query = new URLSearchParams(
+    described.queryParams.map((q) => [q.key, fill(q.value)])
+  ).toString()
+  if (query) url += (url.includes('?') ? '&' : '?') + query
+  let parsedUrl
+  try {
+    parsedUrl = new URL(url)
+  } catch {
+    issues.push(`Invalid URL: ${url}`)
+  }
+  if (options.baseUrl && parsedUrl) {
+    url =
+      options.baseUrl.replace(/\/+$/, '') +
+      parsedUrl.pathname +
+      parsedUrl.search
+  }
+
+  const headers = Object.fromEntries(
+    described.headers.map((h) => [h.key, fill(h.value)])
+  )
+  const contentType =
+    Object.entries(headers).find(
+      ([key]) => key.toLowerCase() === 'content-type'
+    )?.[1] || ''
+  let body
+  if (described.body.trim()) {
+    body = fill(described.body)
+    if (contentType.includes('json') || /^\s*[{[]/.test(body)) {
+      try {
+        JSON.parse(body)
+      } catch (err) {
+        issues.push(`Body is not valid JSON: ${err.message}`)
+      }
+    }
+  }
+  if (missingSecrets.size > 0) {
+    throw new Error(
+      `Missing value for secret(s) ${[...missingSecrets].join(', ')} (use vf-copilot secrets add)`
+    )
+  }
+  return { method: described.method, url, headers, body, issues }
+}
+
+/**
+ * Perform a rendered request. HTTP error statuses are returned, not thrown.
+ * @param {{ method: string, url: string, headers: object, body: string|undefined }} request - From renderApiTool
+ * @param {object} [options]
+ * @param {number} [options.timeout=10000] - Timeout in milliseconds
+ * @returns {Promise<{ status: number|null, statusText: string, headers: object, body: string, latencyMs: number, error: string|null }>}
+ */
+export async function executeRequest(request, options = {}) {
+  const { timeout = 10000 } = options
+  const started = performance.now()
+  try {
+    const response = await axios.request({
+      method: request.method,
+      url: request.url,
+      headers: request.headers,
+      data: request.body,
+      timeout,
+      // Keep the raw response text and every status
+      responseType: 'text',
+      transformResponse: (raw) => raw,
+      validateStatus: () => true,
+    })
+    return {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers,
+      body: typeof response.data === 'string' ? response.data : '',
+      latencyMs: Math.round(performance.now() - started),
+      error: null,
+    }
+  } catch (err) {
+    return {
+      status: null,
+      statusText: '',
+      headers: {},
+      body: '',
+      latencyMs: Math.round(performance.now() - started),
+      error: err.message,
+    }
+  }
+}
+
+/**
+ * A readable preview of a response body: pretty-printed JSON, truncated to `maxLength` characters.
+ * @param {string} body
+ * @param {number} [maxLength=500]
+ * @returns {string}
+ */
+export function previewBody(body, maxLength = 500) {
+  let text = body || ''
+  try {
+    text = JSON.stringify(JSON.parse(text), null, 2)
+  } catch {
+    // Not JSON: show it as it is
+  }
+  return text.length > maxLength
+    ? `${text.slice(0, maxLength)}\n... (${text.length - maxLength} more characters)`
+    : text
+}
@@ -0,0 +1,422 @@
+import { findDuplicateUtterances } from './intents.js'
+
+// Collections whose IDs are generated by Voiceflow (or generateMongoId) as 24-char hex strings
+const HEX_ID_COLLECTIONS = [
+  'agents',
+  'apiTools',
+  'apiToolInputVariables',
+  'agentAPITools',
+  'agentPathTools',
+  'agentPathToolVariables',
+  'functions',
+  'functionVariables',
+  'functionPaths',
+  'agentFunctionTools',
+  'utterances',
+]
+
+const HTTP_METHODS = ['get', 'post', 'put', 'delete', 'patch']
+
+// Fields every apiTools entry needs for Voiceflow to import it
+const REQUIRED_TOOL_FIELDS = [
+  'id',
+  'name',
+  'url',
+  'httpMethod',
+  'createdAt',
+  'folderID',
+  'image',
+  'headers',
+  'queryParameters',
+]
+
+const isHexId = (id) => typeof id === 'string' && /^[0-9a-f]{24}$/.test(id)
+
+// Collect all { variableID } references in (possibly nested) text parts
+function collectVariableRefs(parts, path, refs) {
+  if (!Array.isArray(parts)) return refs
+  parts.forEach((part, idx) => {
+    if (part && typeof part === 'object') {
+      if (part.variableID !== undefined) {
+        refs.push({ variableID: part.variableID, path: `${path}[${idx}]` })
+      } else if (Array.isArray(part.text)) {
+        collectVariableRefs(part.text, `${path}[${idx}].text`, refs)
+      }
+    }
+  })
+  return refs
+}
+
+// Collect the variable references of an API tool's url, query parameters, headers and body
+function collectToolVariableRefs(tool, toolPath) {
+  const refs = []
+  collectVariableRefs(tool.url, `${toolPath}.url`, refs)
+  for (const field of ['queryParameters', 'headers']) {
+    if (!Array.isArray(tool[field])) continue
+    tool[field].forEach((entry, idx) => {
+      collectVariableRefs(
+        entry && entry.value,
+        `${toolPath}.${field}[${idx}].value`,
+        refs
+      )
+    })
+  }
+  if (tool.body && Array.isArray(tool.body.content)) {
+    collectVariableRefs(tool.body.content, `${toolPath}.body.content`, refs)
+  }
+  return refs
+}
+
+/**
+ * Check the structure of a .vf project: cross-references between agents, API tools, their input
+ * variables and agent links, functions, routing (path tools and diagram ports), agent consistency
+ * between both agent locations, and ID format/uniqueness.
+ * @param {object} data - Parsed .vf JSON
+ * @returns {{ errors: Array<{path: string, message: string}>, warnings: Array<{path: string, message: string}> }}
+ */
+export function validateProject(data) {
+  const errors = []
+  const warnings = []
+  const error = (path, message) => errors.push({ path, message })
+  const warn = (path, message) => warnings.push({ path, message })
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    error('$', 'Project must be a JSON object')
+    return { errors, warnings }
+  }
+  if (!data.version || typeof data.version !== 'object') {
+    error('version', 'Missing version object')
+  }
+  for (const collection of HEX_ID_COLLECTIONS) {
+    if (data[collection] !== undefined && !Array.isArray(data[collection])) {
+      error(collection, 'Must be an array')
+    }
+  }
+  const list = (collection) =>
+    Array.isArray(data[collection]) ? data[collection] : []
+
+  // IDs: 24-char hex and unique across the generated collections (including nested header/query IDs)
+  const seenIds = new Map()
+  const checkId = (id, path) => {
+    if (!isHexId(id)) {
+      error(path, `ID ${JSON.stringify(id)} is not a 24-character hex string`)
+    }
+    if (id === undefined || id === null) return
+    if (seenIds.has(id)) {
+      error(path, `Duplicate ID ${id} (also used at ${seenIds.get(id)})`)
+    } else {
+      seenIds.set(id, path)
+    }
+  }
+  for (const collection of HEX_ID_COLLECTIONS) {
+    list(collection).forEach((item, idx) => {
+      checkId(item && item.id, `${collection}[${idx}].id`)
+    })
+  }
+  list('apiTools').forEach((tool, idx) => {
+    for (const field of ['headers', 'queryParameters']) {
+      if (!tool || !Array.isArray(tool[field])) continue
+      tool[field].forEach((entry, entryIdx) => {
+        checkId(entry && entry.id, `apiTools[${idx}].${field}[${entryIdx}].id`)
+      })
+    }
+  })
+
+  // Agents must exist in both version.programResources.agents and the root agents array
+  const programAgents = data.version?.programResources?.agents || {}
+  const rootAgentIds = new Set(list('agents').map((a) => a && a.id))
+  for (const id of Object.keys(programAgents)) {
+    const path = `version.programResources.agents.${id}`
+    if (!rootAgentIds.has(id)) {
+      error(path, `Agent ${id} is missing from the root agents array`)
+    }
+    const agent = programAgents[id]
+    if (
+      agent &&
+      agent.instructions !== undefined &&
+      typeof agent.instructions !== 'string'
+    ) {
+      error(`${path}.instructions`, 'Instructions must be a string')
+    }
+  }
+  list('agents').forEach((agent, idx) => {
+    if (!agent) return
+    if (!Object.prototype.hasOwnProperty.call(programAgents, agent.id)) {
+      error(
+        `agents[${idx}]`,
+        `Agent ${agent.id} is missing from version.programResources.agents`
+      )
+    }
+    if (
+      agent.instructions !== undefined &&
+      !(
+        Array.isArray(agent.instructions) &&
+        agent.instructions.every((block) => block && Array.isArray(block.text))
+      )
+    ) {
+      error(
+        `agents[${idx}].instructions`,
+        'Instructions must be an array of { text: [...] } blocks'
+      )
+    }
+  })
+  const referencedAgents =
+    data.version?.prototype?.surveyorContext?.referencedAgentsIDs
+  if (Array.isArray(referencedAgents)) {
+    referencedAgents.forEach((id, idx) => {
+      if (!rootAgentIds.has(id)) {
+        warn(
+          `version.prototype.surveyorContext.referencedAgentsIDs[${idx}]`,
+          `References missing agent ${id}`
+        )
+      }
+    })
+  }
+
+  // API tools: required fields and variable references
+  const toolIds = new Set(list('apiTools').map((t) => t && t.id))
+  const variablesById = new Map(
+    list('apiToolInputVariables').map((v) => [v && v.id, v])
+  )
+  const usedVariableIds = new Set()
+  list('apiTools').forEach((tool, idx) => {
+    const toolPath = `apiTools[${idx}]`
+    if (!tool || typeof tool !== 'object') {
+      error(toolPath, 'API tool must be an object')
+      return
+    }
+    for (const field of REQUIRED_TOOL_FIELDS) {
+      if (tool[field] === undefined) {
+        error(`${toolPath}.${field}`, `Missing required field '${field}'`)
+      }
+    }
+    for (const field of ['url', 'headers', 'queryParameters']) {
+      if (tool[field] !== undefined && !Array.isArray(tool[field])) {
+        error(`${toolPath}.${field}`, 'Must be an array')
+      }
+    }
+    if (
+      tool.httpMethod !== undefined &&
+      !HTTP_METHODS.includes(String(tool.httpMethod))
+    ) {
+      error(
+        `${toolPath}.httpMethod`,
+        `Unsupported HTTP method '${tool.httpMethod}' (expected lowercase ${HTTP_METHODS.join(', ')})`
+      )
+    }
+    for (const ref of collectToolVariableRefs(tool, toolPath)) {
+      const variable = variablesById.get(ref.variableID)
+      if (!variable) {
+        error(
+          ref.path,
+          `Variable ${ref.variableID} has no apiToolInputVariables entry`
+        )
+      } else if (variable.apiToolID !== tool.id) {
+        error(
+          ref.path,
+          `Variable ${ref.variableID} belongs to API tool ${variable.apiToolID}, not ${tool.id}`
+        )
+      } else {
+        usedVariableIds.add(ref.variableID)
+      }
+    }
+  })
+  list('apiToolInputVariables').forEach((variable, idx) => {
+    const path = `apiToolInputVariables[${idx}]`
+    if (!variable) return
+    if (!toolIds.has(variable.apiToolID)) {
+      warn(
+        `${path}.apiToolID`,
+        `Orphaned variable '${variable.name}': API tool ${variable.apiToolID} does not exist`
+      )
+    } else if (!usedVariableIds.has(variable.id)) {
+      warn(path, `Variable '${variable.name}' is not used by its API tool`)
+    }
+  })
+
+  // Agent links must point to existing tools and agents
+  const projectVariableIds = new Set(list('variables').map((v) => v && v.id))
+  list('agentAPITools').forEach((link, idx) => {
+    const path = `agentAPITools[${idx}]`
+    if (!link) return
+    if (!toolIds.has(link.apiToolID)) {
+      error(`${path}.apiToolID`, `API tool ${link.apiToolID} does not exist`)
+    }
+    if (!rootAgentIds.has(link.agentID)) {
+      error(`${path}.agentID`, `Agent ${link.agentID} does not exist`)
+    }
+    // Presets are keyed by the tool's variables, and responses are captured into project variables
+    for (const id of Object.keys(link.inputVariables || {})) {
+      if (variablesById.get(id)?.apiToolID !== link.apiToolID) {
+        warn(
+          `${path}.inputVariables.${id}`,
+          `Preset for a variable that API tool ${link.apiToolID} does not have`
+        )
+      }
+    }
+    const captureID = link.captureResponse && link.captureResponse.variableID
+    if (captureID && !projectVariableIds.has(captureID)) {
+      error(
+        `${path}.captureResponse.variableID`,
+        `Project variable ${captureID} does not exist`
+      )
+    }
+  })
+
+  // Functions: variables, paths and agent links point to existing functions
+  const functionIds = new Set(list('functions').map((f) => f && f.id))
+  for (const collection of ['functionVariables', 'functionPaths']) {
+    list(collection).forEach((entry, idx) => {
+      if (entry && !functionIds.has(entry.functionID)) {
+        error(
+          `${collection}[${idx}].functionID`,
+          `Function ${entry.functionID} does not exist`
+        )
+      }
+    })
+  }
+  const functionPathIds = new Set(list('functionPaths').map((p) => p && p.id))
+  list('functions').forEach((fn, idx) => {
+    ;(fn?.pathOrder || []).forEach((id, orderIdx) => {
+      if (!functionPathIds.has(id)) {
+        warn(
+          `functions[${idx}].pathOrder[${orderIdx}]`,
+          `Function path ${id} does not exist`
+        )
+      }
+    })
+  })
+  list('agentFunctionTools').forEach((link, idx) => {
+    const path = `agentFunctionTools[${idx}]`
+    if (!link) return
+    if (!functionIds.has(link.functionID)) {
+      error(`${path}.functionID`, `Function ${link.functionID} does not exist`)
+    }
+    if (!rootAgentIds.has(link.agentID)) {
+      error(`${path}.agentID`, `Agent ${link.agentID} does not exist`)
+    }
+  })
+
+  // Routing: path tools belong to agents, capture project variables and are ports of agent steps
+  const pathToolsById = new Map(
+    list('agentPathTools')
+      .filter(Boolean)
+      .map((t) => [t.id, t])
+  )
+  list('agentPathTools').forEach((tool, idx) => {
+    if (tool && !rootAgentIds.has(tool.agentID)) {
+      error(
+        `agentPathTools[${idx}].agentID`,
+        `Agent ${tool.agentID} does not exist`
+      )
+    }
+  })
+  list('agentPathToolVariables').forEach((variable, idx) => {
+    const path = `agentPathToolVariables[${idx}]`
+    if (!variable) return
+    if (!pathToolsById.has(variable.agentPathToolID)) {
+      error(
+        `${path}.agentPathToolID`,
+        `Path tool ${variable.agentPathToolID} does not exist`
+      )
+    }
+    if (!projectVariableIds.has(variable.variableID)) {
+      error(
+        `${path}.variableID`,
+        `Project variable ${variable.variableID} does not exist`
+      )
+    }
+  })
+  list('agents').forEach((agent, idx) => {
+    ;(agent?.pathToolOrder || []).forEach((id, orderIdx) => {
+      if (pathToolsById.get(id)?.agentID !== agent.id) {
+        warn(
+          `agents[${idx}].pathToolOrder[${orderIdx}]`,
+          `Path tool ${id} is not a path of this agent`
+        )
+      }
+    })
+  })
+  for (const [diagramId, diagram] of Object.entries(data.diagrams || {})) {
+    const nodes = diagram?.nodes || {}
+    for (const [nodeId, node] of Object.entries(nodes)) {
+      const path = `diagrams.${diagramId}.nodes.${nodeId}`
+      if (node?.type === 'agent' && !rootAgentIds.has(node.data?.agentID)) {
+        error(
+          `${path}.data.agentID`,
+          `Agent ${node.data?.agentID} does not exist`
+        )
+      }
+      const ports = node?.data?.portsV2
+      if (!ports) continue
+      for (const [key, port] of Object.entries(ports.byKey || {})) {
+        if (
+          node.type === 'agent' &&
+          pathToolsById.get(key)?.agentID !== node.data.agentID
+        ) {
+          warn(
+            `${path}.data.portsV2.byKey.${key}`,
+            `Port for a path tool that agent ${node.data.agentID} does not have`
+          )
+        }
+        if (port?.target && !nodes[port.target]) {
+          error(
+            `${path}.data.portsV2.byKey.${key}.target`,
+            `Node ${port.target} does not exist in this diagram`
+          )
+        }
+      }
+      for (const [key, port] of Object.entries(ports.builtIn || {})) {
+        if (port?.target && !nodes[port.target]) {
+          error(
+            `${path}.data.portsV2.builtIn.${key}.target`,
+            `Node ${port.target} does not exist in this diagram`
+          )
+        }
+      }
+    }
+  }
+
+  // Intents: utterances train existing intents, and platformData mirrors every intent
+  const intentIds = new Set(list('intents').map((i) => i && i.id))
+  list('utterances').forEach((utterance, idx) => {
+    if (utterance && !intentIds.has(utterance.intentID)) {
+      error(
+        `utterances[${idx}].intentID`,
+        `Intent ${utterance.intentID} does not exist`
+      )
+    }
+  })
+  const platformIntents = data.version?.platformData?.intents
+  if (Array.isArray(platformIntents)) {
+    const keys = new Set(platformIntents.map((i) => i && i.key))
+    list('intents').forEach((intent, idx) => {
+      if (intent && !keys.has(intent.id)) {
+        warn(
+          `intents[${idx}]`,
+          `Intent '${intent.name}' is missing from version.platformData.intents`
+        )
+      }
+    })
+  }
+  for (const duplicate of findDuplicateUtterances(data)) {
+    warn(
+      'utterances',
+      `"${duplicate.text}" trains several intents: ${duplicate.intents.join(', ')}`
+    )
+  }
+
+  return { errors, warnings }
+}
+
+/**
+ * Format validation issues as printable lines.
+ * @param {{ errors: Array, warnings: Array }} result - From validateProject
+ * @returns {string[]}
+ */
+export function formatIssues(result) {
+  return [
+    ...result.errors.map((e) => `error    ${e.path}: ${e.message}`),
+    ...result.warnings.map((w) => `warning  ${w.path}: ${w.message}`),
+  ]
+}
@@ -0,0 +1,266 @@
+import { generateMongoId } from './id-generator.js'
+import { findProjectVariable } from './api-tools.js'
+
+export const VARIABLE_TYPES = [
+  'any',
+  'text',
+  'number',
+  'boolean',
+  'date',
+  'image',
+]
+
+const VARIABLE_NAME = /^[a-zA-Z_][a-zA-Z0-9_]*$/
+
+// Variable collections themselves, and places whose {braces} are not project variables
+const NOT_REFERENCES = new Set([
+  'variables',
+  'version.variables',
+  'version.prototype.surveyorContext.cmsVariables',
+  'version.prototype.surveyorContext.variableMap',
+  'apiToolInputVariables',
+  'functionVariables',
+  'functions',
+  'secrets',
+])
+
+// cmsVariables of the prototype, when the project has one
+function cmsVariables(data) {
+  const surveyor = data.version?.prototype?.surveyorContext
+  if (!surveyor) return null
+  if (!surveyor.cmsVariables || typeof surveyor.cmsVariables !== 'object') {
+    surveyor.cmsVariables = {}
+  }
+  return surveyor.cmsVariables
+}
+
+// Check a default value against a datatype; values are stored as text, like Voiceflow
+function checkDefaultValue(value, datatype) {
+  if (value === undefined || value === null || value === '') return null
+  const text = String(value)
+  if (datatype === 'number' && Number.isNaN(Number(text))) {
+    throw new Error(`Default value '${text}' is not a number`)
+  }
+  if (datatype === 'boolean' && !['true', 'false'].includes(text)) {
+    throw new Error(`Default value '${text}' is not true or false`)
+  }
+  if (datatype === 'date' && Number.isNaN(Date.parse(text))) {
+    throw new Error(`Default value '${text}' is not a date`)
+  }
+  return text
+}
+
+// Folder for variables with this name, created when missing
+function variableFolder(data, name) {
+  if (!Array.isArray(data.folders)) data.folders = []
+  let folder = data.folders.find(
+    (f) => f.scope === 'variable' && f.name === name
+  )
+  if (!folder) {
+    const now = new Date().toISOString()
+    const creatorID = data.version?.creatorID ?? null
+    folder = {
+      id: generateMongoId(),
+      name,
+      scope: 'variable',
+      parentID: null,
+      createdAt: now,
+      updatedAt: now,
+      createdByID: creatorID,
+      updatedByID: creatorID,
+    }
+    data.folders.push(folder)
+  }
+  return folder
+}
+
+// `{name}` (or `{{name}}`) placeholders of a variable in text
+const placeholderPattern = (name) =>
+  new RegExp(
+    `\\{\\{?\\s*${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*\\}?\\}`,
+    'g'
+  )
+
+/**
+ * Declare a custom project variable in the root `variables`, `version.variables` and the prototype's
+ * `cmsVariables`.
+ * @param {object} data - Parsed .vf JSON (mutated in place)
+ * @param {object} spec
+ * @param {string} spec.name
+ * @param {string} [spec.datatype='any'] - One of VARIABLE_TYPES
+ * @param {string} [spec.description='']
+ * @param {string} [spec.defaultValue] - Checked against the datatype
+ * @param {boolean} [spec.isArray=false]
+ * @param {string} [spec.folder] - Folder name, created when missing
+ * @returns {object} - The variables entry
+ */
+export function addVariable(data, spec) {
+  const { name, datatype = 'any', description = '', isArray = false } = spec
+  if (!VARIABLE_NAME.test(name || '')) {
+    throw new Error(
+      `Invalid variable name '${name}' (use letters, digits and underscores, not starting with a digit)`
+    )
+  }
+  if (!VARIABLE_TYPES.includes(datatype)) {
+    throw new Error(
+      `Unknown datatype '${datatype}' (expected ${VARIABLE_TYPES.join(', ')})`
+    )
+  }
+  if (!Array.isArray(data.variables)) data.variables = []
+  if (data.variables.some((v) => v.name === name)) {
+    throw new Error(`A variable named '${name}' already exists`)
+  }
+  const defaultValue = checkDefaultValue(spec.defaultValue, datatype)
+  const now = new Date().toISOString()
+  const creatorID = data.version?.creatorID ?? null
+  const variable = {
+    id: generateMongoId(),
+    name,
+    createdByID: creatorID,
+    folderID: spec.folder ? variableFolder(data, spec.folder).id : null,
+    color: '#515A63',
+    isArray: !!isArray,
+    isSystem: false,
+    datatype,
+    description,
+    defaultValue,
+    createdAt: now,
+    updatedAt: now,
+    updatedByID: creatorID,
+  }
+  data.variables.push(variable)
+  if (data.version) {
+    if (!Array.isArray(data.version.variables)) data.version.variables = []
+    if (!data.version.variables.includes(name))
+      data.version.variables.push(name)
+  }
+  const cms = cmsVariables(data)
+  if (cms) cms[name] = { isSystem: false, description, defaultValue }
+  return variable
+}
+
+/**
+ * List the places that use a variable: `{ variableID }` parts, captures and other fields holding its
+ * ID, and `{name}` placeholders in instructions, diagrams and other text.
+ * @param {object} data - Parsed .vf JSON
+ * @param {string} nameOrId
+ * @returns {string[]} - JSON paths
+ */
+export function findVariableReferences(data, nameOrId) {
+  const variable = findProjectVariable(data, nameOrId)
+  const placeholder = placeholderPattern(variable.name)
+  const found = []
+  const visit = (value, path) => {
+    if (NOT_REFERENCES.has(path)) return
+    if (typeof value === 'string') {
+      // Names match in text; system variables use their name as ID, so only custom IDs match whole values
+      placeholder.lastIndex = 0
+      if (
+        (!variable.isSystem && value === variable.id) ||
+        placeholder.test(value)
+      ) {
+        found.push(path)
+      }
+    } else if (Array.isArray(value)) {
+      value.forEach((item, idx) => visit(item, `${path}[${idx}]`))
+    } else if (value && typeof value === 'object') {
+      for (const [key, child] of Object.entries(value)) {
+        const childPath = path ? `${path}.${key}` : key
+        if (!variable.isSystem && key === variable.id) found.push(childPath)
+        visit(child, childPath)
+      }
+    }
+  }
+  visit(data, '')
+  return found
+}
+
+/**
+ * Remove a custom variable from the three variable collections. Variables still referenced somewhere
+ * in the project cannot be removed.
+ * @param {object} data - Parsed .vf JSON (mutated in place)
+ * @param {string} nameOrId
+ */
+export function removeVariable(data, nameOrId) {
+  const variable = findProjectVariable(data, nameOrId)
+  if (variable.isSystem) {
+    throw new Error(`'${variable.name}' is a system variable`)
+  }
+  const references = findVariableReferences(data, variable.id)
+  if (references.length > 0) {
+    throw new Error(
+      `Variable '${variable.name}' is still used at ${references
+        .slice(0, 5)
+        .join(
+          ', '
+        )}${references.length > 5 ? ` and ${references.length - 5} more` : ''}`
+    )
+  }
+  data.variables = data.variables.filter((v) => v.id !== variable.id)
+  if (Array.isArray(data.version?.variables)) {
+    data.version.variables = data.version.variables.filter(
+      (name) => name !== variable.name
+    )
+  }
+  const cms = cmsVariables(data)
+  if (cms) delete cms[variable.name]
+}
+
+/**
+ * Rename a custom variable in the three variable collections and rewrite its `{name}` placeholders.
+ * References by ID are unaffected.
+ * @param {object} data - Parsed .vf JSON (mutated in place)
+ * @param {string} nameOrId
+ * @param {string} newName
+ * @returns {number} - Number of text fields whose placeholders were rewritten
+ */
+export function renameVariable(data, nameOrId, newName) {
+  const variable = findProjectVariable(data, nameOrId)
+  if (variable.isSystem) {
+    throw new Error(`'${variable.name}' is a system variable`)
+  }
+  if (!VARIABLE_NAME.test(newName || '')) {
+    throw new Error(`Invalid variable name '${newName}'`)
+  }
+  if (data.variables.some((v) => v.name === newName)) {
+    throw new Error(`A variable named '${newName}' already exists`)
+  }
+  const oldName = variable.name
+  const placeholder = placeholderPattern(oldName)
+  let rewritten = 0
+  // Rewrite placeholders in place, skipping the same places as findVariableReferences
+  const visit = (value, path) => {
+    if (NOT_REFERENCES.has(path)) return value
+    if (typeof value === 'string') {
+      const updated = value.replace(placeholder, (match) =>
+        match.replace(oldName, newName)
+      )
+      if (updated !== value) rewritten++
+      return updated
+    }
+    if (Array.isArray(value)) {
+      value.forEach((item, idx) => {
+        value[idx] = visit(item, `${path}[${idx}]`)
+      })
+    } else if (value && typeof value === 'object') {
+      for (const [key, child] of Object.entries(value)) {
+        value[key] = visit(child, path ? `${path}.${key}` : key)
+      }
+    }
+    return value
+  }
+  visit(data, '')
+  variable.name = newName
+  variable.updatedAt = new Date().toISOString()
+  if (Array.isArray(data.version?.variables)) {
+    data.version.variables = data.version.variables.map((name) =>
+      name === oldName ? newName : name
+    )
+  }
+  const cms = cmsVariables(data)
+  if (cms && cms[oldName]) {
+    cms[newName] = cms[oldName]
+    delete cms[oldName]
+  }
+  return rewritten
+}
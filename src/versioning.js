@@ -1,5 +1,7 @@
 import fs from 'fs'
 import path from 'path'
+import crypto from 'crypto'
+import { stripSecretValues } from './secrets.js'
 
 const VERSIONS_DIR = path.join(
   path.dirname(new URL(import.meta.url).pathname),
@@ -7,57 +9,308 @@ const VERSIONS_DIR = path.join(
   'versions'
 )
 
+const HISTORY_FILE = 'history.json'
+
 // Ensure versions directory exists
 if (!fs.existsSync(VERSIONS_DIR)) {
   fs.mkdirSync(VERSIONS_DIR)
 }
 
 /**
- * Save a new version of the .vf file with a timestamp.
+ * Get the project name of a .vf file, version file or working file (its basename without version suffixes).
+ * @param {string} filePath
+ * @returns {string}
+ */
+export function getProjectName(filePath) {
+  return path.basename(filePath, '.vf').replace(/(_v\d{14,17})+$/, '')
+}
+
+// Directory holding the working file, version files and history of a project
+function projectDir(project) {
+  return path.join(VERSIONS_DIR, project)
+}
+
+/**
+ * Get the path of a project's working file (the copy that commands edit).
+ * @param {string} project - Project name
+ * @returns {string}
+ */
+export function getWorkingFile(project) {
+  return path.join(projectDir(project), `${project}.vf`)
+}
+
+/**
+ * Whether a path is a saved version inside the versions directory (saved versions are never edited).
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+export function isSavedVersion(filePath) {
+  const project = getProjectName(filePath)
+  return (
+    path.resolve(path.dirname(filePath)) ===
+      path.resolve(projectDir(project)) &&
+    path.basename(filePath) !== `${project}.vf`
+  )
+}
+
+/**
+ * Load a project's version history.
+ * @param {string} project - Project name
+ * @returns {{ project: string, head: string|null, versions: Array<object> }}
+ */
+export function loadHistory(project) {
+  const historyPath = path.join(projectDir(project), HISTORY_FILE)
+  if (!fs.existsSync(historyPath)) {
+    return { project, head: null, versions: [] }
+  }
+  return JSON.parse(fs.readFileSync(historyPath, 'utf8'))
+}
+
+// Save a project's version history
+function saveHistory(history) {
+  fs.mkdirSync(projectDir(history.project), { recursive: true })
+  fs.writeFileSync(
+    path.join(projectDir(history.project), HISTORY_FILE),
+    JSON.stringify(history, null, 2),
+    'utf8'
+  )
+}
+
+// SHA-256 of a file's content
+function hashFile(filePath) {
+  return crypto
+    .createHash('sha256')
+    .update(fs.readFileSync(filePath))
+    .digest('hex')
+}
+
+// Remove secret values from a file inside versions/ before it is recorded (see stripSecretValues)
+function stripFileSecrets(filePath) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+  if (stripSecretValues(data) > 0) {
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8')
+  }
+}
+
+/**
+ * List the projects that have a version history.
+ * @returns {string[]}
+ */
+export function listProjects() {
+  return fs
+    .readdirSync(VERSIONS_DIR, { withFileTypes: true })
+    .filter(
+      (entry) =>
+        entry.isDirectory() &&
+        fs.existsSync(path.join(VERSIONS_DIR, entry.name, HISTORY_FILE))
+    )
+    .map((entry) => entry.name)
+}
+
+/**
+ * Make sure a project has a working file, creating it (and its first version) from the given .vf file.
+ * @param {string} baseFile - Project, template, version or working .vf file
+ * @returns {string} - Path to the working file
+ */
+export function ensureWorkingFile(baseFile) {
+  const project = getProjectName(baseFile)
+  const workingFile = getWorkingFile(project)
+  if (!fs.existsSync(workingFile)) {
+    fs.mkdirSync(projectDir(project), { recursive: true })
+    fs.copyFileSync(baseFile, workingFile)
+    stripFileSecrets(workingFile)
+    saveNewVersion(workingFile, {
+      command: 'init',
+      message: `Imported from ${path.relative(process.cwd(), baseFile)}`,
+    })
+  }
+  return workingFile
+}
+
+/**
+ * Save a new version of the .vf file with a timestamp and record it in the project's history.
+ * Values of the project's `secrets` entries are removed first. Nothing is saved when the content is
+ * identical to the current (HEAD) version.
  * @param {string} currentFilePath - Path to the current .vf file
- * @returns {string} - The new version filename
+ * @param {object} [meta] - Metadata recorded with the version
+ * @param {string} [meta.command] - Command that produced the version
+ * @param {string} [meta.message] - Optional message (-m)
+ * @param {string} [meta.agent] - ID of the agent the command touched
+ * @returns {string|null} - The new version filename, or null when skipped
  */
-export function saveNewVersion(currentFilePath) {
-  const timestamp = new Date()
+export function saveNewVersion(currentFilePath, meta = {}) {
+  const project = getProjectName(currentFilePath)
+  const history = loadHistory(project)
+  stripFileSecrets(currentFilePath)
+  const hash = hashFile(currentFilePath)
+  const head = history.versions.find((v) => v.file === history.head)
+  if (head && head.hash === hash) return null
+  const now = new Date()
+  const timestamp = now
     .toISOString()
     .replace(/[-:.TZ]/g, '')
-    .slice(0, 14)
-  const baseName = path.basename(currentFilePath, '.vf')
-  const newVersionName = `${baseName}_v${timestamp}.vf`
-  const newVersionPath = path.join(VERSIONS_DIR, newVersionName)
-  fs.copyFileSync(currentFilePath, newVersionPath)
+    .slice(0, 17)
+  const newVersionName = `${project}_v${timestamp}.vf`
+  fs.mkdirSync(projectDir(project), { recursive: true })
+  fs.copyFileSync(
+    currentFilePath,
+    path.join(projectDir(project), newVersionName)
+  )
+  history.versions.push({
+    file: newVersionName,
+    createdAt: now.toISOString(),
+    command: meta.command || null,
+    message: meta.message || null,
+    agent: meta.agent || null,
+    parent: history.head,
+    hash,
+  })
+  history.head = newVersionName
+  // A new version starts a new line of history: nothing is left to redo
+  history.redo = []
+  saveHistory(history)
   return newVersionName
 }
 
 /**
- * List all saved versions in the versions directory.
- * @returns {string[]} - Array of version filenames
+ * Recompute the hashes recorded for a project's versions after their files were rewritten in place
+ * (scan-secrets redacting a leaked key, for example).
+ * @param {string} project - Project name
+ */
+export function refreshVersionHashes(project) {
+  const history = loadHistory(project)
+  if (history.versions.length === 0) return
+  for (const version of history.versions) {
+    const file = path.join(projectDir(project), version.file)
+    if (fs.existsSync(file)) version.hash = hashFile(file)
+  }
+  saveHistory(history)
+}
+
+/**
+ * Whether the working file has changes that are not recorded as the HEAD version.
+ * @param {string} project - Project name
+ * @returns {boolean}
+ */
+export function hasUnsavedChanges(project) {
+  const history = loadHistory(project)
+  const workingFile = getWorkingFile(project)
+  if (!history.head || !fs.existsSync(workingFile)) return false
+  const head = history.versions.find((v) => v.file === history.head)
+  return !head || head.hash !== hashFile(workingFile)
+}
+
+// Point HEAD at a version and copy it into the working file
+function checkout(history, versionFile) {
+  fs.copyFileSync(
+    path.join(projectDir(history.project), versionFile),
+    getWorkingFile(history.project)
+  )
+  history.head = versionFile
+}
+
+/**
+ * Undo the last change: move HEAD to its parent version and restore it into the working file.
+ * @param {string} project - Project name
+ * @returns {string} - The version now at HEAD
  */
-export function listVersions() {
-  return fs.readdirSync(VERSIONS_DIR).filter((f) => f.endsWith('.vf'))
+export function undo(project) {
+  const history = loadHistory(project)
+  const head = history.versions.find((v) => v.file === history.head)
+  if (!head || !head.parent) {
+    throw new Error(`Nothing to undo for project '${project}'`)
+  }
+  history.redo = [...(history.redo || []), head.file]
+  checkout(history, head.parent)
+  saveHistory(history)
+  return history.head
 }
 
 /**
- * Revert to a previous version by copying it to the target path.
- * @param {string} versionFileName - The version filename to revert to
- * @param {string} targetFilePath - The path to overwrite with the version
+ * Redo the last undone change: move HEAD forward again and restore it into the working file.
+ * @param {string} project - Project name
+ * @returns {string} - The version now at HEAD
  */
-export function revertToVersion(versionFileName, targetFilePath) {
-  const versionPath = path.join(VERSIONS_DIR, versionFileName)
-  if (!fs.existsSync(versionPath)) {
-    throw new Error('Version file does not exist: ' + versionFileName)
+export function redo(project) {
+  const history = loadHistory(project)
+  const redoStack = history.redo || []
+  if (redoStack.length === 0) {
+    throw new Error(`Nothing to redo for project '${project}'`)
+  }
+  checkout(history, redoStack[redoStack.length - 1])
+  history.redo = redoStack.slice(0, -1)
+  saveHistory(history)
+  return history.head
+}
+
+/**
+ * Revert a project to a previous version. The revert is recorded as a new version on top of HEAD,
+ * so no history is lost.
+ * @param {string} project - Project name
+ * @param {string} versionRef - Version filename or path to revert to
+ * @param {object} [meta] - Metadata recorded with the version (see saveNewVersion)
+ * @returns {string|null} - The new version filename, or null when HEAD already has that content
+ */
+export function revertProject(project, versionRef, meta = {}) {
+  const workingFile = getWorkingFile(project)
+  if (!fs.existsSync(workingFile)) {
+    throw new Error(`No working file found for project '${project}'`)
+  }
+  const versionFile = resolveVersionFile(versionRef)
+  fs.copyFileSync(versionFile, workingFile)
+  return saveNewVersion(workingFile, {
+    ...meta,
+    message: meta.message || `Revert to ${path.basename(versionFile)}`,
+  })
+}
+
+/**
+ * List saved versions, newest first.
+ * @param {object} [options]
+ * @param {string} [options.project] - Only list versions of this project
+ * @returns {Array<object>} - History entries with their project name and whether they are HEAD
+ */
+export function listVersions(options = {}) {
+  const projects = options.project ? [options.project] : listProjects()
+  return projects
+    .flatMap((project) => {
+      const history = loadHistory(project)
+      return history.versions.map((v) => ({
+        ...v,
+        project,
+        isHead: v.file === history.head,
+      }))
+    })
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+}
+
+/**
+ * Resolve a version reference to a file path: an existing path, or a version filename (.vf optional).
+ * @param {string} versionRef
+ * @returns {string} - Path to the version file
+ */
+export function resolveVersionFile(versionRef) {
+  if (fs.existsSync(versionRef) && fs.statSync(versionRef).isFile()) {
+    return versionRef
+  }
+  const project = getProjectName(versionRef)
+  for (const name of [versionRef, versionRef + '.vf']) {
+    for (const dir of [projectDir(project), VERSIONS_DIR]) {
+      const versionPath = path.join(dir, name)
+      if (fs.existsSync(versionPath)) return versionPath
+    }
   }
-  fs.copyFileSync(versionPath, targetFilePath)
+  throw new Error('Version file does not exist: ' + versionRef)
 }
 
 /**
  * Wrap a mutation with auto-versioning: saves a version after running the mutation.
  * @param {string} currentFilePath - Path to the current .vf file
  * @param {Function} mutationFn - Function that performs the mutation (can be async)
- * @returns {Promise<*>} - Result of mutationFn
+ * @param {object} [meta] - Metadata recorded with the version (see saveNewVersion)
+ * @returns {Promise<boolean>} - Whether a version was saved (false when the content did not change)
  */
-export async function withAutoVersioning(currentFilePath, mutationFn) {
-  const result = await mutationFn()
-  saveNewVersion(currentFilePath)
-  return result
+export async function withAutoVersioning(currentFilePath, mutationFn, meta) {
+  await mutationFn()
+  return saveNewVersion(currentFilePath, meta) !== null
 }
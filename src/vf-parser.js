@@ -1,4 +1,5 @@
 import fs from 'fs'
+import { validateProject, formatIssues } from './validator.js'
 
 /**
  * Load and parse a .vf file as JSON.
@@ -11,16 +12,29 @@ export function loadVfFile(filePath) {
 }
 
 /**
- * Save a .vf JSON object to file.
+ * Save a .vf JSON object to file. The project is validated first, and nothing is written when it has errors.
  * @param {string} filePath
  * @param {object} data
+ * @param {object} [options]
+ * @param {boolean} [options.validate=true] - Set to false to skip validation
  */
-export function saveVfFile(filePath, data) {
+export function saveVfFile(filePath, data, options = {}) {
+  const { validate = true } = options
+  if (validate) {
+    const result = validateProject(data)
+    if (result.errors.length > 0) {
+      throw new Error(
+        `Refusing to save ${filePath}: the project would not import into Voiceflow (see \`vf-copilot doctor\`).\n` +
+          formatIssues({ errors: result.errors, warnings: [] }).join('\n')
+      )
+    }
+  }
   fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8')
 }
 
 /**
  * Update the agent's instructions in all locations (programResources.agents and root agents array) for all agents with the same ID, or just the specified agentId if provided.
+ * In the root agents array, {var_name} placeholders of project variables become variable references.
  * @param {object} data - Parsed .vf JSON
  * @param {string} newInstructions
  * @param {string} [agentId] - Optional agent ID to update
@@ -46,6 +60,11 @@ export function updateAgentInstructions(data, newInstructions, agentId) {
   }
   // Update in root agents array
   if (Array.isArray(data.agents) && data.agents.length > 0) {
+    const variableIDs = Object.fromEntries(
+      (data.variables || []).map((v) => [v.name, v.id])
+    )
+    const parts = templateToParts(newInstructions, variableIDs)
+    const text = parts.length > 0 ? parts : ['']
     let agentIds = []
     if (
       data.version &&
@@ -62,14 +81,10 @@ export function updateAgentInstructions(data, newInstructions, agentId) {
           agent.instructions[0].text
         ) {
           // Update the text property of the first object
-          agent.instructions[0].text = [newInstructions]
+          agent.instructions[0].text = text
         } else {
           // Set as a new array
-          agent.instructions = [
-            {
-              text: [newInstructions],
-            },
-          ]
+          agent.instructions = [{ text }]
         }
       }
     })
@@ -108,3 +123,183 @@ export function listAllAgents(data) {
   }
   return Object.values(agentsMap)
 }
+
+/**
+ * Find an agent by ID or name.
+ * @param {object} data - Parsed .vf JSON
+ * @param {string} idOrName
+ * @returns {{ id: string, name: string }}
+ */
+export function findAgent(data, idOrName) {
+  const agents = listAllAgents(data)
+  const agent =
+    agents.find((a) => a.id === idOrName) ||
+    agents.find((a) => a.name === idOrName)
+  if (!agent) {
+    throw new Error(
+      `Agent '${idOrName}' not found. Available: ${
+        agents.map((a) => a.name).join(', ') || '(none)'
+      }`
+    )
+  }
+  return agent
+}
+
+// Matches {var} or {{var}} placeholders in templates
+const VARIABLE_PATTERN = /\{+([a-zA-Z0-9_]+)\}+/g
+
+/**
+ * Find all variable names referenced as {var} or {{var}} in a template string.
+ * @param {string} template
+ * @returns {string[]} - Unique variable names in order of appearance
+ */
+export function findTemplateVariables(template) {
+  const found = new Set()
+  for (const match of String(template || '').matchAll(VARIABLE_PATTERN)) {
+    found.add(match[1])
+  }
+  return Array.from(found)
+}
+
+/**
+ * Convert a template string with {var} or {{var}} placeholders into Voiceflow text parts,
+ * e.g. 'https://x/{city}' -> ['https://x/', { variableID: '...' }].
+ * @param {string} template
+ * @param {object} variableIDs - Map of variable name to variable ID (other placeholders stay text)
+ * @returns {Array<string|{variableID: string}>}
+ */
+export function templateToParts(template, variableIDs) {
+  const parts = []
+  let lastIndex = 0
+  for (const match of String(template || '').matchAll(VARIABLE_PATTERN)) {
+    // Own keys only: {constructor} or {toString} must not match Object.prototype
+    const variableID = Object.hasOwn(variableIDs, match[1])
+      ? variableIDs[match[1]]
+      : undefined
+    if (!variableID) continue
+    if (match.index > lastIndex) {
+      parts.push(template.slice(lastIndex, match.index))
+    }
+    parts.push({ variableID })
+    lastIndex = match.index + match[0].length
+  }
+  if (lastIndex < String(template || '').length) {
+    parts.push(template.slice(lastIndex))
+  }
+  return parts
+}
+
+/**
+ * Update fields (e.g. description, knowledgeBaseTool) of an agent in both programResources.agents and the root agents array.
+ * @param {object} data - Parsed .vf JSON
+ * @param {string} agentId
+ * @param {object} fields - Fields to set on the agent
+ * @returns {object} - Updated .vf JSON
+ */
+export function updateAgentFields(data, agentId, fields) {
+  const programAgent = data.version?.programResources?.agents?.[agentId]
+  if (programAgent) Object.assign(programAgent, fields)
+  if (Array.isArray(data.agents)) {
+    data.agents.forEach((agent) => {
+      if (agent.id === agentId) Object.assign(agent, fields)
+    })
+  }
+  return data
+}
+
+/**
+ * Merge settings (model, temperature, maxTokens) into an agent's settings in both locations.
+ * @param {object} data - Parsed .vf JSON
+ * @param {string} agentId
+ * @param {object} settings - Settings to merge
+ * @returns {object} - Updated .vf JSON
+ */
+export function updateAgentSettings(data, agentId, settings) {
+  const programAgent = data.version?.programResources?.agents?.[agentId]
+  if (programAgent) {
+    programAgent.settings = { ...(programAgent.settings || {}), ...settings }
+  }
+  if (Array.isArray(data.agents)) {
+    data.agents.forEach((agent) => {
+      if (agent.id === agentId) {
+        agent.settings = { ...(agent.settings || {}), ...settings }
+      }
+    })
+  }
+  return data
+}
+
+/**
+ * Rename the project in version.name, version.prototype.data.name and project.name.
+ * @param {object} data - Parsed .vf JSON
+ * @param {string} newName
+ * @returns {object} - Updated .vf JSON
+ */
+export function updateProjectName(data, newName) {
+  if (data.version) {
+    data.version.name = newName
+    // Also update version.prototype.data.name if present
+    if (
+      data.version.prototype &&
+      data.version.prototype.data &&
+      typeof data.version.prototype.data === 'object'
+    ) {
+      data.version.prototype.data.name = newName
+    }
+  }
+  // Also update project.name if present
+  if (data.project && typeof data.project === 'object') {
+    data.project.name = newName
+  }
+  return data
+}
+
+/**
+ * Convert Voiceflow text parts back into a template string with {var_name} placeholders.
+ * @param {Array<string|{variableID: string}>} parts
+ * @param {object} variableNames - Map of variable ID to variable name (unknown IDs are kept as-is)
+ * @returns {string}
+ */
+export function partsToTemplate(parts, variableNames) {
+  if (!Array.isArray(parts)) return ''
+  return parts
+    .map((part) => {
+      if (typeof part === 'string') return part
+      if (part && part.variableID) {
+        return `{${variableNames[part.variableID] || part.variableID}}`
+      }
+      // Nested { text: [...] } blocks
+      if (part && Array.isArray(part.text)) {
+        return partsToTemplate(part.text, variableNames)
+      }
+      return ''
+    })
+    .join('')
+}
+
+/**
+ * Get an agent's instructions as plain text. The root agents array (where Voiceflow stores edits) wins
+ * over programResources.agents unless it is empty; project variables become {var_name} placeholders.
+ * @param {object} data - Parsed .vf JSON
+ * @param {string} agentId
+ * @returns {string}
+ */
+export function getAgentInstructions(data, agentId) {
+  const variableNames = Object.fromEntries(
+    (data.variables || []).map((v) => [v.id, v.name])
+  )
+  const rootAgent = (data.agents || []).find((a) => a.id === agentId)
+  let rootText = ''
+  if (rootAgent) {
+    rootText = Array.isArray(rootAgent.instructions)
+      ? rootAgent.instructions
+          .map((block) => partsToTemplate(block && block.text, variableNames))
+          .join('\n')
+      : String(rootAgent.instructions || '')
+  }
+  if (rootText.trim()) return rootText
+  const programAgent = data.version?.programResources?.agents?.[agentId]
+  return programAgent && typeof programAgent.instructions === 'string'
+    ? programAgent.instructions
+    : rootText
+}